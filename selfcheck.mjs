@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * selfcheck.mjs — Runs the signal-path self-checks on synthetic data (no camera, mic or browser)
+ *
+ *   npm run selfcheck
+ *
+ * Checks:
+ *   - PulseEstimator   skin-color traces with a known pulse, and rendered face frames
+ *                      through the landmark ROI sampler
+ *   - VoiceAnalyzer    tones with known jitter / shimmer, pure tones at several sample rates
+ *
+ * Exits with code 1 if any case fails. Needs Node 20.19+ (the modules are browser ES modules).
+ */
+
+import { PulseEstimator } from './src/utils/PulseEstimator.js';
+import { VoiceAnalyzer } from './src/utils/VoiceAnalyzer.js';
+
+const fmt = v => v === null || v === undefined ? '—' : String(v);
+
+function report(title, rows, columns) {
+  console.log(`\n  ${title}`);
+  for (const r of rows) {
+    const cells = columns.map(([label, key]) => `${label} ${fmt(r[key])} (exp ${fmt(r.expected[key])})`);
+    console.log(`  ${r.ok ? '✓' : '✗'} ${r.name.padEnd(32)} ${cells.join('   ')}`);
+  }
+  return rows.filter(r => !r.ok).length;
+}
+
+console.log('\n  NeuroCal v2 — Self-check');
+console.log('  ─────────────────────────');
+
+let failed = 0;
+failed += report('Pulse (rPPG)', PulseEstimator.selfCheck(), [['BPM', 'bpm'], ['HRV', 'hrv']]);
+failed += report('Voice', VoiceAnalyzer.selfCheck(), [['jitter %', 'jitter'], ['shimmer %', 'shimmer']]);
+
+console.log(failed ? `\n  ✗ ${failed} case${failed === 1 ? '' : 's'} failed\n` : '\n  ✓ All cases passed\n');
+if (failed) process.exitCode = 1;
@@ -1,14 +1,32 @@
 /**
  * NeuroCal v2 — Main Application
- * Orchestrates: face detection, stress analysis, emotion detection,
+ * Orchestrates: face detection, stress analysis, fatigue analysis, action units, emotion detection, rPPG pulse, gaze,
+ * posture / ergonomics, voice stress (microphone),
  * breathing guide, audio alerts, session recording, all UI updates.
  */
 
-import { StressAnalyzer }  from './utils/StressAnalyzer.js';
+import { StressAnalyzer, STRESS_CHANNELS } from './utils/StressAnalyzer.js';
 import { CanvasRenderer }  from './utils/CanvasRenderer.js';
 import { BreathingGuide }  from './utils/BreathingGuide.js';
 import { AudioAlert }      from './utils/AudioAlert.js';
 import { SessionManager }  from './utils/SessionManager.js';
+import { Calibration }     from './utils/Calibration.js';
+import { FatigueAnalyzer } from './utils/FatigueAnalyzer.js';
+import { ActionUnitAnalyzer, ACTION_UNITS } from './utils/ActionUnits.js';
+import { EMOTIONS }        from './utils/EmotionFusion.js';
+import { GAZE_CAL_POINTS } from './utils/GazeEstimator.js';
+import { FrameQuality }    from './utils/FrameQuality.js';
+import { PulseEstimator }  from './utils/PulseEstimator.js';
+import { VoiceAnalyzer }   from './utils/VoiceAnalyzer.js';
+import { FaceTracker }     from './utils/FaceTracker.js';
+import { GroupMonitor }    from './utils/GroupMonitor.js';
+import { StressForecaster } from './utils/StressForecaster.js';
+import { SessionReplay }   from './utils/SessionReplay.js';
+import { COMPARE_STATS, MAX_COMPARE } from './utils/SessionComparator.js';
+import { ReportGenerator, REPORT_SECTIONS, DEFAULT_TEMPLATE } from './utils/ReportGenerator.js';
+import { isEncryptedSessionFile } from './utils/SessionFile.js';
+import { ErgonomicsMonitor, ERGONOMIC_EVENTS } from './utils/ErgonomicsMonitor.js';
+import { ScoringProfiles, levelFor, HIGH_LEVEL, LEVEL_CLASSES } from './utils/ScoringProfiles.js';
 
 // ──────────────────────────────────────────────
 //  Constants & State
@@ -16,6 +34,7 @@ import { SessionManager }  from './utils/SessionManager.js';
 const MODEL_URL = './models';
 let DETECTION_INPUT_SIZE = 320;
 const SCORE_THRESHOLD    = 0.4;
+const GATED_LEVEL        = { color: '#5a7a9a' };   // overlay color for rejected frames
 
 const state = {
   running:        false,
@@ -35,7 +54,21 @@ const state = {
   alertThreshold: 70,
   breathThreshold:70,
   breathAutoMode: true,
+  breathEarly:    false,  // start the guide when stress is forecast to cross the trigger
   breathingActive:false,
+  smoothing:      { method: 'one-euro', landmarks: 0.5, score: 0.5 },
+  fatigueAlerts:  true,
+  fatigueThreshold: 60,
+  fatigueAlertCount: 0,
+  forecastWarnings: true, // rising-stress early warnings
+  pulseEnabled:   true,
+  voiceEnabled:   false,  // microphone voice-stress channel (opt-in)
+  primaryId:      null,   // tracked face that drives the dashboard
+  groupMode:      false,  // meeting mode — room aggregate over all tracked faces
+  gazeCal:        null,   // active gaze calibration: { index, start, samples, fixations }
+  ergoReminders:  true,
+  episodes:       null,   // live EpisodeAnalyzer result for the Analytics timeline
+  markers:        [],     // event markers of the current / last session
 };
 
 // ──────────────────────────────────────────────
@@ -46,17 +79,60 @@ const renderer  = new CanvasRenderer();
 const breathing = new BreathingGuide();
 const audio     = new AudioAlert();
 const sessions  = new SessionManager();
+const calibration = new Calibration();
+const fatigue   = new FatigueAnalyzer();
+const actionUnits = new ActionUnitAnalyzer();
+const profiles  = new ScoringProfiles();
+const frameQuality = new FrameQuality();
+const pulse     = new PulseEstimator();
+const voice     = new VoiceAnalyzer();
+const tracker   = new FaceTracker();
+const faceAnalyzers = new Map();   // secondary face ID → { analyzer, quality }
+const group     = new GroupMonitor();
+const ergonomics = new ErgonomicsMonitor();
+const forecaster = new StressForecaster();
+const detailRenderer = new CanvasRenderer({   // session detail view — its own canvases, no live ones
+  overlay: null, gauge: 'detailGauge', history: null, timeline: 'detailTimeline',
+  emotionPie: 'detailPieChart', pieLegend: 'detailPieLegend', dist: 'detailDistChart', pose: 'detailPose',
+  contrib: null, contribTimeline: null, pulse: null, poseTimeline: 'detailPoseTimeline',
+  trendStress: null, trendAlerts: null, trendEmotions: null, trendHeatmap: null,
+  compareTimeline: null, compareDist: null, compareEmotions: null,
+});
+const reports   = new ReportGenerator();
+const reportRenderer = new CanvasRenderer({   // off-screen canvases for the session report's chart images
+  overlay: null, gauge: null, history: null, timeline: 'reportTimeline',
+  emotionPie: 'reportPieChart', pieLegend: null, dist: 'reportDistChart', pose: null,
+  contrib: null, contribTimeline: null, pulse: null, poseTimeline: null,
+  trendStress: null, trendAlerts: null, trendEmotions: null, trendHeatmap: null,
+  compareTimeline: null, compareDist: null, compareEmotions: null,
+});
+analyzer.setBaseline(calibration.baseline);
+fatigue.setBaseline(calibration.baseline);
+analyzer.setSmoothing(state.smoothing.method, state.smoothing.landmarks, state.smoothing.score);
+analyzer.setProfile(profiles.active);
+renderer.profile = profiles.active;
 
 // ──────────────────────────────────────────────
 //  Boot
 // ──────────────────────────────────────────────
 window.addEventListener('DOMContentLoaded', async () => {
   setupTabs();
+  setupContributionLegend();
+  setupActionUnitPanel();
   setupSettings();
+  setupCalibration();
+  setupGazeCalibration();
+  setupProfiles();
   setupSessionsTab();
+  setupVault();
+  setupSessionDetail();
+  setupReports();
+  setupCompare();
+  setupMarkers();
+  setupTrendsTab();
+  await initSessionStore();
   await loadModels();
   setupButtons();
-  renderSessionsList();
 });
 
 // ──────────────────────────────────────────────
@@ -101,6 +177,7 @@ async function startCamera() {
     await state.video.play();
 
     renderer.resizeOverlay(state.video.videoWidth, state.video.videoHeight);
+    analyzer.setFrameSize(state.video.videoWidth, state.video.videoHeight);
 
     document.getElementById('cameraOverlay').classList.add('gone');
     document.getElementById('snapshotBtn').disabled = false;
@@ -109,12 +186,28 @@ async function startCamera() {
     state.running     = true;
     state.sessionStart= Date.now();
     setStatus('live');
-    sessions.startSession();
+    sessions.startSession(profiles.snapshot(), sessionSettings());
     analyzer.reset();
+    fatigue.reset();
+    actionUnits.reset();
+    ergonomics.reset();
+    forecaster.reset();
+    frameQuality.reset();
+    pulse.reset();
+    tracker.reset();
+    faceAnalyzers.clear();
+    group.reset();
+    state.primaryId = null;
+    state.fatigueAlertCount = 0;
     state.peakStress  = 0;
     state.minStress   = 100;
     state.alertCount  = 0;
     state.allStress   = [];
+    state.episodes    = null;
+    state.markers     = sessions.currentSession.markers;
+    setEl('markerCount', '');
+    document.getElementById('markerBtn').disabled = false;
+    if (state.voiceEnabled) await startVoice();
     startSessionTimer();
     log(`Camera active: ${state.video.videoWidth}×${state.video.videoHeight}`, 'ok');
     requestAnimationFrame(detectionLoop);
@@ -125,27 +218,46 @@ async function startCamera() {
 
 function stopCamera() {
   state.running = false;
+  if (calibration.active) {
+    calibration.cancel();
+    showCalibrationOverlay(false);
+    log('Calibration cancelled — camera stopped', 'warn');
+  }
+  if (state.gazeCal) {
+    cancelGazeCalibration();
+    log('Gaze calibration cancelled — camera stopped', 'warn');
+  }
   if (state.stream) {
     state.stream.getTracks().forEach(t => t.stop());
     state.stream = null;
   }
+  voice.stop();
+  if (breathing.active) recordBreathing('stop', 'session-end');
   breathing.stop();
   state.breathingActive = false;
   setStatus('ready');
   setEl('faceCount', 'NO FACE');
   setEl('fpsDisplay', '-- FPS');
+  updateQualityUI(null);
+  updatePulseUI(null);
+  updateVoiceUI(null);
+  updateFaceStrip(null, []);
+  updateGroupUI(null);
   document.getElementById('scanLine').className = 'scan-line';
   renderer.clearOverlay();
   document.getElementById('cameraOverlay').classList.remove('gone');
   document.getElementById('snapshotBtn').disabled = true;
   document.getElementById('stopBtn').disabled     = true;
+  document.getElementById('markerBtn').disabled   = true;
 
   const stats = analyzer.getSessionStats();
-  const sess  = sessions.endSession(stats);
-  if (sess) {
-    renderSessionsList();
-    log(`Session saved — avg stress: ${stats?.avg ?? '?'}`, 'ok');
-  }
+  sessions.endSession(stats, { episodeThreshold: state.alertThreshold })
+    .then(sess => {
+      if (!sess) return;
+      log(`Session saved — avg stress: ${stats?.avg ?? '?'}`, 'ok');
+    })
+    .catch(err => log(`Session could not be saved: ${err.message} — export it before closing the page`, 'alert'))
+    .finally(() => { renderSessionsList(); renderStorageUsage(); });
   analyzer.reset();
 }
 
@@ -180,24 +292,92 @@ async function detectionLoop(timestamp) {
       detections = single ? [single] : [];
     }
 
-    if (detections.length > 0) {
-      const det     = detections[0];
-      const result  = analyzer.analyze(det.landmarks, det.detection.box);
+    const { tracks, added, removed } = tracker.update(detections);
+    handleTrackChanges(tracks, added, removed);
+
+    if (tracks.length > 0) {
+      // Secondary faces (multi-face mode) — each with its own analyzer
+      const others  = tracks.filter(tr => tr.id !== state.primaryId).map(analyzeSecondaryFace);
+      const primary = tracks.find(tr => tr.id === state.primaryId);
+
+      // Face count
+      setEl('faceCount', tracks.length > 1 ? `${tracks.length} FACES` : 'FACE DETECTED');
+      document.getElementById('scanLine').className = 'scan-line active';
+      setStatus('live');
+
+      if (!primary) {
+        // Primary face briefly unseen — keep its buffers untouched until it returns or expires
+        renderer.drawFace(others.map(f => f.outline));
+        updateFaceStrip(null, others);
+        if (state.groupMode) handleGroup(others);
+        handleErgonomics(ergonomics.update(null));
+        requestAnimationFrame(detectionLoop);
+        return;
+      }
+
+      const det     = primary.det;
+      // rPPG needs an unbroken trace, so it samples every frame (it has its own quality flag)
+      const heart   = state.pulseEnabled ? pulse.update(state.video, det.landmarks.positions) : null;
+      const pupils  = analyzer.gaze.locatePupils(state.video, det.landmarks.positions);
+      const speech  = voice.active ? voice.read() : null;
+      const result  = analyzer.analyze(det.landmarks, det.detection.box, det.expressions, {
+        gate: pose => frameQuality.assess(det, state.video, pose),
+        pulse: heart,
+        pupils,
+        voice: speech,
+      });
       const emotion = parseEmotions(det.expressions);
 
+      // Always-live UI (quality, overlay, pose, emotions, pulse, faces)
+      updateQualityUI(result.quality);
+      updatePulseUI(heart);
+      updateVoiceUI(speech);
+      updateEmotions(emotion);
+      updateHeadPose(result.metrics.headPose);
+      if (result.metrics.gaze) updateGaze(result.metrics.gaze);
+      if (state.gazeCal && !result.gated) handleGazeCalibration(result.metrics.gaze);
+      const outline = { det, id: primary.id, color: (result.gated ? GATED_LEVEL : result.level).color };
+      renderer.drawFace([outline, ...others.map(f => f.outline)]);
+      updateFaceStrip({ id: primary.id, result }, others);
+      if (state.groupMode) handleGroup([{ id: primary.id, result }, ...others]);
+
+      // Low-quality frame — excluded from history, stats, recording and alerts
+      if (result.gated) {
+        sessions.recordGatedFrame();
+        requestAnimationFrame(detectionLoop);
+        return;
+      }
+
+      const tired = fatigue.analyze(det.landmarks.positions, result.metrics);
+      const aus   = actionUnits.analyze(det.landmarks.positions);
+      const ergo  = ergonomics.update({
+        box:      det.detection.box,
+        nose:     det.landmarks.positions[30],
+        pose:     result.metrics.headPose,
+        frame:    { width: state.video.videoWidth, height: state.video.videoHeight },
+        onScreen: result.metrics.gaze.zone !== 'away',   // keyboard / phone is near work too
+      });
+
+      // Neutral-face calibration capture
+      if (calibration.active) handleCalibration(result.metrics);
+
       // Session recording (every ~1s = every 10 frames at 10fps)
-      sessions.recordFrame(result.stress, emotion, result.metrics);
+      sessions.recordFrame(result.stress, emotion, result.metrics, { fatigue: tired, quality: result.quality, pulse: heart, voice: speech, faceId: primary.id, actionUnits: aus });
 
       // UI
       updateStressUI(result);
+      updateContributions(result.contributions);
       updateBiometrics(result.metrics);
-      updateEmotions(emotion);
-      updateHeadPose(result.metrics.headPose);
+      updateFatigueUI(tired);
+      updateActionUnits(aus);
 
-      renderer.drawFace(detections, result.level, state.multiFaceMode);
       renderer.drawGauge(result.stress);
-      renderer.drawHistory(result.history, result.level.color);
-      renderer.pushTimeline(result.stress, Math.round(result.metrics.focusScore.normalized * 100));
+      forecaster.update(result.stress);
+      const outlook = forecaster.forecast(state.alertThreshold);
+      renderer.drawHistory(result.history, result.level.color, result.rawHistory, outlook);
+      updateForecastUI(outlook);
+      renderer.pushTimeline(result.stress, Math.round(result.metrics.focusScore.normalized * 100), result.contributions, Date.now() - state.sessionStart);
+      renderer.drawContributions(result.contributions);
       renderer.pushEmotion(det.expressions);
 
       // Analytics tab update if visible
@@ -211,22 +391,28 @@ async function detectionLoop(timestamp) {
       setEl('avgStress', avg);
 
       // Alerts
-      handleAlerts(result.stress, result.level);
+      handleAlerts(result.stress, result.level, result.contributions);
+      handleForecast(outlook, result.stress);
 
       // Auto-breathing guide
       handleBreathing(result.stress);
 
-      // Face count
-      setEl('faceCount', detections.length > 1 ? `${detections.length} FACES` : 'FACE DETECTED');
-      document.getElementById('scanLine').className = 'scan-line active';
-      setStatus('live');
+      // Fatigue events + alerts
+      handleFatigue(tired);
+
+      // Posture / screen distance / eye breaks
+      handleErgonomics(ergo);
     } else {
       setEl('faceCount', 'NO FACE');
       document.getElementById('scanLine').className = 'scan-line';
       renderer.clearOverlay();
+      updateFaceStrip(null, []);
+      if (state.groupMode) updateGroupUI(null);
+      handleErgonomics(ergonomics.update(null));
       if (state.breathingActive && state.breathAutoMode) {
         breathing.stop();
         state.breathingActive = false;
+        recordBreathing('stop', 'no-face');
       }
     }
   } catch (err) {
@@ -250,6 +436,30 @@ function parseEmotions(expressions) {
 // ──────────────────────────────────────────────
 //  UI Updates
 // ──────────────────────────────────────────────
+let lastGateReason = null;
+function updateQualityUI(quality) {
+  const el = document.getElementById('qualityDisplay');
+  if (!quality) {
+    el.textContent = 'Q --';
+    el.className   = '';
+    el.title       = '';
+    lastGateReason = null;
+    return;
+  }
+  const pct = Math.round(quality.score * 100);
+  el.textContent = quality.passed ? `Q ${pct}%` : `Q ${pct}% · ${quality.reason.toUpperCase()}`;
+  el.className   = quality.passed ? (pct < 70 ? 'q-fair' : 'q-good') : 'q-bad';
+  el.title       = Object.entries(quality.components)
+    .map(([k, v]) => `${k}: ${Math.round(v * 100)}%`).join('\n');
+
+  // Log gating transitions, not every frame
+  if (quality.reason !== lastGateReason) {
+    if (quality.reason) log(`Frames excluded — ${quality.reason} (quality ${pct}%)`, 'warn');
+    else if (lastGateReason) log('Frame quality restored', 'ok');
+    lastGateReason = quality.reason;
+  }
+}
+
 function updateStressUI(result) {
   const { stress, level } = result;
   setEl('stressNum', stress);
@@ -265,8 +475,30 @@ function updateStressUI(result) {
     `radial-gradient(ellipse 55% 38% at 50% 50%, ${level.color}${alpha} 0%, transparent 70%)`;
 }
 
+function setupContributionLegend() {
+  document.getElementById('contribTimelineLegend').innerHTML = STRESS_CHANNELS.map(ch =>
+    `<span class="legend-dot" style="background:${ch.color}; margin-left:8px"></span>${ch.short}`
+  ).join('');
+}
+
+function updateContributions(contributions) {
+  const top = contributions.filter(c => c.points >= 0.5).slice(0, 4);
+  document.getElementById('contribLegend').innerHTML = top.map(c =>
+    `<span class="contrib-item"><span class="legend-dot" style="background:${c.color}"></span>${c.label} <b>+${c.points.toFixed(0)}</b></span>`
+  ).join('');
+}
+
+/** "brow +24, mouth +15" — top contributing channels for log entries */
+function describeContributions(contributions, n = 3) {
+  return contributions
+    .filter(c => c.points >= 1)
+    .slice(0, n)
+    .map(c => `${c.short} +${c.points.toFixed(0)}`)
+    .join(', ');
+}
+
 function updateBiometrics(metrics) {
-  const { eyeOpenness, browTension, mouthTension, asymmetry, headMovement, blinkRate, focusScore, headPose } = metrics;
+  const { eyeOpenness, browTension, mouthTension, asymmetry, headMovement, blinkRate, focusScore, headPose, gaze, emotionLoad, heartRate, voiceStress } = metrics;
   setBio('eye',   eyeOpenness.label,   eyeOpenness.normalized,   eyeOpenness.normalized  < 0.3);
   setBio('brow',  browTension.label,   browTension.normalized,   browTension.normalized  > 0.6);
   setBio('mouth', mouthTension.label,  mouthTension.normalized,  mouthTension.normalized > 0.6);
@@ -275,6 +507,13 @@ function updateBiometrics(metrics) {
   setBio('head',  headMovement.label,  headMovement.normalized,  headMovement.normalized > 0.5);
   setBio('focus', focusScore.label,    focusScore.normalized,    focusScore.normalized   < 0.3);
   setBio('pose',  headPose.label,      headPose.normalized,      headPose.normalized     > 0.5);
+  setBio('gaze',  `${Math.round(gaze.attention * 100)}% ${GAZE_ZONE_UI[gaze.zone].label}`, gaze.attention, gaze.attention < 0.5);
+  const emoLabel = analyzer.scoringMode === 'fused'
+    ? `${emotionLoad.label}${emotionLoad.top ? ` ${emotionLoad.top.slice(0, 4).toUpperCase()}` : ''}`
+    : 'OFF';
+  setBio('emo',   emoLabel,            emotionLoad.normalized,   emotionLoad.normalized  > 0.5);
+  setBio('hr',    heartRate.label,     heartRate.normalized,     heartRate.normalized    > 0.5);
+  setBio('voice', voiceStress.label,   voiceStress.normalized,   voiceStress.normalized  > 0.5);
 }
 
 function setBio(key, label, norm, elevated) {
@@ -292,7 +531,6 @@ function setBio(key, label, norm, elevated) {
 
 function updateEmotions(emotion) {
   const { dominant, scores } = emotion;
-  const EMOTIONS = ['neutral','happy','sad','angry','fearful','surprised','disgusted'];
   EMOTIONS.forEach(e => {
     const pct = Math.round((scores[e] || 0) * 100);
     const fill= document.getElementById(`emo-${e}`);
@@ -308,11 +546,171 @@ function updateHeadPose(pose) {
   setEl('pitchVal', `${pose.pitch}°`);
   setEl('yawVal',   `${pose.yaw}°`);
   setEl('rollVal',  `${pose.roll}°`);
+  setEl('distVal',  pose.distance ? `${(pose.distance / 10).toFixed(0)}cm` : '--');
   renderer.drawPose(pose.pitch, pose.yaw, pose.roll);
 }
 
+const GAZE_ZONE_UI = {
+  screen: { label: 'SCREEN', color: 'var(--success)' },
+  away:   { label: 'AWAY',   color: 'var(--warn)' },
+  down:   { label: 'DOWN',   color: 'var(--warn)' },
+};
+
+function updateGaze(gaze) {
+  const el = document.getElementById('gazeVal');
+  if (!el) return;
+  const z = GAZE_ZONE_UI[gaze.zone];
+  el.textContent = `${z.label} ${Math.round(gaze.attention * 100)}%`;
+  el.style.color = z.color;
+}
+
+function setupActionUnitPanel() {
+  document.getElementById('auGrid').innerHTML = ACTION_UNITS.map(au => `
+    <div class="au-row" data-au="${au.code}">
+      <span class="au-code">${au.code}</span>
+      <span class="au-name">${au.name.toUpperCase()}</span>
+      <div class="au-track"><div class="au-fill" id="au-${au.code}"></div></div>
+      <span class="au-int" id="auv-${au.code}">--</span>
+    </div>`).join('');
+}
+
+function updateActionUnits(aus) {
+  aus.units.forEach(u => {
+    const fill = document.getElementById(`au-${u.code}`);
+    const row  = document.querySelector(`[data-au="${u.code}"]`);
+    if (fill) fill.style.width = `${u.intensity / 5 * 100}%`;
+    setEl(`auv-${u.code}`, u.letter || '—');
+    if (row)  row.className = `au-row${u.present ? ' present' : ''}`;
+  });
+  setEl('auActive', aus.active.length ? aus.active.map(c => c.replace('AU0', 'AU')).join('+') : 'NEUTRAL');
+}
+
+function updateFatigueUI(tired) {
+  setEl('fatigueNum', tired.score);
+  document.getElementById('fatigueNum').style.color = tired.level.color;
+  document.getElementById('fatigueBadge').className = `level-badge ${tired.level.cls}`;
+  setEl('fatigueLevel',   tired.level.label);
+  setEl('fatiguePerclos', `${(tired.perclos * 100).toFixed(1)}%`);
+  setEl('fatigueBlink',   tired.blink.count ? `${tired.blink.mean}ms` : '--');
+  setEl('fatigueLong',    tired.blink.long);
+  setEl('fatigueYawns',   tired.yawn.count);
+  setEl('fatigueNods',    tired.nods.count);
+
+  const max = Math.max(1, ...tired.blink.buckets);
+  tired.blink.buckets.forEach((v, i) => {
+    const bar = document.getElementById(`blinkBucket-${i}`);
+    if (bar) bar.style.height = `${Math.round(v / max * 100)}%`;
+  });
+}
+
+const PULSE_QUALITY = {
+  good: { label: 'GOOD SIGNAL', cls: 'calm',     color: '#00ff99' },
+  fair: { label: 'FAIR SIGNAL', cls: 'moderate', color: '#ffaa00' },
+  poor: { label: 'NO LOCK',     cls: 'high',     color: '#5a7a9a' },
+};
+
+function updatePulseUI(reading) {
+  const badge = document.getElementById('pulseBadge');
+  if (!reading || !reading.quality) {
+    setEl('pulseBpm', '--');
+    setEl('pulseHrv', '--');
+    setEl('pulseSnr', '--');
+    setEl('pulseQuality', reading ? `ACQUIRING ${Math.round(reading.progress * 100)}%`
+                                  : state.pulseEnabled ? 'WAITING' : 'OFF');
+    badge.className = 'level-badge';
+    document.getElementById('pulseBpm').style.color = '';
+    renderer.drawPulse(null);
+    return;
+  }
+  const q = PULSE_QUALITY[reading.quality];
+  setEl('pulseBpm', reading.reliable ? reading.bpm : '--');
+  setEl('pulseHrv', reading.hrv !== null ? `${reading.hrv}ms` : '--');
+  setEl('pulseSnr', `${reading.snr}dB`);
+  setEl('pulseQuality', q.label);
+  badge.className = `level-badge ${q.cls}`;
+  document.getElementById('pulseBpm').style.color = q.color;
+  renderer.drawPulse(reading.signal, q.color);
+}
+
+function updateVoiceUI(reading) {
+  const badge = document.getElementById('voiceBadge');
+  if (!reading || !reading.reliable) {
+    setEl('voiceScore',   '--');
+    setEl('voiceF0',      '--');
+    setEl('voiceJitter',  '--');
+    setEl('voiceShimmer', '--');
+    setEl('voiceSpeech',  reading ? `${Math.round(reading.activity * 100)}%` : '--');
+    setEl('voiceStatus',  !reading ? (state.voiceEnabled ? 'WAITING' : 'OFF') : 'LISTENING');
+    badge.className = 'level-badge';
+    document.getElementById('voiceScore').style.color = '';
+    return;
+  }
+  const pct = Math.round(reading.stress * 100);
+  const cls = pct >= 60 ? 'high' : pct >= 30 ? 'moderate' : 'calm';
+  setEl('voiceScore',   pct);
+  setEl('voiceF0',      `${reading.f0}Hz`);
+  setEl('voiceJitter',  reading.jitter  !== null ? `${reading.jitter}%`  : '--');
+  setEl('voiceShimmer', reading.shimmer !== null ? `${reading.shimmer}%` : '--');
+  setEl('voiceSpeech',  `${Math.round(reading.activity * 100)}%`);
+  setEl('voiceStatus',  reading.baseline ? 'SPEAKING' : `BASELINE ${Math.round(reading.progress * 100)}%`);
+  badge.className = `level-badge ${cls}`;
+  document.getElementById('voiceScore').style.color = { calm: 'var(--success)', moderate: 'var(--warn)', high: 'var(--danger)' }[cls];
+}
+
+/** Microphone is opened separately from the camera so denying it never blocks video */
+async function startVoice() {
+  try {
+    await voice.start();
+    voice.reset();
+    log('Microphone active — voice stress channel on', 'ok');
+  } catch (err) {
+    state.voiceEnabled = false;
+    document.getElementById('voiceToggle').checked = false;
+    log(`Microphone error: ${err.message}`, 'alert');
+  }
+  updateVoiceUI(null);
+}
+
+/** Offline check: run the voice pipeline over a prerecorded file */
+async function analyzeVoiceFile(file) {
+  const input = document.getElementById('voiceFile');
+  input.disabled = true;
+  setEl('voiceFileResult', `Analyzing ${file.name}…`);
+  try {
+    const ctx     = new (window.AudioContext || window.webkitAudioContext)();
+    const decoded = await ctx.decodeAudioData(await file.arrayBuffer());
+    ctx.close();
+    const mono = new Float32Array(decoded.length);
+    for (let c = 0; c < decoded.numberOfChannels; c++) {
+      decoded.getChannelData(c).forEach((v, i) => { mono[i] += v / decoded.numberOfChannels; });
+    }
+    const { summary: s } = await VoiceAnalyzer.analyzeSamplesAsync(mono, decoded.sampleRate,
+      p => setEl('voiceFileResult', `Analyzing ${file.name}… ${Math.round(p * 100)}%`));
+    const text = s.stress === null
+      ? `${file.name}: ${s.durationSec}s, not enough voiced speech`
+      : `${file.name}: ${s.durationSec}s (${s.voicedSec}s voiced) · F0 ${s.f0}Hz · jitter ${s.jitter}% · shimmer ${s.shimmer}% · voice stress avg ${s.stress}%, peak ${s.peakStress}%`;
+    setEl('voiceFileResult', text);
+    log(`Voice file — ${text}`, 'info');
+  } catch (err) {
+    setEl('voiceFileResult', `Could not decode ${file.name}`);
+    log(`Voice file error: ${err.message}`, 'alert');
+  } finally {
+    input.disabled = false;
+  }
+}
+
+let lastEpisodeScan = 0;
 function updateAnalyticsTab(result) {
-  renderer.drawTimeline();
+  // Episode scan over the whole session is cheap at 1 Hz but needn't run every frame
+  const now = Date.now();
+  if (sessions.currentSession && now - lastEpisodeScan > 2000) {
+    lastEpisodeScan = now;
+    state.episodes  = sessions.episodeAnalyzer.analyze(sessions.currentSession.frames, state.alertThreshold);
+    const sum = state.episodes.summary;
+    setEl('sumEpisodes', sum.count ? `${sum.count} · ${formatDuration(sum.totalMs)}` : '0');
+  }
+  renderer.drawTimeline(state.episodes, null, state.markers);
+  renderer.drawContributionTimeline();
   renderer.drawEmotionPie();
   renderer.drawDistribution(state.allStress);
 
@@ -323,30 +721,32 @@ function updateAnalyticsTab(result) {
   setEl('sumDuration',  `${mm}:${ss}`);
   setEl('sumAvg',       `${result.stress}`);
   setEl('sumPeak',      `${state.peakStress}`);
-  const calms = state.allStress.filter(s => s < 20).length;
-  const highs = state.allStress.filter(s => s >= 60).length;
+  const calms = state.allStress.filter(s => levelFor(profiles.active, s).index === 0).length;
+  const highs = state.allStress.filter(s => levelFor(profiles.active, s).index >= HIGH_LEVEL).length;
   const total = state.allStress.length || 1;
   setEl('sumCalm',   `${Math.round(calms/total*100)}%`);
   setEl('sumHigh',   `${Math.round(highs/total*100)}%`);
   setEl('sumAlerts', `${state.alertCount}`);
   setEl('sumBlink',  `${result.metrics.blinkRate.bpm}/min`);
+  setEl('sumAttention', `${Math.round(result.metrics.gaze.attention * 100)}%`);
 }
 
 // ──────────────────────────────────────────────
 //  Alerts
 // ──────────────────────────────────────────────
 let lastAlertTime = 0;
-function handleAlerts(stress, level) {
+function handleAlerts(stress, level, contributions) {
   if (stress >= state.alertThreshold) {
     const now = Date.now();
     if (now - lastAlertTime > 8000) {
       lastAlertTime = now;
       state.alertCount++;
       setEl('alertCount', state.alertCount);
-      sessions.recordAlert();
+      const top = contributions.slice(0, 3).map(c => ({ key: c.key, points: c.points }));
+      sessions.recordAlert({ stress, top });
       audio.maybeAlert(stress);
       flashAlertBell();
-      log(`⚠ Stress alert: ${stress}/100 — ${level.label}`, 'alert');
+      log(`⚠ Stress alert: ${stress}/100 — ${level.label} (${describeContributions(contributions)})`, 'alert');
 
       const badge = document.getElementById('alertBadge');
       badge.style.display = 'flex';
@@ -355,12 +755,125 @@ function handleAlerts(stress, level) {
   }
 }
 
+// ──────────────────────────────────────────────
+//  Forecast / Early Warning
+// ──────────────────────────────────────────────
+let lastForecastWarn = 0;
+let forecastWarned   = false;   // one warning per rise; re-armed once the rise subsides
+function handleForecast(outlook, stress) {
+  if (!outlook.warning) {
+    if (stress < state.alertThreshold) forecastWarned = false;
+    return;
+  }
+  const now = Date.now();
+  if (!state.forecastWarnings || forecastWarned || now - lastForecastWarn < 60000) return;
+  forecastWarned   = true;
+  lastForecastWarn = now;
+  const projected  = outlook.points[outlook.points.length - 1].mean;
+  sessions.recordForecastWarning({ stress, projected, etaMs: outlook.etaMs, trendPerMin: outlook.trendPerMin });
+  flashAlertBell();
+  log(`↗ Rising stress: ${stress} now, +${outlook.trendPerMin}/min — forecast to reach ${state.alertThreshold} in ~${Math.round(outlook.etaMs / 1000)}s`, 'warn');
+}
+
+function updateForecastUI(outlook) {
+  const el = document.getElementById('forecastVal');
+  if (!el) return;
+  if (!outlook.ready) {
+    el.textContent = 'FORECAST: WARMING UP';
+    el.className   = 'forecast-val';
+    return;
+  }
+  const end   = outlook.points[outlook.points.length - 1];
+  const arrow = outlook.trendPerMin >= forecaster.MIN_RISE ? '↑' : outlook.trendPerMin <= -forecaster.MIN_RISE ? '↓' : '→';
+  el.textContent = `+${Math.round(end.aheadMs / 60000 * 10) / 10}m: ${end.mean} ${arrow} ${outlook.trendPerMin > 0 ? '+' : ''}${outlook.trendPerMin}/min`;
+  el.className   = `forecast-val${outlook.warning ? ' warn' : ''}`;
+}
+
 function flashAlertBell() {
   const bell = document.getElementById('alertBell');
   bell.style.color = 'var(--danger)';
   setTimeout(() => bell.style.color = '', 1500);
 }
 
+// ──────────────────────────────────────────────
+//  Fatigue Alerts
+// ──────────────────────────────────────────────
+let lastFatigueAlert = 0;
+function handleFatigue(tired) {
+  tired.events.forEach(ev => {
+    if (ev.type === 'yawn')       log('Yawn detected', 'info');
+    if (ev.type === 'nod')        log(`Head nod detected (${(ev.dur / 1000).toFixed(1)}s)`, 'warn');
+    if (ev.type === 'long-blink') log(`Long blink: ${ev.dur}ms`, ev.dur >= 1000 ? 'warn' : 'info');
+  });
+
+  if (!state.fatigueAlerts || tired.score < state.fatigueThreshold) return;
+  const now = Date.now();
+  if (now - lastFatigueAlert > 30000) {
+    lastFatigueAlert = now;
+    state.fatigueAlertCount++;
+    sessions.recordFatigueAlert();
+    audio.play('chime', tired.score);
+    flashAlertBell();
+    log(`⚠ Fatigue alert: ${tired.score}/100 — ${tired.level.label}, consider a break`, 'alert');
+  }
+}
+
+// ──────────────────────────────────────────────
+//  Ergonomics
+// ──────────────────────────────────────────────
+const ERGO_MESSAGES = {
+  'lean-in':   ev => `Leaning in for ${Math.round(ev.durationMs / 60000)} min (face ×${ev.sizeRatio}) — sit back`,
+  'slouch':    ev => `Slouching for ${Math.round(ev.durationMs / 60000)} min (head ${ev.drop}% lower, pitch +${ev.pitchDelta}°) — straighten up`,
+  'too-close': ev => `Too close to the screen${ev.distanceCm ? ` (${ev.distanceCm}cm)` : ''} — keep at least an arm's length`,
+  'eye-break': ev => `${ev.minutes} min of screen time — look at something 20 ft away for 20 s`,
+};
+
+let postureReady = !!ergonomics.baseline;
+function handleErgonomics(ergo) {
+  if (ergo.ready && !postureReady) {
+    postureReady = true;
+    renderPostureStatus();
+    log('Posture baseline captured', 'ok');
+  }
+  ergo.events.forEach(ev => {
+    sessions.recordErgonomicEvent(ev);
+    log(`${ev.type === 'eye-break' ? '👁' : '🪑'} ${ERGO_MESSAGES[ev.type](ev)}`, 'warn');
+    if (state.ergoReminders) {
+      audio.play('chime', 50);
+      flashAlertBell();
+    }
+  });
+  updateErgonomicsUI(ergo);
+}
+
+function updateErgonomicsUI(ergo) {
+  const badge = document.getElementById('ergoBadge');
+  if (!badge) return;
+  const issue = ergo.tooClose ? 'too-close' : ergo.slouch ? 'slouch' : ergo.leanIn ? 'lean-in' : null;
+  let label, cls;
+  if (!ergo.ready)  { label = `BASELINE ${Math.round(ergo.progress * 100)}%`; cls = ''; }
+  else if (issue)   { label = { 'too-close': 'TOO CLOSE', 'slouch': 'SLOUCHING', 'lean-in': 'LEANING IN' }[issue]; cls = 'moderate'; }
+  else              { label = 'GOOD POSTURE'; cls = 'calm'; }
+  badge.className = `level-badge ${cls}`;
+  setEl('ergoStatus', label);
+  badge.title = issue ? ERGONOMIC_EVENTS[issue] : '';
+
+  const p = ergo.posture;
+  setEl('ergoDist', p?.distanceCm ? `${p.distanceCm}cm` : '--');
+  setEl('ergoSize', p ? `×${p.sizeRatio.toFixed(2)}` : '--');
+  setEl('ergoDrop', p ? `${p.drop > 0 ? '+' : ''}${p.drop}%` : '--');
+  const mmss = ms => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+  setEl('ergoScreen', mmss(ergo.screenMs));
+  setEl('ergoBreak',  mmss(ergo.nextBreakMs));
+}
+
+function renderPostureStatus() {
+  const b = ergonomics.baseline;
+  setEl('postureStatus', b
+    ? `Captured ${new Date(b.createdAt).toLocaleString()}${b.distance ? ` · ${Math.round(b.distance / 10)}cm from camera` : ''}`
+    : 'Not captured — first 30s of the next session');
+}
+
 // ──────────────────────────────────────────────
 //  Auto Breathing
 // ──────────────────────────────────────────────
@@ -368,20 +881,29 @@ let breathCooldown = 0;
 function handleBreathing(stress) {
   if (!state.breathAutoMode) return;
   const now = Date.now();
-  if (stress >= state.breathThreshold && !state.breathingActive) {
+  const early = state.breathEarly && forecaster.forecast(state.breathThreshold).warning;
+  if ((stress >= state.breathThreshold || early) && !state.breathingActive) {
     if (now - breathCooldown > 30000) { // 30s cooldown
       breathing.start();
       state.breathingActive = true;
-      log('Breathing guide activated — stress is elevated', 'warn');
+      recordBreathing('start', stress >= state.breathThreshold ? 'stress' : 'forecast', stress);
+      log(stress >= state.breathThreshold
+        ? 'Breathing guide activated — stress is elevated'
+        : 'Breathing guide started early — stress is forecast to rise', 'warn');
     }
-  } else if (stress < state.breathThreshold - 10 && state.breathingActive) {
+  } else if (stress < state.breathThreshold - 10 && !early && state.breathingActive) {
     breathing.stop();
     state.breathingActive = false;
     breathCooldown = now;
+    recordBreathing('stop', 'normalized', stress);
     log('Breathing guide paused — stress normalized', 'ok');
   }
 }
 
+function recordBreathing(action, trigger, stress = null) {
+  sessions.recordBreathing({ action, trigger, pattern: breathing.pattern, stress });
+}
+
 // ──────────────────────────────────────────────
 //  Session Timer
 // ──────────────────────────────────────────────
@@ -411,11 +933,13 @@ function setupTabs() {
       document.getElementById(`tab-${btn.dataset.tab}`).classList.add('active');
       if (btn.dataset.tab === 'analytics') {
         setTimeout(() => {
-          renderer.drawTimeline();
+          renderer.drawTimeline(state.episodes, null, state.markers);
+          renderer.drawContributionTimeline();
           renderer.drawEmotionPie();
           renderer.drawDistribution(state.allStress);
         }, 50);
       }
+      if (btn.dataset.tab === 'trends') openTrendsTab();
     });
   });
 }
@@ -424,6 +948,9 @@ function setupTabs() {
 //  Settings
 // ──────────────────────────────────────────────
 function setupSettings() {
+  // Secondary face analyzers mirror the primary analyzer's settings
+  ['input', 'change'].forEach(ev => document.getElementById('tab-settings').addEventListener(ev, syncFaceAnalyzers));
+
   // Sound
   document.getElementById('soundToggle').addEventListener('change', e => audio.setEnabled(e.target.checked));
   document.getElementById('alertThreshold').addEventListener('input', e => {
@@ -431,7 +958,7 @@ function setupSettings() {
     setEl('alertThreshVal', e.target.value);
   });
   document.getElementById('alertTone').addEventListener('change', e => audio.setTone(e.target.value));
-  document.getElementById('testSoundBtn').addEventListener('click', () => audio.play());
+  document.getElementById('testSoundBtn').addEventListener('click', () => audio.preview());
 
   // Detection
   document.getElementById('detectionSpeed').addEventListener('change', e => {
@@ -440,15 +967,159 @@ function setupSettings() {
   });
   document.getElementById('showLandmarks').addEventListener('change', e => renderer.showLandmarks = e.target.checked);
   document.getElementById('showBBox').addEventListener('change', e => renderer.showBBox = e.target.checked);
+  document.getElementById('qualityThreshold').addEventListener('input', e => {
+    frameQuality.setThreshold(+e.target.value / 100);
+    setEl('qualityThreshVal', e.target.value);
+  });
   document.getElementById('multiFaceMode').addEventListener('change', e => {
     state.multiFaceMode = e.target.checked;
+    if (!state.multiFaceMode) {
+      faceAnalyzers.clear();
+      updateFaceStrip(null, []);
+      if (state.groupMode) setGroupMode(false);
+    }
     log(`Multi-face mode: ${e.target.checked ? 'ON' : 'OFF'}`, 'info');
   });
 
+  // Smoothing
+  const applySmoothing = () => {
+    const { method, landmarks, score } = state.smoothing;
+    analyzer.setSmoothing(method, landmarks, score);
+  };
+  document.getElementById('smoothingMethod').addEventListener('change', e => {
+    state.smoothing.method = e.target.value;
+    applySmoothing();
+    log(`Smoothing: ${e.target.value}`, 'info');
+  });
+  document.getElementById('landmarkSmoothing').addEventListener('input', e => {
+    state.smoothing.landmarks = +e.target.value / 100;
+    setEl('landmarkSmoothVal', e.target.value);
+    applySmoothing();
+  });
+  document.getElementById('scoreSmoothing').addEventListener('input', e => {
+    state.smoothing.score = +e.target.value / 100;
+    setEl('scoreSmoothVal', e.target.value);
+    applySmoothing();
+  });
+  document.getElementById('showRawHistory').addEventListener('change', e => renderer.showRawHistory = e.target.checked);
+
+  // Emotion fusion
+  const fusion = analyzer.emotionFusion;
+  document.getElementById('scoringMode').addEventListener('change', e => {
+    analyzer.setScoringMode(e.target.value);
+    log(`Scoring mode: ${e.target.value === 'fused' ? 'emotion-aware' : 'geometry only'}`, 'info');
+  });
+  document.getElementById('emotionGate').addEventListener('input', e => {
+    fusion.setGate(+e.target.value / 100);
+    setEl('emotionGateVal', e.target.value);
+  });
+  document.getElementById('emotionWeights').innerHTML = EMOTIONS.map(e => `
+    <div class="setting-row">
+      <div class="setting-info"><div class="setting-name">${e[0].toUpperCase() + e.slice(1)}</div></div>
+      <div class="slider-wrap">
+        <input type="range" class="slider" data-emotion-weight="${e}" min="-100" max="100" value="${Math.round(fusion.weights[e] * 100)}">
+        <span id="emoWeightVal-${e}">${Math.round(fusion.weights[e] * 100)}</span>
+      </div>
+    </div>`).join('');
+  document.querySelectorAll('[data-emotion-weight]').forEach(sl => {
+    sl.addEventListener('input', e => {
+      const emo = e.target.dataset.emotionWeight;
+      fusion.setWeight(emo, +e.target.value / 100);
+      setEl(`emoWeightVal-${emo}`, e.target.value);
+    });
+  });
+
+  // Group mode
+  document.getElementById('groupModeToggle').addEventListener('change', e => setGroupMode(e.target.checked));
+  document.getElementById('groupPersonThreshold').addEventListener('input', e => {
+    group.setThresholds({ person: +e.target.value });
+    setEl('groupPersonVal', e.target.value);
+  });
+  document.getElementById('groupMeanThreshold').addEventListener('input', e => {
+    group.setThresholds({ mean: +e.target.value });
+    setEl('groupMeanVal', e.target.value);
+  });
+  document.getElementById('groupShareThreshold').addEventListener('input', e => {
+    group.setThresholds({ share: +e.target.value / 100 });
+    setEl('groupShareVal', e.target.value);
+  });
+
+  // Heart rate (rPPG)
+  document.getElementById('pulseToggle').addEventListener('change', e => {
+    state.pulseEnabled = e.target.checked;
+    pulse.reset();
+    if (!state.pulseEnabled) updatePulseUI(null);
+    log(`Pulse estimation ${state.pulseEnabled ? 'enabled' : 'disabled'}`, 'info');
+  });
+  document.getElementById('pulseScoring').addEventListener('change', e => {
+    analyzer.setPulseScoring(e.target.checked);
+    log(`Heart rate ${e.target.checked ? 'included in' : 'excluded from'} stress score`, 'info');
+  });
+
+  // Voice (microphone)
+  document.getElementById('voiceToggle').addEventListener('change', async e => {
+    state.voiceEnabled = e.target.checked;
+    if (!state.voiceEnabled) {
+      voice.stop();
+      updateVoiceUI(null);
+      log('Voice stress channel off — microphone released', 'info');
+    } else if (state.running) {
+      await startVoice();
+    } else {
+      updateVoiceUI(null);
+    }
+  });
+  document.getElementById('voiceScoring').addEventListener('change', e => {
+    analyzer.setVoiceScoring(e.target.checked);
+    log(`Voice stress ${e.target.checked ? 'included in' : 'excluded from'} stress score`, 'info');
+  });
+  document.getElementById('voiceFile').addEventListener('change', e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) analyzeVoiceFile(file);
+  });
+
+  // Fatigue
+  document.getElementById('fatigueAlertToggle').addEventListener('change', e => {
+    state.fatigueAlerts = e.target.checked;
+  });
+  document.getElementById('fatigueThreshold').addEventListener('input', e => {
+    state.fatigueThreshold = +e.target.value;
+    setEl('fatigueThreshVal', e.target.value);
+  });
+
+  // Forecast
+  document.getElementById('forecastWarnToggle').addEventListener('change', e => {
+    state.forecastWarnings = e.target.checked;
+  });
+  document.getElementById('forecastHorizon').addEventListener('input', e => {
+    forecaster.setHorizon(+e.target.value);
+    setEl('forecastHorizonVal', `${e.target.value} min`);
+  });
+
+  // Ergonomics
+  document.getElementById('ergoReminderToggle').addEventListener('change', e => {
+    state.ergoReminders = e.target.checked;
+  });
+  document.getElementById('breakInterval').addEventListener('input', e => {
+    ergonomics.setBreakInterval(+e.target.value);
+    setEl('breakIntervalVal', `${e.target.value} min`);
+  });
+  document.getElementById('resetPostureBtn').addEventListener('click', () => {
+    ergonomics.resetBaseline();
+    postureReady = false;
+    renderPostureStatus();
+    log('Posture baseline cleared — sit normally to capture a new one', 'info');
+  });
+  renderPostureStatus();
+
   // Breathing
   document.getElementById('breathingAutoToggle').addEventListener('change', e => {
     state.breathAutoMode = e.target.checked;
   });
+  document.getElementById('breathingEarlyToggle').addEventListener('change', e => {
+    state.breathEarly = e.target.checked;
+  });
   document.getElementById('breatheThreshold').addEventListener('input', e => {
     state.breathThreshold = +e.target.value;
     setEl('breatheThreshDisplay', e.target.value);
@@ -475,61 +1146,1313 @@ function setupSettings() {
   document.getElementById('breathingToggle').addEventListener('change', e => {
     breathing.toggle(e.target.checked);
     state.breathingActive = e.target.checked;
+    recordBreathing(e.target.checked ? 'start' : 'stop', 'manual');
   });
   document.querySelectorAll('.breathe-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       document.querySelectorAll('.breathe-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       breathing.setPattern(btn.dataset.pattern);
+      recordBreathing('pattern', 'manual');
       log(`Breathing pattern: ${btn.dataset.pattern}`, 'info');
     });
   });
 }
 
+// ──────────────────────────────────────────────
+//  Multi-Face Tracking
+// ──────────────────────────────────────────────
+const FACE_STRIP_MAX = 6;
+
+/**
+ * Keep the primary face (dashboard, fatigue, pulse, calibration) on one person.
+ * In multi-face mode it stays with the oldest track until that face is lost;
+ * in single-face mode it simply follows the detected face.
+ */
+function handleTrackChanges(tracks, added, removed) {
+  removed.forEach(id => {
+    faceAnalyzers.delete(id);
+    if (state.multiFaceMode && id !== state.primaryId) log(`FACE ${id} left`, 'info');
+  });
+
+  if (!state.multiFaceMode) {
+    if (tracks.length && tracks[0].id !== state.primaryId) setPrimaryFace(tracks[0].id);
+    return;
+  }
+  added.forEach(id => { if (state.primaryId !== null) log(`FACE ${id} joined`, 'info'); });
+
+  if ((state.primaryId === null || removed.includes(state.primaryId)) && tracks.length) {
+    setPrimaryFace(tracks[0].id);
+  }
+}
+
+/** Make a track the primary face, clearing per-person buffers when it replaces another */
+function setPrimaryFace(next) {
+  if (state.primaryId !== null) {
+    // A different person (or a new track after a long dropout) — blink, movement and pulse buffers must not carry over
+    analyzer.resetFace();
+    fatigue.reset();
+    actionUnits.reset();
+    pulse.reset();
+    frameQuality.reset();
+    if (state.multiFaceMode) log(`Primary face → FACE ${next}`, 'warn');
+  }
+  faceAnalyzers.delete(next);
+  state.primaryId = next;
+}
+
+/** Analyze one non-primary face with its own analyzer + quality gate */
+function analyzeSecondaryFace(track) {
+  let face = faceAnalyzers.get(track.id);
+  if (!face) {
+    face = { analyzer: new StressAnalyzer(), quality: new FrameQuality() };
+    face.analyzer.setFrameSize(state.video.videoWidth, state.video.videoHeight);
+    configureFaceAnalyzer(face);
+    faceAnalyzers.set(track.id, face);
+  }
+  const det     = track.det;
+  const result  = face.analyzer.analyze(det.landmarks, det.detection.box, det.expressions, {
+    gate: pose => face.quality.assess(det, state.video, pose),
+  });
+  const emotion = parseEmotions(det.expressions);
+  if (!result.gated) sessions.recordFaceFrame(track.id, result.stress, emotion);
+  return {
+    id: track.id,
+    result,
+    outline: { det, id: track.id, color: (result.gated ? GATED_LEVEL : result.level).color },
+  };
+}
+
+/** Copy scoring settings from the primary analyzer (no baseline — calibration is per user) */
+function configureFaceAnalyzer({ analyzer: a, quality }) {
+  a.setProfile(analyzer.profile);
+  a.setScoringMode(analyzer.scoringMode);
+  const { method, landmarks, score } = analyzer.smoothing;
+  if (a.smoothing.method !== method || a.smoothing.landmarks !== landmarks || a.smoothing.score !== score) {
+    a.setSmoothing(method, landmarks, score);
+  }
+  Object.assign(a.emotionFusion.weights, analyzer.emotionFusion.weights);
+  a.emotionFusion.setGate(analyzer.emotionFusion.gate);
+  quality.setThreshold(frameQuality.threshold);
+}
+
+function syncFaceAnalyzers() {
+  faceAnalyzers.forEach(configureFaceAnalyzer);
+}
+
+/** Mini panel per tracked face (multi-face mode only) */
+function updateFaceStrip(primary, others) {
+  const strip = document.getElementById('faceStrip');
+  const faces = [...(primary ? [{ ...primary, primary: true }] : []), ...others];
+  // Group mode shows the roster instead
+  if (!state.multiFaceMode || state.groupMode || !faces.length) {
+    strip.hidden    = true;
+    strip.innerHTML = '';
+    return;
+  }
+  strip.hidden    = false;
+  strip.innerHTML = faces.slice(0, FACE_STRIP_MAX).map(f => {
+    const lv = f.result.level;
+    return `
+    <div class="face-card${f.primary ? ' primary' : ''}${f.result.gated ? ' gated' : ''}" style="border-color:${escapeHtml(lv.color)}55">
+      <div class="face-card-id">FACE ${f.id}${f.primary ? ' · MAIN' : ''}</div>
+      <div class="face-card-score" style="color:${escapeHtml(lv.color)}">${f.result.stress}</div>
+      <div class="face-card-level">${escapeHtml(lv.label)}</div>
+      <div class="face-card-top">${describeContributions(f.result.contributions, 2) || '—'}</div>
+    </div>`;
+  }).join('');
+}
+
+// ──────────────────────────────────────────────
+//  Group / Meeting Mode
+// ──────────────────────────────────────────────
+function setGroupMode(on) {
+  state.groupMode = on;
+  document.getElementById('groupModeToggle').checked = on;
+  document.getElementById('groupPanel').hidden = !on;
+  if (on && !state.multiFaceMode) {
+    // Group mode is built on multi-face tracking
+    state.multiFaceMode = true;
+    document.getElementById('multiFaceMode').checked = true;
+  }
+  group.reset();
+  updateGroupUI(null);
+  log(`Group mode ${on ? 'ON' : 'OFF'}`, 'info');
+}
+
+/** @param {{id:number, result:object}[]} faces — every tracked face analyzed this frame */
+function handleGroup(faces) {
+  const room = group.update(faces.map(f => ({ id: f.id, stress: f.result.stress, gated: f.result.gated })));
+  updateGroupUI(room);
+  sessions.recordGroupFrame(room);
+
+  room.events.forEach(ev => {
+    const msg = ev.type === 'room-mean'
+      ? `room mean ${ev.value}/100 across ${room.count} people`
+      : `${Math.round(ev.value * 100)}% of the room above ${group.personThreshold} (${room.above}/${room.count})`;
+    sessions.recordGroupAlert({ type: ev.type, value: ev.value, count: room.count });
+    audio.play();
+    flashAlertBell();
+    log(`⚠ Group alert: ${msg}`, 'alert');
+  });
+}
+
+function updateGroupUI(room) {
+  const badge = document.getElementById('groupBadge');
+  if (!room || !room.count) {
+    ['groupCount', 'groupMean', 'groupMax', 'groupShare'].forEach(id => setEl(id, '--'));
+    setEl('groupLevel', 'WAITING');
+    badge.className = 'level-badge';
+    document.getElementById('groupRoster').innerHTML = '';
+    return;
+  }
+  const lv = levelFor(profiles.active, room.mean);
+  setEl('groupCount', room.count < room.visible ? `${room.count}/${room.visible}` : room.count);
+  setEl('groupMean',  room.mean);
+  setEl('groupMax',   room.max);
+  setEl('groupShare', `${Math.round(room.share * 100)}%`);
+  setEl('groupLevel', lv.label);
+  badge.className = `level-badge ${lv.cls}`;
+
+  document.getElementById('groupRoster').innerHTML = room.people.map(p => {
+    const c = escapeHtml(levelFor(profiles.active, p.stress).color);
+    return `
+    <div class="roster-row${p.above ? ' above' : ''}" title="Peak ${p.peak} · seen ${Math.round((p.lastSeen - p.firstSeen) / 1000)}s">
+      <span class="roster-id">FACE ${p.id}${p.id === state.primaryId ? ' · MAIN' : ''}</span>
+      <div class="roster-track">
+        <div class="roster-fill" style="width:${p.stress}%;background:${c}"></div>
+        <div class="roster-mark" style="left:${group.personThreshold}%"></div>
+      </div>
+      <span class="roster-val" style="color:${c}">${p.stress}</span>
+    </div>`;
+  }).join('');
+}
+
+// ──────────────────────────────────────────────
+//  Calibration
+// ──────────────────────────────────────────────
+const CAL_CHANNEL_NAMES = {
+  eyeOpenness:  'Eye openness (EAR)',
+  browTension:  'Brow gap / face',
+  mouthTension: 'Mouth ratio',
+  asymmetry:    'Asymmetry / face',
+  headMovement: 'Head movement',
+  heartRate:    'Resting heart rate (bpm)',
+};
+
+function setupCalibration() {
+  document.getElementById('calibrateBtn').addEventListener('click', startCalibration);
+  document.getElementById('calibrationCancelBtn').addEventListener('click', () => {
+    calibration.cancel();
+    showCalibrationOverlay(false);
+    log('Calibration cancelled', 'warn');
+  });
+  document.getElementById('clearCalibrationBtn').addEventListener('click', () => {
+    calibration.clear();
+    analyzer.setBaseline(null);
+    fatigue.setBaseline(null);
+    renderCalibrationStatus();
+    log('Calibration cleared — using population defaults', 'info');
+  });
+  renderCalibrationStatus();
+}
+
+function startCalibration() {
+  if (!state.running) {
+    log('Start the camera before calibrating', 'warn');
+    return;
+  }
+  calibration.begin();
+  showCalibrationOverlay(true);
+  log(`Calibration started — sit neutrally for ${calibration.DURATION_MS / 1000}s`, 'info');
+}
+
+function handleCalibration(metrics) {
+  calibration.addSample(metrics);
+  const pct = Math.round(calibration.progress * 100);
+  document.getElementById('calibrationFill').style.width = `${pct}%`;
+  setEl('calibrationPct', `${pct}%`);
+  if (!calibration.isComplete) return;
+
+  const baseline = calibration.finish();
+  showCalibrationOverlay(false);
+  if (baseline) {
+    analyzer.setBaseline(baseline);
+    fatigue.setBaseline(baseline);
+    log(`Calibration saved — ${baseline.samples} frames`, 'ok');
+  } else {
+    log('Calibration failed — face not visible long enough, try again', 'alert');
+  }
+  renderCalibrationStatus();
+}
+
+function showCalibrationOverlay(show) {
+  document.getElementById('calibrationOverlay').style.display = show ? 'flex' : 'none';
+  document.getElementById('calibrationFill').style.width = '0%';
+  setEl('calibrationPct', '0%');
+}
+
+function renderCalibrationStatus() {
+  const b = calibration.baseline;
+  setEl('calibrationStatus', b
+    ? `Calibrated ${new Date(b.createdAt).toLocaleString()} · ${b.samples} frames`
+    : 'Not calibrated — using population defaults');
+  const table = document.getElementById('calibrationTable');
+  table.innerHTML = b
+    ? Object.entries(b.channels).map(([k, c]) => `
+      <div class="sum-row"><span>${CAL_CHANNEL_NAMES[k] || k}</span><span>${c.mean.toFixed(k === 'heartRate' ? 0 : 3)} ± ${c.sd.toFixed(k === 'heartRate' ? 1 : 3)}</span></div>`).join('')
+    : '';
+  document.getElementById('clearCalibrationBtn').disabled = !b;
+}
+
+// ──────────────────────────────────────────────
+//  Gaze Calibration (5-point, optional)
+// ──────────────────────────────────────────────
+function setupGazeCalibration() {
+  document.getElementById('gazeCalibrateBtn').addEventListener('click', startGazeCalibration);
+  document.getElementById('gazeCalCancelBtn').addEventListener('click', () => {
+    cancelGazeCalibration();
+    log('Gaze calibration cancelled', 'warn');
+  });
+  document.getElementById('clearGazeCalBtn').addEventListener('click', () => {
+    analyzer.gaze.clearCalibration();
+    renderGazeCalStatus();
+    log('Gaze calibration cleared — using head-pose screen estimate', 'info');
+  });
+  renderGazeCalStatus();
+}
+
+function startGazeCalibration() {
+  if (!state.running) {
+    log('Start the camera before calibrating gaze', 'warn');
+    return;
+  }
+  state.gazeCal = { index: 0, start: Date.now(), samples: [], fixations: [] };
+  document.getElementById('gazeCalOverlay').style.display = 'block';
+  placeGazeTarget(0);
+  log('Gaze calibration started — follow the dot with your eyes', 'info');
+}
+
+function cancelGazeCalibration() {
+  state.gazeCal = null;
+  document.getElementById('gazeCalOverlay').style.display = 'none';
+}
+
+function placeGazeTarget(index) {
+  const { x, y } = GAZE_CAL_POINTS[index];
+  const dot = document.getElementById('gazeCalTarget');
+  dot.style.left = `${x * 100}%`;
+  dot.style.top  = `${y * 100}%`;
+  dot.className  = 'gaze-target';
+  setEl('gazeCalStep', `${index + 1} / ${GAZE_CAL_POINTS.length}`);
+}
+
+/** Settle on each target, then take the median gaze angles while the user fixates it */
+function handleGazeCalibration(gaze) {
+  const cal     = state.gazeCal;
+  const g       = analyzer.gaze;
+  const elapsed = Date.now() - cal.start;
+  if (elapsed < g.CAL_SETTLE_MS) return;
+  document.getElementById('gazeCalTarget').className = 'gaze-target collecting';
+  if (gaze.pupils) cal.samples.push(gaze);
+  if (elapsed < g.CAL_SETTLE_MS + g.CAL_COLLECT_MS) return;
+
+  if (cal.samples.length) {
+    const median = key => {
+      const v = cal.samples.map(s => s[key]).sort((a, b) => a - b);
+      return v[Math.floor(v.length / 2)];
+    };
+    cal.fixations.push({ ...GAZE_CAL_POINTS[cal.index], yaw: median('yaw'), pitch: median('pitch') });
+  }
+  cal.index++;
+  cal.samples = [];
+  cal.start   = Date.now();
+  if (cal.index < GAZE_CAL_POINTS.length) {
+    placeGazeTarget(cal.index);
+    return;
+  }
+
+  cancelGazeCalibration();
+  const fit = cal.fixations.length === GAZE_CAL_POINTS.length ? g.fitCalibration(cal.fixations) : null;
+  if (fit) log(`Gaze calibration saved — ${fit.points} points`, 'ok');
+  else     log('Gaze calibration failed — eyes not found at every point, try again', 'alert');
+  renderGazeCalStatus();
+}
+
+function renderGazeCalStatus() {
+  const c = analyzer.gaze.calibration;
+  setEl('gazeCalStatus', c
+    ? `Calibrated ${new Date(c.createdAt).toLocaleString()} · ${c.points} points`
+    : 'Not calibrated — screen assumed below a top-mounted camera');
+  document.getElementById('clearGazeCalBtn').disabled = !c;
+}
+
+// ──────────────────────────────────────────────
+//  Scoring Profiles
+// ──────────────────────────────────────────────
+function setupProfiles() {
+  document.getElementById('profileSelect').addEventListener('change', e => {
+    profiles.setActive(e.target.value);
+    applyProfile();
+    log(`Scoring profile: ${profiles.active.name}`, 'info');
+  });
+  document.getElementById('profileDuplicateBtn').addEventListener('click', () => {
+    const copy = profiles.duplicate(profiles.activeId);
+    profiles.setActive(copy.id);
+    applyProfile();
+    log(`Profile created: ${copy.name}`, 'ok');
+  });
+  document.getElementById('profileDeleteBtn').addEventListener('click', () => {
+    const p = profiles.active;
+    if (p.builtIn || !confirm(`Delete profile "${p.name}"?`)) return;
+    profiles.remove(p.id);
+    applyProfile();
+    log(`Profile deleted: ${p.name}`, 'info');
+  });
+  document.getElementById('profileExportBtn').addEventListener('click', () => {
+    const p = profiles.active;
+    downloadFile(profiles.toJSON(p.id), `neurocal_profile_${p.id}.json`, 'application/json');
+  });
+  document.getElementById('profileImportInput').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = profiles.importJSON(await file.text());
+      profiles.setActive(imported[0].id);
+      applyProfile();
+      log(`Imported ${imported.length} profile(s) from ${file.name}`, 'ok');
+    } catch (err) {
+      log(`Profile import failed: ${err.message}`, 'alert');
+    }
+  });
+  document.getElementById('profileName').addEventListener('change', e => {
+    editProfile({ name: e.target.value.trim() });
+  });
+  applyProfile();
+}
+
+/** Push the active profile into analyzer, renderer, running session and the editor */
+function applyProfile() {
+  const p = profiles.active;
+  analyzer.setProfile(p);
+  syncFaceAnalyzers();
+  renderer.profile = p;
+  if (state.running) sessions.setProfile(profiles.snapshot());
+  renderProfileEditor();
+  renderSessionsList();
+}
+
+function editProfile(changes) {
+  try {
+    profiles.update(profiles.activeId, changes);
+    applyProfile();
+  } catch (err) {
+    log(`Profile not saved: ${err.message}`, 'alert');
+    renderProfileEditor();
+  }
+}
+
+function renderProfileEditor() {
+  const p  = profiles.active;
+  const ro = p.builtIn ? 'disabled' : '';
+  document.getElementById('profileSelect').innerHTML = profiles.getAll().map(x =>
+    `<option value="${escapeHtml(x.id)}"${x.id === p.id ? ' selected' : ''}>${escapeHtml(x.name)}${x.builtIn ? '' : ' ✎'}</option>`
+  ).join('');
+  setEl('profileDesc', p.builtIn ? 'Built-in · duplicate to edit' : 'Custom · editable');
+  document.getElementById('profileDeleteBtn').disabled = !!p.builtIn;
+  const nameEl = document.getElementById('profileName');
+  nameEl.value    = p.name;
+  nameEl.disabled = !!p.builtIn;
+
+  document.getElementById('profileWeights').innerHTML = STRESS_CHANNELS.map(ch => `
+    <div class="setting-row compact">
+      <div class="setting-info"><div class="setting-name"><span class="legend-dot" style="background:${ch.color}"></span> ${ch.label}</div></div>
+      <div class="slider-wrap">
+        <input type="range" class="slider" data-profile-weight="${ch.key}" min="0" max="50" value="${p.weights[ch.key] || 0}" ${ro}>
+        <span>${p.weights[ch.key] || 0}</span>
+      </div>
+    </div>`).join('');
+
+  document.getElementById('profileLevels').innerHTML = p.levels.map((lv, i) => `
+    <div class="profile-level">
+      <span class="level-badge ${LEVEL_CLASSES[i]}">${i + 1}</span>
+      <label>from <input type="number" class="text-input num" data-level-min="${i}" min="0" max="100" value="${lv.min}" ${ro || (i === 0 ? 'disabled' : '')}></label>
+      <input type="text" class="text-input" data-level-label="${i}" value="${escapeHtml(lv.label)}" maxlength="12" ${ro}>
+      <input type="color" class="color-input" data-level-color="${i}" value="${escapeHtml(lv.color)}" ${ro}>
+    </div>`).join('');
+
+  if (p.builtIn) return;
+  document.querySelectorAll('[data-profile-weight]').forEach(sl => {
+    sl.addEventListener('input', e => { e.target.nextElementSibling.textContent = e.target.value; });
+    sl.addEventListener('change', e => {
+      editProfile({ weights: { ...profiles.active.weights, [e.target.dataset.profileWeight]: +e.target.value } });
+    });
+  });
+  const editLevel = (i, field, value) => {
+    const levels = profiles.active.levels.map(lv => ({ ...lv }));
+    levels[i][field] = value;
+    editProfile({ levels });
+  };
+  document.querySelectorAll('[data-level-min]').forEach(el =>
+    el.addEventListener('change', e => editLevel(+e.target.dataset.levelMin, 'min', +e.target.value)));
+  document.querySelectorAll('[data-level-label]').forEach(el =>
+    el.addEventListener('change', e => editLevel(+e.target.dataset.levelLabel, 'label', e.target.value.trim().toUpperCase())));
+  document.querySelectorAll('[data-level-color]').forEach(el =>
+    el.addEventListener('change', e => editLevel(+e.target.dataset.levelColor, 'color', e.target.value)));
+}
+
+// ──────────────────────────────────────────────
+//  Trends Tab
+// ──────────────────────────────────────────────
+let trendsBackfilled = false;
+
+function setupTrendsTab() {
+  const range = document.getElementById('trendRange');
+  range.addEventListener('change', () => { applyTrendRange(); renderTrends(); });
+  ['trendFrom', 'trendTo'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+    range.value = 'custom';
+    renderTrends();
+  }));
+  document.getElementById('trendBucket').addEventListener('change', renderTrends);
+  applyTrendRange();
+}
+
+function openTrendsTab() {
+  renderTrends();
+  // Sessions stored before trend summaries existed get them once (their frames are read from storage)
+  if (trendsBackfilled) return;
+  trendsBackfilled = true;
+  sessions.backfillTrends()
+    .then(n => { if (n) { log(`Trends: summarized ${n} older session${n === 1 ? '' : 's'}`, 'sys'); renderTrends(); } })
+    .catch(err => log(`Trends backfill failed: ${err.message}`, 'alert'));
+}
+
+/** Preset range → date inputs (All time clears them) */
+function applyTrendRange() {
+  const days = document.getElementById('trendRange').value;
+  if (days === 'custom') return;
+  const today = new Date();
+  const from  = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (+days - 1));
+  document.getElementById('trendFrom').value = +days ? toDateInput(from)  : '';
+  document.getElementById('trendTo').value   = +days ? toDateInput(today) : '';
+}
+
+function toDateInput(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+/** Local midnight of a yyyy-mm-dd input value, offset by whole days */
+function fromDateInput(value, addDays = 0) {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d + addDays).getTime();
+}
+
+function renderTrends() {
+  const fromVal = document.getElementById('trendFrom').value;
+  const toVal   = document.getElementById('trendTo').value;
+  const t = sessions.trendAnalyzer.analyze(sessions.getSessions(), {
+    from:   fromVal ? fromDateInput(fromVal)  : -Infinity,
+    to:     toVal   ? fromDateInput(toVal, 1) : Infinity,   // end date inclusive
+    bucket: document.getElementById('trendBucket').value,
+  });
+  const tot = t.totals;
+
+  document.getElementById('trendEmpty').hidden = tot.sessions > 0;
+  setEl('trendSessions', tot.sessions);
+  setEl('trendDuration', tot.sessions ? formatDuration(tot.durationMs) : '--');
+  setEl('trendAvg',      tot.avgStress ?? '--');
+  setEl('trendPeak',     tot.peakStress ?? '--');
+  setEl('trendAlerts',   tot.alertsPerHour ?? '--');
+  setEl('trendCalm',     tot.calmPct != null ? `${tot.calmPct}%` : '--');
+  const slope = document.getElementById('trendSlope');
+  slope.textContent = tot.trendPerWeek != null ? `${tot.trendPerWeek > 0 ? '+' : ''}${tot.trendPerWeek}` : '--';
+  slope.style.color = tot.trendPerWeek == null || tot.trendPerWeek === 0 ? ''
+    : tot.trendPerWeek < 0 ? 'var(--success)' : 'var(--danger)';
+  slope.title = 'Change in average stress per week (least-squares over the buckets); negative = improving';
+
+  renderer.drawTrendStress(t.buckets);
+  renderer.drawTrendAlerts(t.buckets);
+  renderer.drawTrendEmotions(t.buckets);
+  renderer.drawTrendHeatmap(t.heatmap);
+
+  document.getElementById('trendEmotionLegend').innerHTML = Object.entries(tot.emotions)
+    .filter(([, share]) => share > 0)
+    .map(([emo, share]) => `<div class="pie-legend-item"><span style="width:8px;height:8px;border-radius:50%;background:${renderer.emotionColors[emo]};display:inline-block"></span>${emo} ${(share * 100).toFixed(1)}%</div>`)
+    .join('');
+
+  // Most stressful slot of the week
+  const DAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+  let hot = null;
+  t.heatmap.mean.forEach((row, d) => row.forEach((v, h) => { if (v !== null && (!hot || v > hot.v)) hot = { d, h, v }; }));
+  setEl('trendHotspot', hot ? `Highest: ${DAYS[hot.d]} ${String(hot.h).padStart(2,'0')}:00 (avg ${hot.v})` : '');
+}
+
+// ──────────────────────────────────────────────
+//  Event Markers
+// ──────────────────────────────────────────────
+function setupMarkers() {
+  const input = document.getElementById('markerLabel');
+  document.getElementById('markerBtn').addEventListener('click', addMarker);
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') addMarker(); });
+  // Hotkey M — ignored while typing in a field
+  document.addEventListener('keydown', e => {
+    if (e.key.toLowerCase() !== 'm' || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+    addMarker();
+  });
+}
+
+function addMarker() {
+  const input  = document.getElementById('markerLabel');
+  const marker = sessions.addMarker(input.value);
+  if (!marker) return;   // not recording
+  input.value = '';
+  setEl('markerCount', `⚑ ${state.markers.length}`);
+  log(`⚑ ${formatClock(marker.t)} — ${marker.label}`, 'info');
+  renderer.drawTimeline(state.episodes, null, state.markers);
+}
+
 // ──────────────────────────────────────────────
 //  Sessions Tab
 // ──────────────────────────────────────────────
 function setupSessionsTab() {
-  document.getElementById('exportCsvBtn').addEventListener('click',  () => sessions.exportCSV());
-  document.getElementById('exportJsonBtn').addEventListener('click', () => sessions.exportJSON());
-  document.getElementById('clearSessionsBtn').addEventListener('click', () => {
+  document.getElementById('sessionTagFilter').addEventListener('change', renderSessionsList);
+  document.getElementById('exportCsvBtn').addEventListener('click',  () => confirmPlainExport('the CSV') && sessions.exportCSV());
+  document.getElementById('exportJsonBtn').addEventListener('click', () => confirmPlainExport('the session summary JSON') && sessions.exportJSON());
+  document.getElementById('backupSessionsBtn').addEventListener('click', async () => {
+    try {
+      let n;
+      await exportWithPassphrase(async passphrase => { n = await sessions.exportBundle(passphrase); });
+      if (n === undefined) return;   // cancelled
+      log(n ? `Exported ${n} session${n === 1 ? '' : 's'} with frames` : 'No sessions to export', n ? 'ok' : 'info');
+    } catch (err) {
+      log(`Export failed: ${err.message}`, 'alert');
+    }
+  });
+  document.getElementById('sessionImportInput').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      let result;
+      if (isEncryptedSessionFile(text)) {
+        await askPassphrase({
+          title:  '🔒 ENCRYPTED SESSION FILE',
+          desc:   `${file.name} is encrypted. Enter the passphrase it was exported with.`,
+          submit: async passphrase => { result = await sessions.importSessionFile(text, passphrase); },
+        });
+        if (!result) return;   // cancelled
+      } else {
+        result = await sessions.importSessionFile(text);
+      }
+      const { imported, duplicates, removed } = result;
+      log(`Imported ${imported} session${imported === 1 ? '' : 's'} from ${file.name}`
+        + (duplicates ? ` · ${duplicates} already present` : '')
+        + (removed ? ` · ${removed} removed by retention policy` : ''), imported ? 'ok' : 'info');
+    } catch (err) {
+      log(`Session import failed: ${err.message}`, 'alert');
+    }
+    renderSessionsList();
+    renderStorageUsage();
+  });
+  document.getElementById('clearSessionsBtn').addEventListener('click', async () => {
     if (confirm('Clear all sessions?')) {
-      sessions.clearAll();
+      await sessions.clearAll().catch(err => log(`Clear failed: ${err.message}`, 'alert'));
       renderSessionsList();
+      renderStorageUsage();
     }
   });
+
+  // Storage + retention (Settings)
+  const count = document.getElementById('retentionCount');
+  const age   = document.getElementById('retentionAge');
+  count.value = sessions.retention.maxSessions;
+  age.value   = sessions.retention.maxAgeDays;
+  const apply = async () => {
+    const policy  = { maxSessions: +count.value, maxAgeDays: +age.value };
+    const expired = sessions.expiredBy(policy).length;
+    if (expired && !confirm(`${expired} session${expired === 1 ? '' : 's'} fall outside this policy and will be deleted. Continue?`)) {
+      count.value = sessions.retention.maxSessions;
+      age.value   = sessions.retention.maxAgeDays;
+      return;
+    }
+    const removed = await sessions.setRetention(policy);
+    if (removed) log(`Retention policy removed ${removed} session${removed === 1 ? '' : 's'}`, 'info');
+    renderSessionsList();
+    renderStorageUsage();
+  };
+  count.addEventListener('change', apply);
+  age.addEventListener('change', apply);
+  document.getElementById('refreshStorageBtn').addEventListener('click', renderStorageUsage);
+}
+
+/** Settings in effect at session start — saved with the session and its exported file */
+function sessionSettings() {
+  return {
+    alertThreshold:   state.alertThreshold,
+    breathAutoMode:   state.breathAutoMode,
+    breathThreshold:  state.breathThreshold,
+    breathEarly:      state.breathEarly,
+    breathPattern:    breathing.pattern,
+    detectionInput:   DETECTION_INPUT_SIZE,
+    minQuality:       frameQuality.threshold,
+    smoothing:        { ...state.smoothing },
+    scoringMode:      analyzer.scoringMode,
+    emotionGate:      analyzer.emotionFusion.gate,
+    pulse:            { enabled: state.pulseEnabled, scoring: analyzer.usePulse },
+    voice:            { enabled: state.voiceEnabled, scoring: analyzer.useVoice },
+    multiFace:        state.multiFaceMode,
+    groupMode:        state.groupMode,
+    fatigueThreshold: state.fatigueThreshold,
+    forecast:         { warnings: state.forecastWarnings, horizonMin: forecaster.horizonMs / 60000 },
+    faceCalibrated:   !!calibration.baseline,
+    gazeCalibrated:   !!analyzer.gaze.calibration,
+  };
+}
+
+async function initSessionStore() {
+  try {
+    await sessions.init();
+    log(`Session store: ${sessions.store.name} — ${sessions.locked ? 'locked' : `${sessions.getSessions().length} saved sessions`}`, 'sys');
+    logRecovered();
+  } catch (err) {
+    log(`Session store unavailable: ${err.message}`, 'alert');
+  }
+  renderSessionsList();
+  renderStorageUsage();
+  renderVaultStatus();
+  if (sessions.locked) unlockVault();   // not awaited — models load behind the lock screen
+}
+
+/** Sessions cut off by a closed tab and finished from their checkpoints */
+function logRecovered() {
+  for (const id of sessions.recovered.splice(0)) {
+    log(`Recovered the session from ${new Date(id).toLocaleString()} — it was still recording when the page closed`, 'warn');
+  }
+}
+
+async function renderStorageUsage() {
+  let u;
+  try { u = await sessions.usage(); } catch (err) { setEl('storageUsage', `Unavailable — ${err.message}`); return; }
+  const pct = u.bytes != null && u.quota ? u.bytes / u.quota * 100 : null;
+  setEl('storageUsage', `${u.backend} · ${u.sessions} sessions · ${u.frames.toLocaleString()} frames`
+    + (u.bytes != null ? ` · ${formatBytes(u.bytes)}${u.quota ? ` of ${formatBytes(u.quota)} (${pct < 1 ? pct.toFixed(2) : Math.round(pct)}%)` : ''}` : ''));
+  const fill = document.getElementById('storageFill');
+  fill.style.width = `${Math.min(100, pct ?? 0)}%`;
+  fill.classList.toggle('high', pct >= 80);
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let i = -1;
+  do { n /= 1024; i++; } while (n >= 1024 && i < units.length - 1);
+  return `${n.toFixed(n < 10 ? 1 : 0)} ${units[i]}`;
 }
 
 function renderSessionsList() {
   const list  = document.getElementById('sessionsList');
-  const items = sessions.getSessions();
+  const all   = sessions.getSessions();
+  if (detail.replay && !all.some(s => s.id === detail.replay.session.id)) closeSessionDetail();   // deleted / expired
+  compare.selected.forEach(id => { if (!all.some(s => s.id === id)) compare.selected.delete(id); });
+  updateCompareBar();
+
+  // Tag filter — options follow the tags in use; a tag that disappeared resets to all
+  const filter = document.getElementById('sessionTagFilter');
+  const tags   = sessions.allTags();
+  const tag    = tags.includes(filter.value) ? filter.value : '';
+  filter.innerHTML = '<option value="">All tags</option>'
+    + tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('');
+  filter.value = tag;
+
+  const items = tag ? all.filter(s => s.tags?.includes(tag)) : all;
   if (!items.length) {
-    list.innerHTML = '<div class="no-sessions">No sessions recorded yet. Start a detection session to begin recording.</div>';
+    list.innerHTML = all.length
+      ? `<div class="no-sessions">No sessions tagged "${escapeHtml(tag)}".</div>`
+      : '<div class="no-sessions">No sessions recorded yet. Start a detection session to begin recording.</div>';
     return;
   }
   list.innerHTML = items.map(s => {
     const date  = new Date(s.startTime).toLocaleString();
     const dur   = s.duration ? `${Math.round(s.duration/1000)}s` : '?';
-    const color = s.avgStress >= 60 ? '#ff3b3b' : s.avgStress >= 40 ? '#ffaa00' : '#00ff99';
+    const color = levelFor(s.profile, s.avgStress).color;
+    const ep    = sessions.getEpisodes(s);
     return `
       <div class="session-item">
         <div class="session-item-left">
-          <div class="session-date">${date}</div>
-          <div class="session-meta">Duration: ${dur} · Peak: ${s.peakStress} · Emotion: ${s.dominantEmotion || '?'} · Alerts: ${s.alerts || 0}</div>
+          <div class="session-date">${date}${s.unsaved ? ' · <span class="session-unsaved">NOT SAVED</span>' : ''}${(s.tags || []).map(t => `<span class="session-tag">${escapeHtml(t)}</span>`).join('')}</div>
+          <div class="session-meta">Duration: ${dur} · Peak: ${escapeHtml(s.peakStress)} · Emotion: ${escapeHtml(s.dominantEmotion || '?')} · Alerts: ${escapeHtml(s.alerts || 0)}${s.avgQuality != null ? ` · Quality: ${escapeHtml(s.avgQuality)}%` : ''}${s.profile ? ` · Profile: ${escapeHtml(s.profile.name)}` : ''}${s.avgFatigue != null ? ` · Fatigue: ${escapeHtml(s.avgFatigue)}` : ''}${s.avgHeartRate != null ? ` · HR: ${escapeHtml(s.avgHeartRate)} bpm` : ''}${s.avgVoiceStress != null ? ` · Voice: ${escapeHtml(s.avgVoiceStress)}%` : ''}${s.attentionPct != null ? ` · Attention: ${escapeHtml(s.attentionPct)}%` : ''}${ep.summary.count ? ` · Episodes: ${escapeHtml(ep.summary.count)} (${escapeHtml(ep.summary.pctTime)}%)` : ''}${s.breathing?.some(b => b.action === 'start') ? ` · Breathing: ${s.breathing.filter(b => b.action === 'start').length}×` : ''}${s.forecastWarnings?.length ? ` · Early warnings: ${s.forecastWarnings.length}` : ''}${s.markers?.length ? ` · Markers: ${s.markers.length}` : ''}${s.notes ? ' · Notes ✎' : ''}${s.ergonomics?.length ? ` · Ergonomic events: ${s.ergonomics.length}` : ''}${Object.keys(s.faces || {}).length ? ` · Faces: ${Object.keys(s.faces).length + 1}` : ''}${s.group ? ` · Group: ${escapeHtml(s.group.participants?.length || 0)} people, room avg ${escapeHtml(s.group.avgMean)}` : ''}</div>
         </div>
         <div class="session-item-right">
-          <span class="session-stress" style="color:${color}">AVG ${s.avgStress}</span>
+          <span class="session-stress" style="color:${escapeHtml(color)}">AVG ${escapeHtml(s.avgStress)}</span>
+          ${s.group ? `<button class="session-export" onclick="exportGroupCSV(${s.id})">ROOM CSV</button>` : ''}
+          ${compare.active ? `<input type="checkbox" class="compare-check" title="Compare" onchange="toggleCompareSelect(${s.id}, this.checked)"${compare.selected.has(s.id) ? ' checked' : compare.selected.size >= MAX_COMPARE ? ' disabled' : ''}>` : ''}
+          <button class="session-export" onclick="openSessionDetail(${s.id})">OPEN</button>
+          <button class="session-export" onclick="exportSessionFile(${s.id})" title="Full session file (frames, settings, events)">⬇ FILE</button>
+          <button class="session-export" onclick="toggleEpisodes(${s.id})">EPISODES (${ep.summary.count})</button>
           <button class="session-delete" onclick="deleteSession(${s.id})">✕</button>
         </div>
-      </div>`;
+      </div>
+      ${openEpisodes.has(s.id) ? renderEpisodeTable(ep) : ''}`;
   }).join('');
 }
 
-window.deleteSession = (id) => {
-  sessions.deleteSession(id);
+/** Per-session episodes table, change points and recovery summary */
+function renderEpisodeTable(ep) {
+  const rows  = ep.episodes.map((e, i) => `
+        <tr>
+          <td>${i + 1}</td><td>${formatClock(e.start)}</td><td>${formatClock(e.end)}</td><td>${formatDuration(e.durationMs)}</td>
+          <td>${escapeHtml(e.peak)} @ ${formatClock(e.peakT)}</td><td>${escapeHtml(e.mean)}</td><td>${escapeHtml(e.area)}</td>
+          <td>${e.recoveryMs != null ? formatDuration(e.recoveryMs) : 'not recovered'}</td>
+        </tr>`).join('');
+  const sum = ep.summary;
+  return `
+      <div class="session-episodes">
+        ${ep.episodes.length ? `
+        <table class="episode-table">
+          <thead><tr><th>#</th><th>Start</th><th>End</th><th>Duration</th><th>Peak</th><th>Mean</th><th>Area (pt·s)</th><th>Recovery</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>` : `<div class="episode-note">No sustained episodes above ${escapeHtml(ep.threshold)}.</div>`}
+        <div class="episode-note">Threshold ${escapeHtml(ep.threshold)} · ${escapeHtml(sum.count)} episode${sum.count === 1 ? '' : 's'} · ${escapeHtml(sum.pctTime)}% of session${sum.meanRecoveryMs != null ? ` · Mean recovery ${formatDuration(sum.meanRecoveryMs)}` : ''}${sum.unrecovered ? ` · ${sum.unrecovered} not recovered` : ''}</div>
+        <div class="episode-note">Change points: ${ep.changePoints.length
+          ? ep.changePoints.map(c => `${formatClock(c.t)} (${escapeHtml(c.before)}→${escapeHtml(c.after)})`).join(' · ')
+          : 'none'}</div>
+      </div>`;
+}
+
+/** mm:ss from ms */
+function formatClock(ms) {
+  return `${String(Math.floor(ms / 60000)).padStart(2,'0')}:${String(Math.floor(ms / 1000) % 60).padStart(2,'0')}`;
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${Math.floor(s / 60) % 60}m`;
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
+const openEpisodes = new Set();   // session IDs with the episodes table expanded
+window.toggleEpisodes = (id) => {
+  openEpisodes.has(id) ? openEpisodes.delete(id) : openEpisodes.add(id);
+  renderSessionsList();
+};
+
+window.exportGroupCSV = (id) => confirmPlainExport('the room CSV') && sessions.exportGroupCSV(id);
+window.exportSessionFile = (id) => exportWithPassphrase(passphrase => sessions.exportSessionFile(id, passphrase))
+  .catch(err => log(`Export failed: ${err.message}`, 'alert'));
+
+window.deleteSession = async (id) => {
+  await sessions.deleteSession(id).catch(err => log(`Delete failed: ${err.message}`, 'alert'));
+  renderSessionsList();
+  renderStorageUsage();
+};
+
+// ──────────────────────────────────────────────
+//  Session Vault
+// ──────────────────────────────────────────────
+const vaultUI = {
+  dialog:       null,         // open passphrase dialog: { confirm, submit, resolve }
+  lastActivity: Date.now(),   // last user input, for auto-lock
+};
+
+function setupVault() {
+  document.getElementById('vaultForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    const { dialog } = vaultUI;
+    if (!dialog) return;
+    const passphrase = document.getElementById('vaultPassphrase').value;
+    if (dialog.confirm && passphrase !== document.getElementById('vaultPassphrase2').value) {
+      setEl('vaultError', 'Passphrases do not match');
+      return;
+    }
+    const ok = document.getElementById('vaultOkBtn');
+    ok.disabled = true;
+    setEl('vaultError', 'Working…');
+    try {
+      await dialog.submit(passphrase);
+      closePassphraseDialog(passphrase);
+    } catch (err) {
+      setEl('vaultError', err.message);
+    }
+    ok.disabled = false;
+  });
+  document.getElementById('vaultCancelBtn').addEventListener('click', () => closePassphraseDialog(null));
+  document.getElementById('vaultEraseBtn').addEventListener('click', async () => {
+    if (!confirm('Delete every encrypted session and turn the vault off? This cannot be undone.')) return;
+    try {
+      await sessions.eraseVault();
+      log('Session vault erased', 'info');
+      closePassphraseDialog(null);
+    } catch (err) {
+      setEl('vaultError', err.message);
+    }
+  });
+
+  // Settings
+  document.getElementById('vaultToggleBtn').addEventListener('click', async () => {
+    if (!sessions.vault.enabled) {
+      await askPassphrase({
+        title:   '🔒 ENABLE SESSION VAULT',
+        desc:    'Choose a passphrase (8+ characters). Stored sessions are encrypted with it — without it they cannot be recovered.',
+        confirm: true,
+        submit:  async passphrase => {
+          const n = await sessions.enableVault(passphrase);
+          log(`Session vault enabled — ${n} session${n === 1 ? '' : 's'} encrypted`, 'ok');
+        },
+      });
+    } else {
+      await askPassphrase({
+        title:  '🔓 DISABLE SESSION VAULT',
+        desc:   'Enter the passphrase to decrypt all sessions. They will be stored unencrypted again.',
+        submit: async passphrase => {
+          const n = await sessions.disableVault(passphrase);
+          log(`Session vault disabled — ${n} session${n === 1 ? '' : 's'} decrypted`, 'info');
+        },
+      });
+    }
+    afterVaultChange();
+  });
+  document.getElementById('vaultChangeBtn').addEventListener('click', async () => {
+    const current = await askPassphrase({
+      title:  '🔒 CHANGE PASSPHRASE',
+      desc:   'Enter the current passphrase.',
+      submit: passphrase => sessions.vault.verify(passphrase),
+    });
+    if (current === null) return;
+    await askPassphrase({
+      title:   '🔒 CHANGE PASSPHRASE',
+      desc:    'Choose the new passphrase (8+ characters). Every session is re-encrypted under a new key.',
+      confirm: true,
+      submit:  async next => {
+        const n = await sessions.changePassphrase(current, next);
+        log(`Passphrase changed — ${n} session${n === 1 ? '' : 's'} re-encrypted`, 'ok');
+      },
+    });
+    afterVaultChange();
+  });
+  document.getElementById('vaultAutoLock').addEventListener('change', e => sessions.vault.setAutoLock(+e.target.value));
+  document.getElementById('vaultLockBtn').addEventListener('click', () => lockVault());
+
+  // Auto-lock after inactivity
+  ['pointerdown', 'pointermove', 'keydown', 'wheel'].forEach(ev =>
+    window.addEventListener(ev, () => { vaultUI.lastActivity = Date.now(); }, { passive: true }));
+  setInterval(() => {
+    const min = sessions.vault.autoLockMin;
+    if (min && sessions.vault.unlocked && !vaultUI.dialog && Date.now() - vaultUI.lastActivity > min * 60000) lockVault(true);
+  }, 15000);
+  renderVaultStatus();
+}
+
+/**
+ * Passphrase dialog. `submit` runs with the entered passphrase — if it throws, its message is
+ * shown and the dialog stays open.
+ * @returns {Promise<string|null>} the accepted passphrase, or null when cancelled / erased
+ */
+function askPassphrase({ title, desc, confirm = false, cancellable = true, erasable = false, submit }) {
+  const input  = document.getElementById('vaultPassphrase');
+  const repeat = document.getElementById('vaultPassphrase2');
+  setEl('vaultTitle', title);
+  setEl('vaultDesc', desc);
+  setEl('vaultError', '');
+  input.value = repeat.value = '';
+  input.autocomplete = confirm ? 'new-password' : 'current-password';
+  repeat.hidden = !confirm;
+  document.getElementById('vaultCancelBtn').hidden = !cancellable;
+  document.getElementById('vaultEraseBtn').hidden  = !erasable;
+  document.getElementById('vaultOverlay').style.display = 'flex';
+  input.focus();
+  return new Promise(resolve => { vaultUI.dialog = { confirm, submit, resolve }; });
+}
+
+function closePassphraseDialog(result) {
+  document.getElementById('vaultOverlay').style.display = 'none';
+  document.getElementById('vaultPassphrase').value = document.getElementById('vaultPassphrase2').value = '';
+  const { resolve } = vaultUI.dialog;
+  vaultUI.dialog = null;
+  resolve(result);
+}
+
+/** Lock screen — shown on start and after locking; only unlocking (or erasing) closes it */
+async function unlockVault() {
+  await askPassphrase({
+    title:       '🔒 SESSION VAULT LOCKED',
+    desc:        'Stored sessions are encrypted. Enter the passphrase to open them.',
+    cancellable: false,
+    erasable:    true,
+    submit:      passphrase => sessions.unlock(passphrase),
+  });
+  vaultUI.lastActivity = Date.now();
+  if (sessions.vault.unlocked) log(`Session vault unlocked — ${sessions.getSessions().length} saved sessions`, 'ok');
+  logRecovered();
+  afterVaultChange();
+}
+
+function lockVault(auto = false) {
+  if (!sessions.vault.unlocked) return;
+  if (sessions.currentSession) {
+    if (!auto) log('Stop recording before locking the session vault', 'alert');
+    return;
+  }
+  sessions.lock();
+  closeSessionDetail();
+  compare.result = null;
+  document.getElementById('sessionCompare').hidden = true;
+  log(auto ? `Session vault locked after ${sessions.vault.autoLockMin} min without input` : 'Session vault locked', 'info');
+  afterVaultChange();
+  unlockVault();
+}
+
+/** Session-file export: encrypted with a passphrase chosen for the file while the vault is on */
+function exportWithPassphrase(run) {
+  if (!sessions.vault.enabled) return run(null);
+  return askPassphrase({
+    title:   '🔒 ENCRYPTED EXPORT',
+    desc:    'The session vault is on, so session files are exported encrypted. Choose a passphrase for this file — it is needed to import it.',
+    confirm: true,
+    submit:  run,
+  });
+}
+
+/** CSV / summary / comparison exports stay plain text — while the vault is on, only after confirming */
+function confirmPlainExport(what) {
+  return !sessions.vault.enabled
+    || confirm(`The session vault is on, but ${what} will be saved unencrypted — anyone with the file can read it. Export anyway?`);
+}
+
+function afterVaultChange() {
+  renderVaultStatus();
+  renderSessionsList();
+  renderStorageUsage();
+}
+
+function renderVaultStatus() {
+  const v = sessions.vault;
+  setEl('vaultStatus', !v.enabled ? 'Off — sessions are stored unencrypted'
+    : `On — AES-256 with a passphrase key · ${v.unlocked ? 'unlocked' : 'locked'}`);
+  setEl('vaultToggleBtn', v.enabled ? '🔓 DISABLE' : '🔒 ENABLE');
+  ['vaultChangeBtn', 'vaultAutoLock', 'vaultLockBtn'].forEach(id => { document.getElementById(id).disabled = !v.unlocked; });
+  document.getElementById('vaultAutoLock').value = v.autoLockMin;
+}
+
+// ──────────────────────────────────────────────
+//  Session Detail / Replay
+// ──────────────────────────────────────────────
+const detail = {
+  replay:     null,    // SessionReplay of the open session
+  episodes:   null,
+  poseSeries: null,
+  t:          0,       // playback position, ms from session start
+  playing:    false,
+  raf:        null,
+  lastTick:   0,
+};
+
+function setupSessionDetail() {
+  document.getElementById('detailCloseBtn').addEventListener('click', closeSessionDetail);
+  document.getElementById('detailCsvBtn').addEventListener('click', () => confirmPlainExport('the CSV') &&
+    sessions.exportCSV(detail.replay?.session.id).catch(err => log(`Export failed: ${err.message}`, 'alert')));
+  document.getElementById('detailJsonBtn').addEventListener('click', () =>
+    window.exportSessionFile(detail.replay?.session.id));
+  document.getElementById('replayPlayBtn').addEventListener('click', () => detail.playing ? pauseReplay() : playReplay());
+  document.getElementById('replayScrubber').addEventListener('input', e => renderReplayAt(+e.target.value));
+  document.getElementById('detailSaveNotesBtn').addEventListener('click', saveSessionNotes);
+  document.getElementById('detailMarkers').addEventListener('click', e => {
+    const chip = e.target.closest('[data-marker-t]');
+    if (chip) renderReplayAt(+chip.dataset.markerT);
+  });
+}
+
+async function saveSessionNotes() {
+  if (!detail.replay) return;
+  const id = detail.replay.session.id;
+  try {
+    const s = await sessions.annotateSession(id, {
+      notes: document.getElementById('detailNotes').value,
+      tags:  document.getElementById('detailTags').value.split(','),
+    });
+    Object.assign(detail.replay.session, { notes: s.notes, tags: s.tags });
+    document.getElementById('detailTags').value = s.tags.join(', ');
+    log('Session notes saved', 'ok');
+  } catch (err) {
+    log(`Could not save notes: ${err.message}`, 'alert');
+  }
+  renderSessionsList();
+}
+
+async function openSessionDetail(id) {
+  let session;
+  try {
+    session = await sessions.getSession(id);
+  } catch (err) {
+    log(`Could not open session: ${err.message}`, 'alert');
+    return;
+  }
+  if (!session) return;
+  pauseReplay();
+
+  const replay = new SessionReplay(session);
+  const main   = replay.series(['stress', 'focus']);
+  detail.replay     = replay;
+  detail.episodes   = sessions.getEpisodes(session);
+  detail.poseSeries = replay.series(['pitch', 'yaw', 'roll']);
+
+  // Whole-session charts — drawn once; the playhead is redrawn by renderReplayAt
+  detailRenderer.profile = session.profile;
+  detailRenderer.setTimeline(main.stress, main.focus, main.t);
+  detailRenderer.emotionAccum = { ...session.emotionTotals };
+  detailRenderer.drawEmotionPie();
+  detailRenderer.drawDistribution(session.frames.map(f => f.stress));
+
+  const ep = detail.episodes.summary;
+  setEl('detailTitle', new Date(session.startTime).toLocaleString());
+  setEl('detailMeta', `Duration: ${formatDuration(session.duration || replay.duration)} · Frames: ${session.frames.length.toLocaleString()}`
+    + ` · Avg: ${session.avgStress} · Peak: ${session.peakStress} · Emotion: ${session.dominantEmotion || '?'}`
+    + ` · Episodes: ${ep.count}${ep.count ? ` (${ep.pctTime}%)` : ''}${session.profile ? ` · Profile: ${session.profile.name}` : ''}`);
+
+  document.getElementById('detailNotes').value = session.notes || '';
+  document.getElementById('detailTags').value  = (session.tags || []).join(', ');
+  document.getElementById('detailMarkers').innerHTML = (session.markers || []).map(m =>
+    `<button class="marker-chip" data-marker-t="${m.t}" title="Jump to marker">⚑ ${formatClock(m.t)} ${escapeHtml(m.label)}</button>`).join('');
+
+  const scrubber = document.getElementById('replayScrubber');
+  scrubber.max = replay.duration;
+  const panel = document.getElementById('sessionDetail');
+  panel.hidden = false;
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  renderReplayAt(0);
+}
+
+function closeSessionDetail() {
+  pauseReplay();
+  detail.replay = null;
+  document.getElementById('sessionDetail').hidden = true;
+}
+
+/** Show the recorded state at t (ms from session start): gauge, emotion bars, pose cube and playheads */
+function renderReplayAt(t) {
+  const { replay } = detail;
+  if (!replay) return;
+  detail.t = Math.max(0, Math.min(replay.duration, t));
+  const f = replay.frameAt(detail.t);
+
+  if (f) {
+    // Older / imported frames may carry only {t, stress}
+    const level = levelFor(replay.session.profile, f.stress ?? 0);
+    const deg   = v => v != null ? `${Math.round(v)}°` : '--';
+    detailRenderer.drawGauge(f.stress ?? 0);
+    setEl('detailStressNum', f.stress ?? '--');
+    document.getElementById('detailStressNum').style.color = level.color;
+    setEl('detailLevel',   level.label);
+    setEl('detailFocus',   f.focus != null ? `${f.focus}%` : '--');
+    setEl('detailEmotion', (f.emotion ?? '--').toUpperCase());
+    setEl('detailPitch',   deg(f.pitch));
+    setEl('detailYaw',     deg(f.yaw));
+    setEl('detailRoll',    deg(f.roll));
+    if (f.pitch != null && f.yaw != null && f.roll != null) detailRenderer.drawPose(f.pitch, f.yaw, f.roll);
+  }
+
+  const shares = replay.emotionShares(detail.t);
+  EMOTIONS.forEach(e => {
+    const pct = Math.round(shares[e] * 100);
+    document.getElementById(`demo-${e}`).style.width = `${pct}%`;
+    setEl(`dpct-${e}`, `${pct}%`);
+    document.querySelector(`[data-detail-emotion="${e}"]`).className = `emotion-bar-row${e === f?.emotion ? ' dominant' : ''}`;
+  });
+
+  detailRenderer.drawTimeline(detail.episodes, detail.t, replay.session.markers);
+  detailRenderer.drawPoseTimeline(detail.poseSeries, detail.t);
+  document.getElementById('replayScrubber').value = detail.t;
+  setEl('replayTime', `${formatClock(detail.t)} / ${formatClock(replay.duration)}`);
+}
+
+function playReplay() {
+  if (!detail.replay) return;
+  if (detail.t >= detail.replay.duration) detail.t = 0;
+  detail.playing  = true;
+  detail.lastTick = performance.now();
+  setEl('replayPlayBtn', '❚❚ PAUSE');
+  const tick = now => {
+    if (!detail.playing) return;
+    const speed = +document.getElementById('replaySpeed').value;
+    renderReplayAt(detail.t + (now - detail.lastTick) * speed);
+    detail.lastTick = now;
+    if (detail.t >= detail.replay.duration) pauseReplay();
+    else detail.raf = requestAnimationFrame(tick);
+  };
+  detail.raf = requestAnimationFrame(tick);
+}
+
+function pauseReplay() {
+  detail.playing = false;
+  cancelAnimationFrame(detail.raf);
+  setEl('replayPlayBtn', '▶ PLAY');
+}
+
+window.openSessionDetail = openSessionDetail;
+
+// ──────────────────────────────────────────────
+//  Session Report
+// ──────────────────────────────────────────────
+function setupReports() {
+  document.getElementById('detailReportBtn').addEventListener('click', openSessionReport);
+  document.getElementById('detailReportHtmlBtn').addEventListener('click', downloadSessionReport);
+
+  // Template (Settings)
+  document.getElementById('reportSections').innerHTML = REPORT_SECTIONS.map(s => `
+    <div class="setting-row compact">
+      <div class="setting-info"><div class="setting-name">${s.label}</div></div>
+      <label class="toggle-switch"><input type="checkbox" data-report-section="${s.key}"><span class="toggle-track"></span></label>
+    </div>`).join('');
+  document.getElementById('reportSections').addEventListener('change', e => {
+    const key = e.target.dataset.reportSection;
+    if (key) reports.setTemplate({ sections: { [key]: e.target.checked } });
+  });
+  [['reportTitle', 'title'], ['reportPreparedBy', 'preparedBy'], ['reportOrganization', 'organization'],
+   ['reportIntro', 'intro'], ['reportFooter', 'footer'], ['reportAccent', 'accent']].forEach(([id, field]) => {
+    document.getElementById(id).addEventListener('change', e => {
+      const value = e.target.value.trim();
+      reports.setTemplate({ [field]: field === 'title' ? value || DEFAULT_TEMPLATE.title : value });
+      applyReportTemplate();
+    });
+  });
+  document.getElementById('reportResetBtn').addEventListener('click', () => {
+    reports.resetTemplate();
+    applyReportTemplate();
+    log('Report template reset', 'info');
+  });
+  applyReportTemplate();
+}
+
+function applyReportTemplate() {
+  const t = reports.template;
+  document.getElementById('reportTitle').value        = t.title;
+  document.getElementById('reportPreparedBy').value   = t.preparedBy;
+  document.getElementById('reportOrganization').value = t.organization;
+  document.getElementById('reportIntro').value        = t.intro;
+  document.getElementById('reportFooter').value       = t.footer;
+  document.getElementById('reportAccent').value       = t.accent;
+  document.querySelectorAll('[data-report-section]').forEach(el => { el.checked = t.sections[el.dataset.reportSection] !== false; });
+}
+
+/** Report HTML for the session open in the detail view — charts are drawn off-screen and embedded as images */
+function buildSessionReport() {
+  const { replay, episodes } = detail;
+  const session = replay.session;
+  const main = replay.series(['stress', 'focus']);
+  reportRenderer.profile = session.profile;
+  reportRenderer.setTimeline(main.stress, main.focus, main.t);
+  reportRenderer.drawTimeline(episodes, null, session.markers);
+  reportRenderer.emotionAccum = { ...session.emotionTotals };
+  reportRenderer.drawEmotionPie();
+  reportRenderer.drawDistribution(session.frames.map(f => f.stress));
+  const image = id => document.getElementById(id).toDataURL('image/png');
+  return reports.build(session, {
+    episodes,
+    charts: {
+      timeline:     main.t.length >= 2 ? image('reportTimeline') : null,
+      emotions:     image('reportPieChart'),
+      distribution: image('reportDistChart'),
+    },
+  });
+}
+
+function openSessionReport() {
+  if (!detail.replay) return;
+  const url = URL.createObjectURL(new Blob([buildSessionReport()], { type: 'text/html' }));
+  // noopener: the report gets no handle back into the app (and open() returns null, so no pop-up check)
+  window.open(url, '_blank', 'noopener');
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+function downloadSessionReport() {
+  if (!detail.replay) return;
+  downloadFile(buildSessionReport(), `neurocal_report_${detail.replay.session.id}.html`, 'text/html');
+  log('Session report downloaded', 'ok');
+}
+
+// ──────────────────────────────────────────────
+//  Session Comparison
+// ──────────────────────────────────────────────
+const compare = {
+  active:   false,       // checkboxes shown on session rows
+  selected: new Set(),   // session IDs
+  result:   null,        // last SessionComparator result
+};
+
+function setupCompare() {
+  document.getElementById('compareModeBtn').addEventListener('click', () => setCompareMode(!compare.active));
+  document.getElementById('compareCancelBtn').addEventListener('click', () => setCompareMode(false));
+  document.getElementById('compareRunBtn').addEventListener('click', runComparison);
+  document.getElementById('compareCloseBtn').addEventListener('click', () => {
+    compare.result = null;
+    document.getElementById('sessionCompare').hidden = true;
+  });
+  document.getElementById('compareCsvBtn').addEventListener('click', () =>
+    compare.result && confirmPlainExport('the comparison CSV') && sessions.exportComparison(compare.result, 'csv'));
+  document.getElementById('compareJsonBtn').addEventListener('click', () =>
+    compare.result && confirmPlainExport('the comparison JSON') && sessions.exportComparison(compare.result, 'json'));
+}
+
+function setCompareMode(on) {
+  compare.active = on;
+  if (!on) compare.selected.clear();
+  document.getElementById('compareModeBtn').classList.toggle('active', on);
   renderSessionsList();
+}
+
+function updateCompareBar() {
+  const n = compare.selected.size;
+  document.getElementById('compareBar').hidden = !compare.active;
+  setEl('compareCount', n ? `${n} selected (max ${MAX_COMPARE})` : `Select 2–${MAX_COMPARE} sessions to compare`);
+  document.getElementById('compareRunBtn').disabled = n < 2;
+}
+
+window.toggleCompareSelect = (id, checked) => {
+  checked ? compare.selected.add(id) : compare.selected.delete(id);
+  renderSessionsList();   // re-enables / disables the remaining checkboxes
 };
 
+async function runComparison() {
+  try {
+    compare.result = await sessions.compareSessions([...compare.selected]);
+  } catch (err) {
+    log(`Comparison failed: ${err.message}`, 'alert');
+    return;
+  }
+  renderComparison(compare.result);
+  const panel = document.getElementById('sessionCompare');
+  panel.hidden = false;
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderComparison(cmp) {
+  document.getElementById('compareLegend').innerHTML = cmp.sessions.map(c =>
+    `<span class="legend-dot" style="background:${c.color}"></span>${c.label} · ${new Date(c.startTime).toLocaleString()}`).join(' ');
+
+  renderer.drawCompareTimeline(cmp.sessions, state.alertThreshold);
+  renderer.drawCompareDistribution(cmp.sessions);
+  renderer.drawCompareEmotions(cmp.sessions);
+  document.getElementById('compareEmotionLegend').innerHTML = EMOTIONS.map(e =>
+    `<div class="pie-legend-item"><span style="width:8px;height:8px;border-radius:50%;background:${renderer.emotionColors[e]};display:inline-block"></span>${e}</div>`).join('');
+
+  // Stats side by side, then each later session's delta against S1
+  const later = cmp.sessions.slice(1);
+  const deltaCell = (stat, d) => {
+    if (d === null) return '<td>--</td>';
+    const cls = !stat.better || d === 0 ? '' : (d < 0) === (stat.better === 'lower') ? 'better' : 'worse';
+    return `<td class="${cls}">${d > 0 ? '+' : ''}${escapeHtml(d)}${stat.unit === '%' ? ' pt' : ''}</td>`;
+  };
+  document.getElementById('compareTable').innerHTML = `
+    <thead><tr><th>Metric</th>${cmp.sessions.map(c => `<th style="color:${c.color}">${c.label}</th>`).join('')}${later.map(c => `<th>Δ ${c.label}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${COMPARE_STATS.map(stat => `<tr><td>${stat.label}</td>${cmp.sessions.map(c =>
+        `<td>${escapeHtml(c.stats[stat.key] ?? '--')}${c.stats[stat.key] != null && stat.unit ? ` ${stat.unit}` : ''}</td>`).join('')}${later.map((c, i) => deltaCell(stat, cmp.deltas[i + 1][stat.key])).join('')}</tr>`).join('')}
+      <tr><td>Dominant emotion</td>${cmp.sessions.map(c => `<td>${escapeHtml(c.dominantEmotion ?? '--')}</td>`).join('')}${later.map(() => '<td></td>').join('')}</tr>
+    </tbody>`;
+}
+
 // ──────────────────────────────────────────────
 //  Buttons
 // ──────────────────────────────────────────────
@@ -545,7 +2468,14 @@ function setupButtons() {
   document.getElementById('clearLogBtn').addEventListener('click', () => {
     document.getElementById('logStream').innerHTML = '';
   });
-  window.addEventListener('beforeunload', () => { if (state.running) stopCamera(); });
+  // Saving the session is async and the page won't wait for it — checkpoint synchronously and ask to stay
+  window.addEventListener('beforeunload', e => {
+    if (!state.running) return;
+    sessions.checkpoint();
+    e.preventDefault();
+    e.returnValue = '';
+  });
+  window.addEventListener('pagehide', () => sessions.checkpoint());
 }
 
 function takeSnapshot() {
@@ -581,11 +2511,26 @@ function setStatus(s) {
   label.textContent = text;
 }
 
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 function setEl(id, val) {
   const el = document.getElementById(id);
   if (el) el.textContent = val;
 }
 
+/** User text and stored / imported session values going into innerHTML */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 let logThrottle = {};
 function log(msg, type = 'info') {
   const now  = new Date();
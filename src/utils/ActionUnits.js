@@ -0,0 +1,126 @@
+/**
+ * ActionUnits
+ * Geometric FACS action-unit intensities from the 68 landmarks, next to StressAnalyzer.
+ * Landmarks are rotated into a face frame (eye line horizontal) and scaled by the
+ * inter-ocular distance, so features don't depend on roll, size or distance.
+ *
+ * Intensity is the change from the person's own neutral face — a rolling median of
+ * each feature — on the FACS A–E scale (0 = absent, 1–5 = A–E). Expressions held for
+ * longer than about half of NEUTRAL_WINDOW get absorbed into the neutral reference.
+ */
+
+export const ACTION_UNITS = [
+  { code: 'AU01', name: 'Inner brow raiser' },
+  { code: 'AU02', name: 'Outer brow raiser' },
+  { code: 'AU04', name: 'Brow lowerer' },
+  { code: 'AU06', name: 'Cheek raiser' },
+  { code: 'AU12', name: 'Lip corner puller' },
+  { code: 'AU15', name: 'Lip corner depressor' },
+  { code: 'AU23', name: 'Lip tightener' },
+  { code: 'AU24', name: 'Lip presser' },
+  { code: 'AU26', name: 'Jaw drop' },
+];
+
+const LETTERS = ['A', 'B', 'C', 'D', 'E'];
+
+export class ActionUnitAnalyzer {
+  constructor() {
+    this.NEUTRAL_WINDOW = 60000;  // ms of features the neutral median is taken over
+    this.SAMPLE_MS      = 500;    // neutral buffer sampling interval
+    this.PRESENT_AT     = 1;      // intensity counted as present (FACS "A")
+    this.CLOSED_GAP     = 0.03;   // inner-lip gap (IOD units) of a closed mouth
+    // Feature change (IOD units) that maps to maximum intensity E
+    this.SCALE = {
+      AU01: 0.12, AU02: 0.12, AU04: 0.10, AU06: 0.06, AU12: 0.12,
+      AU15: 0.08, AU23: 0.10, AU24: 0.08, AU26: 0.50,
+    };
+    this.reset();
+  }
+
+  /**
+   * @param {faceapi.Point[]} pts — 68 landmark positions
+   * @param {number} [t] — timestamp in ms
+   * @returns {{units: {code:string, name:string, intensity:number, letter:string|null, present:boolean}[],
+   *            intensities: Object<string, number>, active: string[]}}
+   */
+  analyze(pts, t = Date.now()) {
+    const f = this._features(pts);
+    if (t - this.lastSample >= this.SAMPLE_MS) {
+      this.samples.push({ t, f });
+      this.lastSample = t;
+      while (this.samples.length && t - this.samples[0].t > this.NEUTRAL_WINDOW) this.samples.shift();
+    }
+    const n = this._neutral();
+
+    // Positive delta = movement in the AU's direction
+    const raw = {
+      AU01: f.innerBrow - n.innerBrow,
+      AU02: f.outerBrow - n.outerBrow,
+      AU04: (n.innerBrow - f.innerBrow) + 0.5 * (n.browGap - f.browGap),
+      AU06: n.lowerLid - f.lowerLid,
+      AU12: (f.cornerLift - n.cornerLift) + 0.5 * (f.mouthWidth - n.mouthWidth),
+      AU15: n.cornerLift - f.cornerLift,
+      AU23: (n.mouthWidth - f.mouthWidth) + 0.5 * (n.lipHeight - f.lipHeight),
+      AU24: f.innerGap < this.CLOSED_GAP ? n.lipHeight - f.lipHeight : 0,
+      AU26: f.innerGap - n.innerGap,
+    };
+
+    const intensities = {};
+    const units = ACTION_UNITS.map(au => {
+      const intensity = Math.round(Math.min(5, Math.max(0, raw[au.code] / this.SCALE[au.code] * 5)) * 10) / 10;
+      const present   = intensity >= this.PRESENT_AT;
+      intensities[au.code] = intensity;
+      return { ...au, intensity, present, letter: present ? LETTERS[Math.min(4, Math.floor(intensity) - 1)] : null };
+    });
+    return { units, intensities, active: units.filter(u => u.present).map(u => u.code) };
+  }
+
+  reset() {
+    this.samples    = [];
+    this.lastSample = -Infinity;
+  }
+
+  /* ── INTERNALS ── */
+
+  /** Face-frame geometry in inter-ocular units (y grows downward) */
+  _features(pts) {
+    const mean = idx => ({
+      x: idx.reduce((a, i) => a + pts[i].x, 0) / idx.length,
+      y: idx.reduce((a, i) => a + pts[i].y, 0) / idx.length,
+    });
+    const eyeL = mean([36, 37, 38, 39, 40, 41]);
+    const eyeR = mean([42, 43, 44, 45, 46, 47]);
+    const iod  = Math.hypot(eyeR.x - eyeL.x, eyeR.y - eyeL.y) || 1;
+    const ux = (eyeR.x - eyeL.x) / iod, uy = (eyeR.y - eyeL.y) / iod;
+    const ox = (eyeL.x + eyeR.x) / 2,   oy = (eyeL.y + eyeR.y) / 2;
+    const p = i => {
+      const dx = pts[i].x - ox, dy = pts[i].y - oy;
+      return { x: (dx * ux + dy * uy) / iod, y: (-dx * uy + dy * ux) / iod };
+    };
+    const avgY = idx => idx.reduce((a, i) => a + p(i).y, 0) / idx.length;
+
+    const cornersY = avgY([48, 54]);
+    const innerMid = (p(62).y + p(66).y) / 2;
+    return {
+      innerBrow:  avgY([39, 42]) - avgY([21, 22]),            // brow height above inner eye corners
+      outerBrow:  avgY([36, 45]) - avgY([17, 26]),
+      browGap:    p(22).x - p(21).x,
+      lowerLid:   avgY([40, 41, 46, 47]) - avgY([36, 39, 42, 45]),
+      cornerLift: innerMid - cornersY,                        // corners above the lip midline
+      mouthWidth: p(54).x - p(48).x,
+      lipHeight:  (p(62).y - p(51).y) + (p(57).y - p(66).y),   // red lip thickness
+      innerGap:   Math.max(0, p(66).y - p(62).y),
+    };
+  }
+
+  /** Per-feature median of the rolling buffer */
+  _neutral() {
+    const keys = Object.keys(this.samples[0].f);
+    const n = {};
+    keys.forEach(k => {
+      const v = this.samples.map(s => s.f[k]).sort((a, b) => a - b);
+      n[k] = v[Math.floor(v.length / 2)];
+    });
+    return n;
+  }
+}
@@ -32,7 +32,18 @@ export class AudioAlert {
     this.play(this.tone, stressLevel);
   }
 
+  /** Play now (no cooldown) — silent while alerts are disabled */
   play(tone = this.tone, stress = 80) {
+    if (!this.enabled) return;
+    this._sound(tone, stress);
+  }
+
+  /** Settings "test" button — plays even while alerts are disabled */
+  preview(tone = this.tone) {
+    this._sound(tone, 80);
+  }
+
+  _sound(tone, stress) {
     try {
       const ctx = this._getCtx();
       if (ctx.state === 'suspended') ctx.resume();
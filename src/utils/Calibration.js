@@ -0,0 +1,112 @@
+/**
+ * Calibration
+ * Guided "sit neutrally" capture that records a per-user baseline
+ * (mean + spread) for each geometric stress channel.
+ * Persists to localStorage so it survives reloads; re-runnable at any time.
+ */
+
+export class Calibration {
+  constructor() {
+    this.STORAGE_KEY = 'neurocal_calibration';
+    this.DURATION_MS = 25000;   // 25s neutral capture
+    this.MIN_SAMPLES = 40;      // reject runs with too few good frames
+    // Channels captured — keys match StressAnalyzer metric names
+    this.CHANNELS    = ['eyeOpenness', 'browTension', 'mouthTension', 'asymmetry', 'headMovement'];
+    // Kept only when enough samples arrive (resting heart rate needs a locked rPPG signal)
+    this.OPTIONAL    = ['heartRate'];
+    // Minimum spread per channel so a very still capture doesn't make
+    // the channel hypersensitive: max(absolute floor, fraction of mean)
+    this.SPREAD_FLOOR = {
+      eyeOpenness:  { abs: 0.015, rel: 0.06 },
+      browTension:  { abs: 0.006, rel: 0.05 },
+      mouthTension: { abs: 0.010, rel: 0.10 },
+      asymmetry:    { abs: 0.004, rel: 0.25 },
+      headMovement: { abs: 0.002, rel: 0.50 },
+      heartRate:    { abs: 3,     rel: 0.04 },
+    };
+
+    this.active    = false;
+    this.startTime = 0;
+    this.samples   = null;
+    this.baseline  = this._load();
+  }
+
+  /** Begin a new capture; previous baseline stays in effect until finish() */
+  begin() {
+    this.active    = true;
+    this.startTime = Date.now();
+    this.samples   = Object.fromEntries([...this.CHANNELS, ...this.OPTIONAL].map(c => [c, []]));
+  }
+
+  cancel() {
+    this.active  = false;
+    this.samples = null;
+  }
+
+  /** Feed one frame's metrics (from StressAnalyzer.analyze) */
+  addSample(metrics) {
+    if (!this.active) return;
+    [...this.CHANNELS, ...this.OPTIONAL].forEach(c => {
+      const v = metrics?.[c]?.raw;
+      if (Number.isFinite(v)) this.samples[c].push(v);
+    });
+  }
+
+  /** 0..1 progress of the running capture */
+  get progress() {
+    if (!this.active) return 0;
+    return Math.min(1, (Date.now() - this.startTime) / this.DURATION_MS);
+  }
+
+  get isComplete() {
+    return this.active && Date.now() - this.startTime >= this.DURATION_MS;
+  }
+
+  /**
+   * Compute and persist the baseline from collected samples.
+   * @returns {object|null} baseline, or null if too few samples were captured
+   */
+  finish() {
+    if (!this.active) return null;
+    const samples = this.samples;
+    const count   = Math.min(...this.CHANNELS.map(c => samples[c].length));
+    this.active   = false;
+    this.samples  = null;
+    if (count < this.MIN_SAMPLES) return null;
+
+    const channels = {};
+    const optional = this.OPTIONAL.filter(c => samples[c].length >= this.MIN_SAMPLES);
+    [...this.CHANNELS, ...optional].forEach(c => {
+      const { mean, sd } = this._robustStats(samples[c]);
+      const floor = this.SPREAD_FLOOR[c];
+      channels[c] = { mean, sd: Math.max(sd, floor.abs, Math.abs(mean) * floor.rel) };
+    });
+
+    this.baseline = {
+      createdAt:  new Date().toISOString(),
+      durationMs: Date.now() - this.startTime,
+      samples:    count,
+      channels,
+    };
+    this._save();
+    return this.baseline;
+  }
+
+  clear() {
+    this.baseline = null;
+    try { localStorage.removeItem(this.STORAGE_KEY); } catch(e){}
+  }
+
+  /** Mean/SD after trimming the outer 10% on each side (blinks, glances) */
+  _robustStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const cut    = Math.floor(sorted.length * 0.1);
+    const kept   = sorted.slice(cut, sorted.length - cut);
+    const mean   = kept.reduce((a, b) => a + b, 0) / kept.length;
+    const varc   = kept.reduce((a, b) => a + (b - mean) ** 2, 0) / kept.length;
+    return { mean, sd: Math.sqrt(varc) };
+  }
+
+  _save() { try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.baseline)); } catch(e){} }
+  _load() { try { return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || null; } catch(e){ return null; } }
+}
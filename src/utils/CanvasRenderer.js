@@ -1,33 +1,79 @@
 /**
  * CanvasRenderer v2
- * Overlay drawing, gauge, sparkline, timeline, emotion pie, head pose 3D cube
+ * Overlay drawing, gauge, sparkline, timeline, emotion pie, head pose 3D cube,
+ * stress contribution bar + stacked contribution timeline, rPPG pulse waveform,
+ * head-pose-over-time chart and replay playhead (session detail view)
  */
+import { STRESS_CHANNELS } from './StressAnalyzer.js';
+import { DEFAULT_PROFILE, levelFor } from './ScoringProfiles.js';
+
+// Canvas element IDs of the live dashboard / analytics; other renderers (e.g. the
+// session detail view) pass their own, with null for canvases they don't have
+const CANVAS_IDS = {
+  overlay: 'overlayCanvas', gauge: 'gaugeCanvas', history: 'historyChart', timeline: 'timelineChart',
+  emotionPie: 'emotionPieChart', pieLegend: 'pieLegend', dist: 'distChart', pose: 'poseCanvas',
+  contrib: 'contribChart', contribTimeline: 'contribTimelineChart', pulse: 'pulseChart', poseTimeline: null,
+  trendStress: 'trendStressChart', trendAlerts: 'trendAlertChart', trendEmotions: 'trendEmotionChart', trendHeatmap: 'trendHeatmap',
+  compareTimeline: 'compareTimeline', compareDist: 'compareDist', compareEmotions: 'compareEmotions',
+};
 
 export class CanvasRenderer {
-  constructor() {
-    this.overlay      = document.getElementById('overlayCanvas');
-    this.gaugeCanvas  = document.getElementById('gaugeCanvas');
-    this.historyChart = document.getElementById('historyChart');
-    this.timelineChart= document.getElementById('timelineChart');
-    this.emoChart     = document.getElementById('emotionPieChart');
-    this.distChart    = document.getElementById('distChart');
-    this.poseCanvas   = document.getElementById('poseCanvas');
-
-    this.octx = this.overlay.getContext('2d');
-    this.gctx = this.gaugeCanvas.getContext('2d');
-    this.hctx = this.historyChart.getContext('2d');
+  /** @param {object} [ids] — overrides for CANVAS_IDS */
+  constructor(ids = {}) {
+    const el = key => {
+      const id = key in ids ? ids[key] : CANVAS_IDS[key];
+      return id ? document.getElementById(id) : null;
+    };
+    this.overlay      = el('overlay');
+    this.gaugeCanvas  = el('gauge');
+    this.historyChart = el('history');
+    this.timelineChart= el('timeline');
+    this.emoChart     = el('emotionPie');
+    this.pieLegend    = el('pieLegend');
+    this.distChart    = el('dist');
+    this.poseCanvas   = el('pose');
+    this.contribChart = el('contrib');
+    this.contribTimelineChart = el('contribTimeline');
+    this.pulseChart   = el('pulse');
+    this.poseTimelineChart = el('poseTimeline');
+    this.trendStressChart  = el('trendStress');
+    this.trendAlertChart   = el('trendAlerts');
+    this.trendEmotionChart = el('trendEmotions');
+    this.trendHeatmap      = el('trendHeatmap');
+    this.compareTimelineChart = el('compareTimeline');
+    this.compareDistChart     = el('compareDist');
+    this.compareEmotionChart  = el('compareEmotions');
+
+    this.octx = this.overlay?.getContext('2d');
+    this.gctx = this.gaugeCanvas?.getContext('2d');
+    this.hctx = this.historyChart?.getContext('2d');
     this.tctx = this.timelineChart?.getContext('2d');
     this.ectx = this.emoChart?.getContext('2d');
     this.dctx = this.distChart?.getContext('2d');
     this.pctx = this.poseCanvas?.getContext('2d');
+    this.cctx = this.contribChart?.getContext('2d');
+    this.ctctx= this.contribTimelineChart?.getContext('2d');
+    this.plctx= this.pulseChart?.getContext('2d');
+    this.ptctx= this.poseTimelineChart?.getContext('2d');
+    this.tsctx= this.trendStressChart?.getContext('2d');
+    this.tactx= this.trendAlertChart?.getContext('2d');
+    this.tectx= this.trendEmotionChart?.getContext('2d');
+    this.thctx= this.trendHeatmap?.getContext('2d');
+    this.cmtctx = this.compareTimelineChart?.getContext('2d');
+    this.cmdctx = this.compareDistChart?.getContext('2d');
+    this.cmectx = this.compareEmotionChart?.getContext('2d');
 
     this.showLandmarks = true;
     this.showBBox      = true;
+    this.showRawHistory= false;
+    this.profile       = DEFAULT_PROFILE;   // level colors for gauge / distribution
     this.CIRC          = 2 * Math.PI * 42;
 
     // Timeline data
     this.timelineStress = [];
     this.timelineFocus  = [];
+    this.timelineContrib= [];   // { channelKey: points } per sample
+    this.timelineTimes  = [];   // ms from session start per sample
     this.MAX_TIMELINE   = 300;
 
     // Emotion distribution accumulators
@@ -44,19 +90,15 @@ export class CanvasRenderer {
   }
 
   /* ─ FACE OVERLAY ─ */
-  drawFace(detections, level, multiMode) {
+  /** @param {{det:object, id:number, color:string}[]} faces — tracked faces to outline */
+  drawFace(faces) {
     const ctx = this.octx;
     ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
-    if (!detections) return;
-
-    const list = Array.isArray(detections) ? detections : [detections];
-    list.forEach((det, idx) => {
-      const color = multiMode && idx > 0 ? '#bf5fff' : (level?.color || '#00e5ff');
-      this._drawOneFace(ctx, det, color, idx);
-    });
+    if (!faces) return;
+    faces.forEach(f => this._drawOneFace(ctx, f.det, f.color || '#00e5ff', f.id));
   }
 
-  _drawOneFace(ctx, det, color, idx) {
+  _drawOneFace(ctx, det, color, id) {
     const box  = det.detection.box;
     const pts  = det.landmarks.positions;
 
@@ -68,10 +110,10 @@ export class CanvasRenderer {
       ctx.shadowBlur  = 10;
       ctx.strokeRect(box.x, box.y, box.width, box.height);
       ctx.shadowBlur  = 0;
-      // Face index label (multi-mode)
+      // Tracked face ID label
       ctx.fillStyle   = color;
       ctx.font        = '600 11px "JetBrains Mono"';
-      ctx.fillText(`FACE ${idx + 1}`, box.x + 4, box.y - 6);
+      ctx.fillText(`FACE ${id}`, box.x + 4, box.y - 6);
     }
 
     if (!this.showLandmarks) return;
@@ -169,14 +211,19 @@ export class CanvasRenderer {
   }
 
   /* ─ HISTORY SPARKLINE ─ */
-  drawHistory(history, color) {
+  /**
+   * @param {object} [outlook] — StressForecaster result; when ready, the right quarter
+   *   of the sparkline shows the projected mean and band
+   */
+  drawHistory(history, color, rawHistory, outlook = null) {
     const canvas = this.historyChart;
     const ctx    = this.hctx;
     const W = canvas.width, H = canvas.height;
     ctx.clearRect(0, 0, W, H);
     if (history.length < 2) return;
 
-    const step = W / (history.length - 1);
+    const HW   = outlook?.ready ? W * 0.75 : W;   // width used by the history itself
+    const step = HW / (history.length - 1);
     const grad = ctx.createLinearGradient(0, 0, 0, H);
     grad.addColorStop(0, color + '55');
     grad.addColorStop(1, color + '00');
@@ -186,7 +233,7 @@ export class CanvasRenderer {
       const x = i * step, y = H - (v / 100) * H;
       i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
     });
-    ctx.lineTo(W, H); ctx.lineTo(0, H); ctx.closePath();
+    ctx.lineTo(HW, H); ctx.lineTo(0, H); ctx.closePath();
     ctx.fillStyle = grad; ctx.fill();
 
     ctx.beginPath();
@@ -198,19 +245,98 @@ export class CanvasRenderer {
     ctx.shadowColor = color; ctx.shadowBlur = 4;
     ctx.stroke();
     ctx.shadowBlur = 0;
+
+    // Unsmoothed score on top, for tuning the smoothing filters
+    if (this.showRawHistory && rawHistory?.length > 1) {
+      ctx.globalAlpha = 0.6;
+      this._drawLine(ctx, rawHistory, HW, H, '#5a7a9a', true);
+      ctx.globalAlpha = 1;
+    }
+
+    if (outlook?.ready) this._drawOutlook(ctx, outlook, history[history.length - 1], HW, W, H);
+  }
+
+  /** Projected band from "now" (x0) to the end of the horizon (x1) */
+  _drawOutlook(ctx, outlook, last, x0, x1, H) {
+    const pts = outlook.points;
+    const x   = i => x0 + (i + 1) / pts.length * (x1 - x0);
+    const y   = v => H - (v / 100) * H;
+    const warn = outlook.warning ? '255,170,0' : '140,170,200';
+
+    ctx.beginPath();
+    ctx.moveTo(x0, y(last));
+    pts.forEach((p, i) => ctx.lineTo(x(i), y(p.hi)));
+    for (let i = pts.length - 1; i >= 0; i--) ctx.lineTo(x(i), y(pts[i].lo));
+    ctx.lineTo(x0, y(last));
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${warn},0.18)`; ctx.fill();
+
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x0, y(last));
+    pts.forEach((p, i) => ctx.lineTo(x(i), y(p.mean)));
+    ctx.strokeStyle = `rgba(${warn},0.8)`; ctx.lineWidth = 1.2;
+    ctx.stroke();
+
+    // "now" divider
+    ctx.beginPath();
+    ctx.moveTo(x0, 0); ctx.lineTo(x0, H);
+    ctx.strokeStyle = 'rgba(140,170,200,0.3)'; ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /* ─ PULSE WAVEFORM ─ */
+  drawPulse(signal, color) {
+    const ctx = this.plctx;
+    if (!ctx) return;
+    const W = this.pulseChart.width, H = this.pulseChart.height;
+    ctx.clearRect(0, 0, W, H);
+    if (!signal || signal.length < 2) return;
+
+    // Auto-scale: the rPPG amplitude is arbitrary
+    const peak = Math.max(...signal.map(Math.abs)) || 1;
+    const step = W / (signal.length - 1);
+    ctx.beginPath();
+    signal.forEach((v, i) => {
+      const x = i * step, y = H / 2 - (v / peak) * (H / 2 - 2);
+      i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    });
+    ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+    ctx.shadowColor = color; ctx.shadowBlur = 4;
+    ctx.stroke();
+    ctx.shadowBlur = 0;
   }
 
   /* ─ TIMELINE CHART (Analytics tab) ─ */
-  pushTimeline(stress, focus) {
+  pushTimeline(stress, focus, contributions, t = null) {
     this.timelineStress.push(stress);
     this.timelineFocus.push(focus);
+    this.timelineContrib.push(Object.fromEntries((contributions || []).map(c => [c.key, c.points])));
+    this.timelineTimes.push(t);
     if (this.timelineStress.length > this.MAX_TIMELINE) {
       this.timelineStress.shift();
       this.timelineFocus.shift();
+      this.timelineContrib.shift();
+      this.timelineTimes.shift();
     }
   }
 
-  drawTimeline() {
+  /** Replace the timeline with a recorded series (session detail view) */
+  setTimeline(stress, focus, times) {
+    this.timelineStress = stress;
+    this.timelineFocus  = focus;
+    this.timelineTimes  = times;
+    this.timelineContrib= [];
+  }
+
+  /**
+   * @param {object} [marks] — EpisodeAnalyzer result: episodes are shaded, change points drawn
+   *   as vertical markers, and the threshold line follows marks.threshold
+   * @param {number} [playhead] — ms from session start, drawn as a cursor (replay)
+   * @param {{t:number, label:string}[]} [markers] — user event markers, drawn as labelled flags
+   */
+  drawTimeline(marks = null, playhead = null, markers = null) {
     const canvas = this.timelineChart;
     if (!canvas || !this.tctx) return;
     const ctx = this.tctx;
@@ -218,20 +344,98 @@ export class CanvasRenderer {
     ctx.clearRect(0, 0, W, H);
     if (this.timelineStress.length < 2) return;
 
+    if (marks) this._drawEpisodes(ctx, marks, W, H);
+
     this._drawLine(ctx, this.timelineStress, W, H, '#00e5ff');
     this._drawLine(ctx, this.timelineFocus,  W, H, '#00ff99', true);
 
-    // Threshold line at 70
-    const y70 = H - (70 / 100) * H;
+    // Threshold line
+    const threshold = marks?.threshold ?? 70;
+    const yT = H - (threshold / 100) * H;
     ctx.setLineDash([4, 4]);
     ctx.beginPath();
-    ctx.moveTo(0, y70); ctx.lineTo(W, y70);
+    ctx.moveTo(0, yT); ctx.lineTo(W, yT);
     ctx.strokeStyle = 'rgba(255,59,59,0.3)'; ctx.lineWidth = 1;
     ctx.stroke();
     ctx.setLineDash([]);
     ctx.fillStyle = 'rgba(255,59,59,0.4)';
     ctx.font = '9px JetBrains Mono';
-    ctx.fillText('ALERT THRESHOLD', 4, y70 - 3);
+    ctx.fillText('ALERT THRESHOLD', 4, yT - 3);
+
+    if (markers?.length) this._drawMarkers(ctx, markers, W, H);
+    if (playhead !== null) this._drawPlayhead(ctx, this._timeScale(this.timelineTimes, W)?.toX(playhead), H);
+  }
+
+  /**
+   * Map session time → x for index-spaced samples. The live timeline carries over between
+   * sessions, so only the current session's (trailing, increasing) samples are mapped.
+   * @returns {{toX:function(number):number, visible:function(number, number):boolean}|null}
+   */
+  _timeScale(times, W) {
+    let first = 0;
+    times.forEach((t, i) => { if (t == null || (i && t < times[i - 1])) first = t == null ? i + 1 : i; });
+    if (first >= times.length - 1) return null;
+    const step = W / (times.length - 1);
+    return {
+      toX: t => {
+        if (t <= times[first]) return first * step;
+        const i = times.findIndex((v, k) => k >= first && v >= t);
+        return i < 0 ? W : i * step;
+      },
+      visible: (a, b) => b >= times[first] && a <= times[times.length - 1],
+    };
+  }
+
+  _drawPlayhead(ctx, x, H) {
+    if (x === undefined) return;
+    ctx.beginPath();
+    ctx.moveTo(x, 0); ctx.lineTo(x, H);
+    ctx.strokeStyle = '#ffffff'; ctx.lineWidth = 1.5;
+    ctx.shadowColor = '#ffffff'; ctx.shadowBlur = 4;
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+  }
+
+  /** Episode bands and change-point markers, placed by sample time */
+  _drawEpisodes(ctx, marks, W, H) {
+    const scale = this._timeScale(this.timelineTimes, W);
+    if (!scale) return;
+    const { toX, visible } = scale;
+
+    marks.episodes.filter(e => visible(e.start, e.end)).forEach(e => {
+      const x0 = toX(e.start), x1 = toX(e.end);
+      ctx.fillStyle = 'rgba(255,59,59,0.12)';
+      ctx.fillRect(x0, 0, Math.max(1, x1 - x0), H);
+      ctx.fillStyle = 'rgba(255,59,59,0.6)';
+      ctx.font = '9px JetBrains Mono';
+      ctx.fillText(`▲${e.peak}`, x0 + 3, 10);
+    });
+
+    ctx.setLineDash([2, 3]);
+    ctx.strokeStyle = 'rgba(255,170,0,0.55)'; ctx.lineWidth = 1;
+    marks.changePoints.filter(c => visible(c.t, c.t)).forEach(c => {
+      const x = toX(c.t);
+      ctx.beginPath();
+      ctx.moveTo(x, 0); ctx.lineTo(x, H);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+  }
+
+  /** User event markers: a line from the bottom with its label beside it */
+  _drawMarkers(ctx, markers, W, H) {
+    const scale = this._timeScale(this.timelineTimes, W);
+    if (!scale) return;
+    ctx.font = '9px JetBrains Mono';
+    markers.filter(m => scale.visible(m.t, m.t)).forEach(m => {
+      const x = scale.toX(m.t);
+      ctx.beginPath();
+      ctx.moveTo(x, H); ctx.lineTo(x, 14);
+      ctx.strokeStyle = 'rgba(199,125,255,0.8)'; ctx.lineWidth = 1;
+      ctx.stroke();
+      ctx.fillStyle = '#c77dff';
+      ctx.fillText(`⚑ ${m.label}`, Math.min(x + 3, W - ctx.measureText(`⚑ ${m.label}`).width - 2), H - 4);
+    });
   }
 
   _drawLine(ctx, data, W, H, color, dashed = false) {
@@ -249,6 +453,96 @@ export class CanvasRenderer {
     ctx.setLineDash([]);
   }
 
+  /* ─ POSE OVER TIME (session detail) ─ */
+  /**
+   * @param {{t:number[], pitch:number[], yaw:number[], roll:number[]}} series — degrees
+   * @param {number} [playhead] — ms from session start
+   */
+  drawPoseTimeline(series, playhead = null) {
+    const canvas = this.poseTimelineChart;
+    if (!canvas || !this.ptctx) return;
+    const ctx = this.ptctx;
+    const W = canvas.width, H = canvas.height;
+    ctx.clearRect(0, 0, W, H);
+    if (series.t.length < 2) return;
+
+    const RANGE = 45;   // ± degrees shown
+    ctx.beginPath();
+    ctx.moveTo(0, H / 2); ctx.lineTo(W, H / 2);
+    ctx.strokeStyle = '#1a2535'; ctx.lineWidth = 1;
+    ctx.stroke();
+
+    const step = W / (series.t.length - 1);
+    [['pitch', '#ff6b6b'], ['yaw', '#6bff8a'], ['roll', '#6b9fff']].forEach(([key, color]) => {
+      ctx.beginPath();
+      series[key].forEach((v, i) => {
+        const y = H / 2 - Math.max(-1, Math.min(1, (v ?? 0) / RANGE)) * (H / 2 - 2);
+        i === 0 ? ctx.moveTo(i * step, y) : ctx.lineTo(i * step, y);
+      });
+      ctx.strokeStyle = color; ctx.lineWidth = 1.2;
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = '#2d4460';
+    ctx.font = '8px JetBrains Mono';
+    ctx.fillText(`+${RANGE}°`, 4, 10);
+    ctx.fillText(`-${RANGE}°`, 4, H - 4);
+
+    if (playhead !== null) this._drawPlayhead(ctx, this._timeScale(series.t, W)?.toX(playhead), H);
+  }
+
+  /* ─ CONTRIBUTION BAR (Dashboard) ─ */
+  drawContributions(contributions) {
+    const canvas = this.contribChart;
+    if (!canvas || !this.cctx) return;
+    const ctx = this.cctx;
+    const W = canvas.width, H = canvas.height;
+    ctx.clearRect(0, 0, W, H);
+
+    ctx.fillStyle = '#131c28';
+    ctx.fillRect(0, 0, W, H);
+
+    // Stack in fixed channel order so segments don't jump around
+    let x = 0;
+    STRESS_CHANNELS.forEach(ch => {
+      const c = contributions.find(c => c.key === ch.key);
+      if (!c || c.points <= 0) return;
+      const w = (c.points / 100) * W;
+      ctx.fillStyle = ch.color + 'cc';
+      ctx.fillRect(x, 0, w, H);
+      ctx.fillStyle = '#06090d';
+      ctx.fillRect(x + w - 1, 0, 1, H);
+      x += w;
+    });
+  }
+
+  /* ─ STACKED CONTRIBUTION TIMELINE (Analytics tab) ─ */
+  drawContributionTimeline() {
+    const canvas = this.contribTimelineChart;
+    if (!canvas || !this.ctctx) return;
+    const ctx  = this.ctctx;
+    const W = canvas.width, H = canvas.height;
+    ctx.clearRect(0, 0, W, H);
+    const data = this.timelineContrib;
+    if (data.length < 2) return;
+
+    const step = W / (data.length - 1);
+    const base = new Array(data.length).fill(0);
+    STRESS_CHANNELS.forEach(ch => {
+      const top = data.map((d, i) => base[i] + (d[ch.key] || 0));
+      ctx.beginPath();
+      top.forEach((v, i) => {
+        const x = i * step, y = H - (v / 100) * H;
+        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+      });
+      for (let i = data.length - 1; i >= 0; i--) ctx.lineTo(i * step, H - (base[i] / 100) * H);
+      ctx.closePath();
+      ctx.fillStyle = ch.color + '99';
+      ctx.fill();
+      top.forEach((v, i) => { base[i] = v; });
+    });
+  }
+
   /* ─ EMOTION PIE ─ */
   pushEmotion(emotions) {
     Object.entries(emotions).forEach(([k, v]) => {
@@ -269,7 +563,7 @@ export class CanvasRenderer {
     const cx = W / 2, cy = H / 2, r = Math.min(W, H) / 2 - 10;
     let startA = -Math.PI / 2;
 
-    const legend = document.getElementById('pieLegend');
+    const legend = this.pieLegend;
     if (legend) legend.innerHTML = '';
 
     Object.entries(this.emotionAccum).forEach(([emo, val]) => {
@@ -322,7 +616,7 @@ export class CanvasRenderer {
 
     const labels = ['0-10','10-20','20-30','30-40','40-50','50-60','60-70','70-80','80-90','90-100'];
     const bw     = W / 10 - 4;
-    const colors = ['#00ff99','#00ff99','#00e5ff','#00e5ff','#ffaa00','#ffaa00','#ff9500','#ff3b3b','#ff3b3b','#ff0055'];
+    const colors = buckets.map((_, i) => this._scoreColor(i * 10 + 5));
 
     buckets.forEach((v, i) => {
       const bh  = max > 0 ? (v / max) * (H - 22) : 0;
@@ -340,6 +634,218 @@ export class CanvasRenderer {
     });
   }
 
+  /* ─ TRENDS (TrendAnalyzer buckets) ─ */
+  /** Average stress bars (level colors) with the peak as a line */
+  drawTrendStress(buckets) {
+    const canvas = this.trendStressChart;
+    if (!canvas || !this.tsctx) return;
+    const ctx = this.tsctx;
+    const W = canvas.width, H = canvas.height - 14;
+    ctx.clearRect(0, 0, W, canvas.height);
+    if (!buckets.length) return;
+
+    const slot = W / buckets.length;
+    buckets.forEach((b, i) => {
+      const bh = (b.avgStress / 100) * H;
+      const color = this._scoreColor(b.avgStress);
+      ctx.fillStyle = color + '99';
+      ctx.fillRect(i * slot + 2, H - bh, Math.max(1, slot - 4), bh);
+    });
+    this._trendLine(ctx, buckets.map(b => b.peakStress), slot, H, '#ff3b3b');
+    this._trendAxis(ctx, buckets, slot, H);
+  }
+
+  /** Alerts per recorded hour (bars, own scale) and calm-time % (line, 0–100) */
+  drawTrendAlerts(buckets) {
+    const canvas = this.trendAlertChart;
+    if (!canvas || !this.tactx) return;
+    const ctx = this.tactx;
+    const W = canvas.width, H = canvas.height - 14;
+    ctx.clearRect(0, 0, W, canvas.height);
+    if (!buckets.length) return;
+
+    const slot = W / buckets.length;
+    const max  = Math.max(1, ...buckets.map(b => b.alertsPerHour || 0));
+    buckets.forEach((b, i) => {
+      const bh = ((b.alertsPerHour || 0) / max) * (H - 12);
+      ctx.fillStyle = 'rgba(255,170,0,0.55)';
+      ctx.fillRect(i * slot + 2, H - bh, Math.max(1, slot - 4), bh);
+    });
+    this._trendLine(ctx, buckets.map(b => b.calmPct), slot, H, '#00ff99');
+    ctx.fillStyle = '#2d4460';
+    ctx.font = '8px JetBrains Mono';
+    ctx.fillText(`${max}/h`, 4, 10);
+    this._trendAxis(ctx, buckets, slot, H);
+  }
+
+  /** Dominant-emotion shares as 100% stacked bars */
+  drawTrendEmotions(buckets) {
+    const canvas = this.trendEmotionChart;
+    if (!canvas || !this.tectx) return;
+    const ctx = this.tectx;
+    const W = canvas.width, H = canvas.height - 14;
+    ctx.clearRect(0, 0, W, canvas.height);
+    if (!buckets.length) return;
+
+    const slot = W / buckets.length;
+    buckets.forEach((b, i) => {
+      let y = H;
+      Object.entries(b.emotions).forEach(([emo, share]) => {
+        const h = share * H;
+        ctx.fillStyle = (this.emotionColors[emo] || '#888') + 'bb';
+        ctx.fillRect(i * slot + 2, y - h, Math.max(1, slot - 4), h);
+        y -= h;
+      });
+    });
+    this._trendAxis(ctx, buckets, slot, H);
+  }
+
+  /**
+   * Day-of-week × hour-of-day mean stress
+   * @param {{mean:(number|null)[][]}} heatmap — 7 rows (Mon…Sun) × 24 hours
+   */
+  drawTrendHeatmap(heatmap) {
+    const canvas = this.trendHeatmap;
+    if (!canvas || !this.thctx) return;
+    const ctx = this.thctx;
+    const W = canvas.width, H = canvas.height;
+    ctx.clearRect(0, 0, W, H);
+
+    const left = 30, bottom = 14;
+    const cw = (W - left) / 24, ch = (H - bottom) / 7;
+    const days = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+    ctx.font = '8px JetBrains Mono';
+    heatmap.mean.forEach((row, d) => {
+      ctx.fillStyle = '#2d4460';
+      ctx.fillText(days[d], 2, d * ch + ch / 2 + 3);
+      row.forEach((v, h) => {
+        ctx.fillStyle = v === null ? '#0d1520' : this._scoreColor(v) + 'cc';
+        ctx.fillRect(left + h * cw + 1, d * ch + 1, cw - 2, ch - 2);
+      });
+    });
+    ctx.fillStyle = '#2d4460';
+    [0, 6, 12, 18, 23].forEach(h => ctx.fillText(String(h).padStart(2, '0'), left + h * cw + 1, H - 3));
+  }
+
+  _trendLine(ctx, values, slot, H, color) {
+    ctx.beginPath();
+    let started = false;
+    values.forEach((v, i) => {
+      if (v == null) return;
+      const x = i * slot + slot / 2, y = H - (v / 100) * H;
+      started ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+      started = true;
+    });
+    ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+    ctx.stroke();
+    values.forEach((v, i) => {
+      if (v == null) return;
+      ctx.beginPath();
+      ctx.arc(i * slot + slot / 2, H - (v / 100) * H, 2, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+    });
+  }
+
+  /** Date labels under trend bars, thinned to fit */
+  _trendAxis(ctx, buckets, slot, H) {
+    ctx.fillStyle = '#2d4460';
+    ctx.font = '8px JetBrains Mono';
+    const every = Math.max(1, Math.ceil(44 / slot));
+    buckets.forEach((b, i) => {
+      if (i % every) return;
+      const d = new Date(b.start);
+      ctx.fillText(`${d.getMonth() + 1}/${d.getDate()}`, i * slot + 2, H + 11);
+    });
+  }
+
+  /* ─ SESSION COMPARISON (SessionComparator result) ─ */
+  /** Stress of each session over 0–100% of its duration */
+  drawCompareTimeline(sessions, threshold = 70) {
+    const canvas = this.compareTimelineChart;
+    if (!canvas || !this.cmtctx) return;
+    const ctx = this.cmtctx;
+    const W = canvas.width, H = canvas.height - 12;
+    ctx.clearRect(0, 0, W, canvas.height);
+
+    const yT = H - (threshold / 100) * H;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, yT); ctx.lineTo(W, yT);
+    ctx.strokeStyle = 'rgba(255,59,59,0.3)'; ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    sessions.forEach(c => {
+      const step = W / (c.series.length - 1);
+      ctx.beginPath();
+      let started = false;
+      c.series.forEach((v, i) => {
+        if (v === null) return;
+        const x = i * step, y = H - (v / 100) * H;
+        started ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+        started = true;
+      });
+      ctx.strokeStyle = c.color; ctx.lineWidth = 1.5;
+      ctx.shadowColor = c.color; ctx.shadowBlur = 3;
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+    });
+
+    ctx.fillStyle = '#2d4460';
+    ctx.font = '8px JetBrains Mono';
+    [0, 25, 50, 75, 100].forEach(p => ctx.fillText(`${p}%`, Math.min(W - 22, p / 100 * W), H + 10));
+  }
+
+  /** Stress distributions as grouped bars (share of frames per 10-point bucket) */
+  drawCompareDistribution(sessions) {
+    const canvas = this.compareDistChart;
+    if (!canvas || !this.cmdctx) return;
+    const ctx = this.cmdctx;
+    const W = canvas.width, H = canvas.height - 14;
+    ctx.clearRect(0, 0, W, canvas.height);
+    if (!sessions.length) return;
+
+    const max  = Math.max(1, ...sessions.flatMap(c => c.distribution));
+    const slot = W / 10;
+    const bw   = (slot - 6) / sessions.length;
+    for (let b = 0; b < 10; b++) {
+      sessions.forEach((c, k) => {
+        const bh = c.distribution[b] / max * (H - 4);
+        ctx.fillStyle = c.color + 'aa';
+        ctx.fillRect(b * slot + 3 + k * bw, H - bh, Math.max(1, bw - 1), bh);
+      });
+      ctx.fillStyle = '#2d4460';
+      ctx.font = '7px JetBrains Mono';
+      ctx.fillText(String(b * 10), b * slot + 3, H + 11);
+    }
+  }
+
+  /** Emotion mix per session as a horizontal 100% bar */
+  drawCompareEmotions(sessions) {
+    const canvas = this.compareEmotionChart;
+    if (!canvas || !this.cmectx) return;
+    const ctx = this.cmectx;
+    const W = canvas.width, H = canvas.height;
+    ctx.clearRect(0, 0, W, H);
+    if (!sessions.length) return;
+
+    const left = 26, rowH = Math.min(28, H / sessions.length);
+    sessions.forEach((c, k) => {
+      const y = k * rowH + 3;
+      ctx.fillStyle = c.color;
+      ctx.font = '9px JetBrains Mono';
+      ctx.fillText(c.label, 2, y + rowH / 2);
+      let x = left;
+      Object.entries(c.emotions).forEach(([emo, share]) => {
+        const w = share * (W - left - 2);
+        ctx.fillStyle = (this.emotionColors[emo] || '#888') + 'bb';
+        ctx.fillRect(x, y, w, rowH - 8);
+        x += w;
+      });
+    });
+  }
+
   /* ─ HEAD POSE 3D CUBE ─ */
   drawPose(pitch, yaw, roll) {
     const canvas = this.poseCanvas;
@@ -432,10 +938,6 @@ export class CanvasRenderer {
   }
 
   _scoreColor(score) {
-    if (score < 20) return '#00ff99';
-    if (score < 40) return '#00e5ff';
-    if (score < 60) return '#ffaa00';
-    if (score < 80) return '#ff3b3b';
-    return '#ff0055';
+    return levelFor(this.profile, score).color;
   }
 }
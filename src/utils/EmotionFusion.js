@@ -0,0 +1,72 @@
+/**
+ * EmotionFusion
+ * Turns faceExpressionNet probabilities into a sustained "emotional load"
+ * channel for the stress composite.
+ * Per-emotion weights, a confidence gate for low-probability classes,
+ * and a time-constant EMA so only sustained expressions count.
+ */
+
+export const EMOTIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'surprised', 'disgusted'];
+
+export class EmotionFusion {
+  constructor() {
+    // Contribution of each class at probability 1 (negative = calming)
+    this.weights = {
+      neutral:   0,
+      happy:    -0.4,
+      sad:       0.7,
+      angry:     0.9,
+      fearful:   1.0,
+      surprised: 0.3,
+      disgusted: 0.6,
+    };
+    this.gate  = 0.35;   // probabilities below this are ignored
+    this.TAU   = 3000;   // ms — sustain time constant
+    this.reset();
+  }
+
+  setWeight(emotion, w) { if (emotion in this.weights) this.weights[emotion] = w; }
+  setGate(g)            { this.gate  = g; }
+
+  /**
+   * @param {object|undefined} expressions — { neutral: p, happy: p, ... }
+   * @param {number} t — timestamp in ms
+   * @returns {{normalized:number, instant:number, top:string|null, label:string}}
+   */
+  update(expressions, t) {
+    let instant = this.instant;
+    let top     = this.top;
+    if (expressions) {
+      let sum = 0, best = 0;
+      top = null;
+      EMOTIONS.forEach(e => {
+        const p = expressions[e] || 0;
+        if (p < this.gate) return;
+        const c = this.weights[e] * p;
+        sum += c;
+        if (c > best) { best = c; top = e; }
+      });
+      instant = Math.min(1, Math.max(0, sum));
+    }
+
+    if (this.lastT === null) {
+      this.value = instant;
+    } else {
+      const alpha = 1 - Math.exp(-Math.max(0, t - this.lastT) / this.TAU);
+      this.value += alpha * (instant - this.value);
+    }
+    this.lastT   = t;
+    this.instant = instant;
+    this.top     = top;
+
+    const normalized = this.value;
+    return { normalized, instant, top, label: `${(normalized * 100).toFixed(0)}%` };
+  }
+
+  reset() {
+    this.value   = 0;
+    this.instant = 0;
+    this.top     = null;
+    this.lastT   = null;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * EpisodeAnalyzer
+ * Post-hoc structure of a session's stress series:
+ *   - episodes: sustained runs above a threshold (start, end, peak, area above threshold)
+ *   - recovery: time after each episode until stress settles back near its pre-episode level
+ *   - change points: shifts in mean level (binary segmentation on a 1 Hz series)
+ * Works on recorded frames ({ t, stress }, t in ms from session start).
+ */
+
+export class EpisodeAnalyzer {
+  constructor() {
+    this.BUCKET_MS       = 1000;    // series is resampled to 1 Hz
+    this.MIN_EPISODE_MS  = 20000;   // shorter runs above threshold are spikes, not episodes
+    this.MERGE_GAP_MS    = 10000;   // dips shorter than this don't split an episode
+    this.PRE_WINDOW_MS   = 60000;   // pre-episode level = median of this window before onset
+    this.RECOVERY_MARGIN = 5;       // recovered = back within this many points of the pre-episode level…
+    this.RECOVERY_HOLD_MS = 5000;  // …and staying there this long
+    this.MIN_SEGMENT_MS  = 30000;   // change points: shortest segment
+    this.MIN_SHIFT       = 8;       // change points: smallest mean shift (points)
+    this.PENALTY         = 3;       // change points: × noise variance × ln(n)
+    this.MAX_CHANGES     = 20;
+  }
+
+  /**
+   * @param {{t:number, stress:number}[]} frames
+   * @param {number} threshold — stress level that counts as "stressed"
+   * @returns {{threshold:number, episodes:Episode[], changePoints:object[], segments:object[], summary:object}}
+   */
+  analyze(frames, threshold = 70) {
+    const series   = this._resample(frames);
+    const episodes = this._episodes(series, threshold);
+    const { changePoints, segments } = this._changePoints(series);
+
+    const totalMs    = episodes.reduce((a, e) => a + e.durationMs, 0);
+    const spanMs     = series.length ? series[series.length - 1].t - series[0].t + this.BUCKET_MS : 0;
+    const recoveries = episodes.map(e => e.recoveryMs).filter(v => v !== null);
+    return {
+      threshold,
+      episodes,
+      changePoints,
+      segments,
+      summary: {
+        count:          episodes.length,
+        totalMs,
+        pctTime:        spanMs ? Math.round(totalMs / spanMs * 100) : 0,
+        longestMs:      episodes.length ? Math.max(...episodes.map(e => e.durationMs)) : 0,
+        meanRecoveryMs: recoveries.length ? Math.round(recoveries.reduce((a, b) => a + b, 0) / recoveries.length) : null,
+        unrecovered:    episodes.length - recoveries.length,
+      },
+    };
+  }
+
+  /* ── INTERNALS ── */
+
+  /** Mean stress per BUCKET_MS; empty buckets (gated / no face) are skipped */
+  _resample(frames) {
+    const buckets = new Map();
+    frames.forEach(f => {
+      const k = Math.floor(f.t / this.BUCKET_MS);
+      const b = buckets.get(k) || { sum: 0, n: 0 };
+      b.sum += f.stress;
+      b.n++;
+      buckets.set(k, b);
+    });
+    return [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([k, b]) => ({ t: k * this.BUCKET_MS, v: b.sum / b.n }));
+  }
+
+  _episodes(series, threshold) {
+    // Runs above threshold, merged across short dips
+    const runs = [];
+    series.forEach((p, i) => {
+      if (p.v < threshold) return;
+      const last = runs[runs.length - 1];
+      if (last && p.t - series[last.end].t <= this.MERGE_GAP_MS) last.end = i;
+      else runs.push({ start: i, end: i });
+    });
+
+    const episodes = runs
+      .map(r => ({ ...r, startT: series[r.start].t, endT: series[r.end].t + this.BUCKET_MS }))
+      .filter(r => r.endT - r.startT >= this.MIN_EPISODE_MS);
+
+    return episodes.map((r, n) => {
+      const pts  = series.slice(r.start, r.end + 1);
+      const peak = pts.reduce((a, p) => p.v > a.v ? p : a, pts[0]);
+      const pre  = series.filter(p => p.t < r.startT && p.t >= r.startT - this.PRE_WINDOW_MS && p.v < threshold).map(p => p.v);
+      const preLevel = pre.length ? this._median(pre) : null;
+      const nextStart = episodes[n + 1]?.startT ?? Infinity;
+      return {
+        start:      r.startT,
+        end:        r.endT,
+        durationMs: r.endT - r.startT,
+        peak:       Math.round(peak.v),
+        peakT:      peak.t,
+        mean:       Math.round(pts.reduce((a, p) => a + p.v, 0) / pts.length),
+        area:       Math.round(pts.reduce((a, p) => a + Math.max(0, p.v - threshold), 0) * this.BUCKET_MS / 1000),  // point·s
+        preLevel:   preLevel !== null ? Math.round(preLevel) : null,
+        recoveryMs: this._recovery(series, r.end + 1, nextStart, preLevel, threshold),
+      };
+    });
+  }
+
+  /** ms from episode end until stress holds near the pre-episode level; null if it never does */
+  _recovery(series, from, until, preLevel, threshold) {
+    const target = Math.min(threshold - 1, (preLevel ?? threshold - 10) + this.RECOVERY_MARGIN);
+    const endT   = series[from - 1].t + this.BUCKET_MS;
+    let since = null;
+    for (let i = from; i < series.length && series[i].t < until; i++) {
+      if (series[i].v <= target) {
+        if (since === null) since = series[i].t;
+        if (series[i].t + this.BUCKET_MS - since >= this.RECOVERY_HOLD_MS) return since - endT;
+      } else {
+        since = null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Binary segmentation on mean level. A split is kept when its squared-error gain beats
+   * PENALTY · σ² · ln n (σ from first differences) and the means differ by ≥ MIN_SHIFT.
+   */
+  _changePoints(series) {
+    const n = series.length;
+    const minLen = Math.max(2, Math.round(this.MIN_SEGMENT_MS / this.BUCKET_MS));
+    if (n < 2 * minLen) {
+      return { changePoints: [], segments: n ? [this._segment(series, 0, n)] : [] };
+    }
+
+    const prefix = [0];
+    series.forEach(p => prefix.push(prefix[prefix.length - 1] + p.v));
+    const diffs = series.slice(1).map((p, i) => Math.abs(p.v - series[i].v));
+    const sigma = Math.max(1, this._median(diffs) / 0.6745 / Math.SQRT2);
+    const minGain = this.PENALTY * sigma * sigma * Math.log(n);
+    const mean = (a, b) => (prefix[b] - prefix[a]) / (b - a);
+
+    const cuts = [];
+    const split = (a, b) => {
+      if (cuts.length >= this.MAX_CHANGES || b - a < 2 * minLen) return;
+      let best = null;
+      for (let k = a + minLen; k <= b - minLen; k++) {
+        const l = k - a, r = b - k;
+        const gain = l * r / (b - a) * (mean(a, k) - mean(k, b)) ** 2;
+        if (!best || gain > best.gain) best = { k, gain };
+      }
+      if (!best || best.gain < minGain || Math.abs(mean(a, best.k) - mean(best.k, b)) < this.MIN_SHIFT) return;
+      cuts.push(best.k);
+      split(a, best.k);
+      split(best.k, b);
+    };
+    split(0, n);
+    cuts.sort((a, b) => a - b);
+
+    const bounds   = [0, ...cuts, n];
+    const segments = bounds.slice(1).map((b, i) => this._segment(series, bounds[i], b));
+    const changePoints = cuts.map((k, i) => ({
+      t:      series[k].t,
+      before: segments[i].mean,
+      after:  segments[i + 1].mean,
+    }));
+    return { changePoints, segments };
+  }
+
+  _segment(series, a, b) {
+    const pts = series.slice(a, b);
+    return {
+      start: pts[0].t,
+      end:   pts[pts.length - 1].t + this.BUCKET_MS,
+      mean:  Math.round(pts.reduce((s, p) => s + p.v, 0) / pts.length),
+    };
+  }
+
+  _median(v) {
+    if (!v.length) return 0;
+    const s = [...v].sort((a, b) => a - b);
+    return s[Math.floor(s.length / 2)];
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * ErgonomicsMonitor
+ * Posture and screen-distance tracking from the face box, nose position and head pose.
+ * A baseline of the user's normal seated position is captured on first use; sustained
+ * departures from it raise lean-in / slouch events, the PnP distance raises too-close
+ * events, and continuous screen time schedules 20-20-20 eye-break reminders.
+ */
+
+export const ERGONOMIC_EVENTS = {
+  'lean-in':   'Leaning in toward the screen',
+  'slouch':    'Slouching — head dropped / pitched forward',
+  'too-close': 'Too close to the screen',
+  'eye-break': '20-20-20 eye break due',
+};
+
+export class ErgonomicsMonitor {
+  constructor() {
+    this.STORAGE_KEY    = 'neurocal_posture_baseline';
+    this.BASELINE_MS    = 30000;   // seated-normally capture time
+    this.BASELINE_YAW   = 20;      // deg — frames turned further away don't count toward the baseline
+    this.LEAN_RATIO     = 1.2;     // face size vs. baseline
+    this.SLOUCH_DROP    = 0.06;    // nose drop, fraction of frame height
+    this.SLOUCH_PITCH   = 12;      // deg of forward pitch beyond baseline
+    this.CLOSE_MM       = 450;     // camera → nose distance considered too close
+    this.CLOSE_RATIO    = 1.45;    // fallback when no distance: face size vs. baseline
+    this.SUSTAIN_MS     = { 'lean-in': 60000, 'slouch': 120000, 'too-close': 30000 };
+    this.CLEAR_MS       = 5000;    // a condition must be gone this long to reset its onset
+    this.REMIND_MS      = 300000;  // min time between repeats of the same posture event
+    this.breakIntervalMs = 20 * 60000;   // 20-20-20: every 20 min of screen time…
+    this.BREAK_MS       = 20000;   // …look away for 20 s
+    this.baseline = this._load();
+    this.reset();
+  }
+
+  /** @param {number} minutes — continuous screen time before an eye-break reminder */
+  setBreakInterval(minutes) {
+    this.breakIntervalMs = minutes * 60000;
+  }
+
+  /** Forget the stored posture and capture a new one from the next frames */
+  resetBaseline() {
+    this.baseline = null;
+    this.collect  = [];
+    try { localStorage.removeItem(this.STORAGE_KEY); } catch(e){}
+  }
+
+  /**
+   * @param {{box:object, nose:{x:number,y:number}, pose:object, frame:{width:number,height:number}, onScreen:boolean}|null} s
+   *   — null when no face is visible
+   * @param {number} [t] — timestamp in ms
+   * @returns {ErgonomicsResult}
+   */
+  update(s, t = Date.now()) {
+    const events = [];
+    this._screenTime(s && s.onScreen, t, events);
+    if (!s) return this._result(null, events);
+
+    const sample = {
+      size:     s.box.width / s.frame.width,
+      noseY:    s.nose.y / s.frame.height,
+      pitch:    s.pose.pitch,
+      distance: s.pose.distance || 0,
+    };
+
+    if (!this.baseline) {
+      if (Math.abs(s.pose.yaw) <= this.BASELINE_YAW) this.collect.push({ t, ...sample });
+      if (this.collect.length && t - this.collect[0].t >= this.BASELINE_MS) this._finishBaseline();
+      return this._result(null, events);
+    }
+
+    const b = this.baseline;
+    const posture = {
+      sizeRatio:  sample.size / b.size,
+      drop:       sample.noseY - b.noseY,
+      pitchDelta: sample.pitch - b.pitch,
+      distance:   sample.distance,
+    };
+    const active = {
+      'lean-in':   posture.sizeRatio >= this.LEAN_RATIO,
+      'slouch':    posture.drop >= this.SLOUCH_DROP || posture.pitchDelta >= this.SLOUCH_PITCH,
+      'too-close': posture.distance > 0 ? posture.distance < this.CLOSE_MM : posture.sizeRatio >= this.CLOSE_RATIO,
+    };
+    Object.entries(active).forEach(([type, on]) => this._check(type, on, t, events, posture));
+    return this._result(posture, events, active);
+  }
+
+  /** Clear per-session timers; the stored baseline is kept */
+  reset() {
+    this.collect     = [];
+    this.conditions  = {};
+    Object.keys(this.SUSTAIN_MS).forEach(type => {
+      this.conditions[type] = { since: null, offSince: null, fired: false, lastFire: -Infinity };
+    });
+    this.screenStart = null;
+    this.awaySince   = null;
+    this.lastT       = null;
+  }
+
+  /* ── INTERNALS ── */
+
+  /** Fire once per sustained episode; flicker shorter than CLEAR_MS doesn't restart the onset */
+  _check(type, on, t, events, posture) {
+    const c = this.conditions[type];
+    if (on) {
+      c.offSince = null;
+      if (c.since === null) c.since = t;
+      if (!c.fired && t - c.since >= this.SUSTAIN_MS[type] && t - c.lastFire >= this.REMIND_MS) {
+        c.fired    = true;
+        c.lastFire = t;
+        events.push({ type, durationMs: t - c.since, ...this._describe(posture) });
+      }
+    } else if (c.since !== null) {
+      if (c.offSince === null) c.offSince = t;
+      if (t - c.offSince >= this.CLEAR_MS) {
+        c.since = null;
+        c.fired = false;
+      }
+    }
+  }
+
+  /** Continuous screen time; looking away / leaving for BREAK_MS counts as a break */
+  _screenTime(onScreen, t, events) {
+    this.lastT = t;
+    if (!onScreen) {
+      if (this.awaySince === null) this.awaySince = t;
+      if (t - this.awaySince >= this.BREAK_MS) this.screenStart = null;
+      return;
+    }
+    this.awaySince = null;
+    if (this.screenStart === null) this.screenStart = t;
+    if (t - this.screenStart >= this.breakIntervalMs) {
+      events.push({ type: 'eye-break', minutes: Math.round((t - this.screenStart) / 60000) });
+      this.screenStart = t;
+    }
+  }
+
+  _finishBaseline() {
+    const median = key => {
+      const v = this.collect.map(s => s[key]).sort((a, b) => a - b);
+      return v[Math.floor(v.length / 2)];
+    };
+    this.baseline = {
+      createdAt: new Date().toISOString(),
+      size:      median('size'),
+      noseY:     median('noseY'),
+      pitch:     median('pitch'),
+      distance:  median('distance'),
+      samples:   this.collect.length,
+    };
+    this.collect = [];
+    this._save();
+  }
+
+  _describe(p) {
+    return {
+      sizeRatio:  Math.round(p.sizeRatio * 100) / 100,
+      drop:       Math.round(p.drop * 1000) / 10,   // % of frame height
+      pitchDelta: Math.round(p.pitchDelta),
+      distanceCm: p.distance ? Math.round(p.distance / 10) : null,
+    };
+  }
+
+  _result(posture, events, active = {}) {
+    const screenMs = this.screenStart !== null ? this.lastT - this.screenStart : 0;
+    return {
+      ready:       !!this.baseline,
+      progress:    this.baseline ? 1 : this.collect.length ? Math.min(1, (this.lastT - this.collect[0].t) / this.BASELINE_MS) : 0,
+      posture:     posture ? this._describe(posture) : null,
+      leanIn:      !!active['lean-in'],
+      slouch:      !!active['slouch'],
+      tooClose:    !!active['too-close'],
+      screenMs,
+      nextBreakMs: Math.max(0, this.breakIntervalMs - screenMs),
+      events,
+    };
+  }
+
+  _save() { try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.baseline)); } catch(e){} }
+  _load() { try { return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || null; } catch(e){ return null; } }
+}
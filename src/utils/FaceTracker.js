@@ -0,0 +1,128 @@
+/**
+ * FaceTracker
+ * Stable face IDs across frames for multi-face mode.
+ * Detections are matched to existing tracks greedily on box overlap (IoU)
+ * plus a scale-free landmark geometry signature, so a face keeps its ID
+ * when detection order changes or it briefly drops out.
+ */
+
+export class FaceTracker {
+  constructor() {
+    this.MAX_MISSED_MS = 1500;   // drop a track after this long unseen
+    this.MIN_SCORE     = 0.25;   // minimum match score to continue a track
+    this.SIG_SCALE     = 0.12;   // signature distance at which similarity ≈ 1/e
+    this.SIG_ALPHA     = 0.1;    // signature EMA — averages out expressions
+    this.reset();
+  }
+
+  /**
+   * @param {object[]} detections — face-api results with detection.box + landmarks
+   * @param {number} [t] — timestamp in ms
+   * @returns {{tracks: Track[], added: number[], removed: number[]}}
+   *   tracks: { id, det, firstSeen, lastSeen, hits } for faces seen this frame, oldest first
+   */
+  update(detections, t = Date.now()) {
+    const dets = detections.map(det => ({ det, box: det.detection.box, sig: this._signature(det.landmarks.positions) }));
+
+    // Score every track × detection pair, best first
+    const pairs = [];
+    this.tracks.forEach(track => dets.forEach((d, j) => {
+      const score = this._matchScore(track, d);
+      if (score >= this.MIN_SCORE) pairs.push({ track, j, score });
+    }));
+    pairs.sort((a, b) => b.score - a.score);
+
+    const usedTracks = new Set(), usedDets = new Set();
+    pairs.forEach(({ track, j }) => {
+      if (usedTracks.has(track) || usedDets.has(j)) return;
+      usedTracks.add(track);
+      usedDets.add(j);
+      this._updateTrack(track, dets[j], t);
+    });
+
+    // Unmatched detections start new tracks
+    const added = [];
+    dets.forEach((d, j) => {
+      if (usedDets.has(j)) return;
+      const track = { id: this.nextId++, det: d.det, box: d.box, sig: d.sig, firstSeen: t, lastSeen: t, hits: 1 };
+      this.tracks.push(track);
+      added.push(track.id);
+    });
+
+    // Expire tracks that have been missing too long
+    const removed = [];
+    this.tracks = this.tracks.filter(track => {
+      if (t - track.lastSeen <= this.MAX_MISSED_MS) return true;
+      removed.push(track.id);
+      return false;
+    });
+
+    const tracks = this.tracks
+      .filter(track => track.lastSeen === t)
+      .map(({ id, det, firstSeen, lastSeen, hits }) => ({ id, det, firstSeen, lastSeen, hits }));
+    return { tracks, added, removed };
+  }
+
+  reset() {
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /* ── MATCHING ── */
+
+  /**
+   * IoU carries most of the weight frame to frame; the signature breaks ties
+   * between overlapping faces and re-acquires a face that moved while unseen.
+   */
+  _matchScore(track, d) {
+    const iou  = this._iou(track.box, d.box);
+    const sim  = Math.exp(-this._sigDistance(track.sig, d.sig) / this.SIG_SCALE);
+    const near = this._centerDistance(track.box, d.box) < 1.5 * Math.max(track.box.width, d.box.width);
+    if (iou < 0.05 && !near) return 0;
+    return 0.7 * iou + 0.3 * sim;
+  }
+
+  _updateTrack(track, d, t) {
+    track.det      = d.det;
+    track.box      = d.box;
+    track.sig      = track.sig.map((v, i) => v + this.SIG_ALPHA * (d.sig[i] - v));
+    track.lastSeen = t;
+    track.hits++;
+  }
+
+  /** Scale-free face proportions, normalized by the inter-ocular distance */
+  _signature(pts) {
+    const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const eyeL = mid(pts[36], pts[39]);
+    const eyeR = mid(pts[42], pts[45]);
+    const iod  = this._dist(eyeL, eyeR) || 1;
+    return [
+      this._dist(pts[0],  pts[16]),            // face width
+      this._dist(pts[27], pts[8]),             // nasion → chin
+      this._dist(pts[27], pts[33]),            // nose length
+      this._dist(pts[31], pts[35]),            // nose width
+      this._dist(mid(eyeL, eyeR), pts[51]),    // eyes → upper lip
+      this._dist(pts[17], pts[26]),            // brow span
+    ].map(v => v / iod);
+  }
+
+  _sigDistance(a, b) {
+    return Math.sqrt(a.reduce((s, v, i) => s + ((v - b[i]) / (v || 1)) ** 2, 0) / a.length);
+  }
+
+  _iou(a, b) {
+    const x0 = Math.max(a.x, b.x), y0 = Math.max(a.y, b.y);
+    const x1 = Math.min(a.x + a.width, b.x + b.width), y1 = Math.min(a.y + a.height, b.y + b.height);
+    const inter = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+    const union = a.width * a.height + b.width * b.height - inter;
+    return union > 0 ? inter / union : 0;
+  }
+
+  _centerDistance(a, b) {
+    return Math.hypot((a.x + a.width / 2) - (b.x + b.width / 2), (a.y + a.height / 2) - (b.y + b.height / 2));
+  }
+
+  _dist(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+  }
+}
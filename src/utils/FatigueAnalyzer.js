@@ -0,0 +1,185 @@
+/**
+ * FatigueAnalyzer
+ * Drowsiness / fatigue score from 68 facial landmarks, next to StressAnalyzer.
+ * Signals: PERCLOS (rolling 60s), blink duration distribution,
+ *          yawns (inner-lip mouth aspect ratio, pts 60–67), slow head nods (pitch)
+ */
+export class FatigueAnalyzer {
+  constructor() {
+    this.PERCLOS_WINDOW  = 60000;   // ms
+    this.EAR_MIN         = 0.1;     // EAR of a fully closed eye
+    this.EAR_OPEN        = 0.3;     // default open-eye EAR (overridden by calibration)
+    this.EAR_BLINK       = 0.21;    // same blink threshold as StressAnalyzer
+    this.LONG_BLINK_MS   = 400;
+    this.BLINK_WINDOW    = 120000;  // ms of blink durations kept
+    this.YAWN_MAR        = 0.6;
+    this.YAWN_MIN_MS     = 1500;
+    this.YAWN_WINDOW     = 600000;  // yawns counted over 10 min
+    this.NOD_DEG         = 12;      // pitch drop below baseline that counts as a nod
+    this.NOD_MIN_MS      = 400;
+    this.NOD_MAX_MS      = 4000;
+    this.NOD_WINDOW      = 300000;  // nods counted over 5 min
+    this.reset();
+  }
+
+  /** Use the calibrated open-eye EAR as the PERCLOS reference */
+  setBaseline(baseline) {
+    this.openEar = baseline?.channels?.eyeOpenness?.mean || this.EAR_OPEN;
+  }
+
+  /**
+   * @param {faceapi.Point[]} pts     — 68 landmark positions
+   * @param {object} metrics          — StressAnalyzer metrics (eyeOpenness, headPose)
+   * @returns {FatigueResult}
+   */
+  analyze(pts, metrics) {
+    const now   = Date.now();
+    const ear   = metrics.eyeOpenness.ear;
+    const pitch = metrics.headPose.pitch;
+
+    const perclos = this._perclos(ear, now);
+    const blink   = this._blinkDurations(ear, now);
+    const yawn    = this._yawn(pts, now);
+    const nods    = this._nods(pitch, now);
+
+    // Weighted fatigue composite
+    const raw =
+      Math.min(1, perclos / 0.15)                  * 40 +
+      Math.min(1, blink.longShare / 0.3)           * 20 +
+      Math.min(1, yawn.count / 3)                  * 20 +
+      Math.min(1, nods.count / 2)                  * 20;
+
+    const score = Math.min(100, Math.max(0, Math.round(raw)));
+    return {
+      score,
+      level: this._level(score),
+      perclos,
+      blink,
+      yawn,
+      nods,
+      events: this._takeEvents(),
+    };
+  }
+
+  /* ── SIGNAL METHODS ── */
+
+  /** Time-weighted share of the window with eyes ≥80% closed (P80) */
+  _perclos(ear, now) {
+    const closure = 1 - (ear - this.EAR_MIN) / Math.max(0.01, this.openEar - this.EAR_MIN);
+    this.eyeSamples.push({ t: now, closed: closure >= 0.8 });
+    while (this.eyeSamples.length && now - this.eyeSamples[0].t > this.PERCLOS_WINDOW) {
+      this.eyeSamples.shift();
+    }
+    let closedMs = 0, totalMs = 0;
+    for (let i = 1; i < this.eyeSamples.length; i++) {
+      const dt = this.eyeSamples[i].t - this.eyeSamples[i - 1].t;
+      totalMs += dt;
+      if (this.eyeSamples[i - 1].closed) closedMs += dt;
+    }
+    return totalMs > 0 ? closedMs / totalMs : 0;
+  }
+
+  _blinkDurations(ear, now) {
+    if (ear < this.EAR_BLINK && this.closedSince === null) {
+      this.closedSince = now;
+    } else if (ear >= this.EAR_BLINK && this.closedSince !== null) {
+      const dur = now - this.closedSince;
+      this.closedSince = null;
+      this.blinks.push({ t: now, dur });
+      if (dur >= this.LONG_BLINK_MS) this.events.push({ type: 'long-blink', dur });
+    }
+    this.blinks = this.blinks.filter(b => now - b.t < this.BLINK_WINDOW);
+
+    const durs = this.blinks.map(b => b.dur).sort((a, b) => a - b);
+    const n    = durs.length;
+    const mean = n ? Math.round(durs.reduce((a, b) => a + b, 0) / n) : 0;
+    const p50  = n ? durs[Math.floor(n * 0.5)] : 0;
+    const p90  = n ? durs[Math.min(n - 1, Math.floor(n * 0.9))] : 0;
+    const long = durs.filter(d => d >= this.LONG_BLINK_MS).length;
+    // Histogram: <150, 150–300, 300–400, 400–1000, ≥1000 ms
+    const edges   = [150, 300, 400, 1000];
+    const buckets = new Array(edges.length + 1).fill(0);
+    durs.forEach(d => buckets[edges.filter(e => d >= e).length]++);
+    return { count: n, mean, p50, p90, long, longShare: n ? long / n : 0, buckets };
+  }
+
+  _yawn(pts, now) {
+    const v1  = this._dist(pts[61], pts[67]);
+    const v2  = this._dist(pts[62], pts[66]);
+    const v3  = this._dist(pts[63], pts[65]);
+    const w   = this._dist(pts[60], pts[64]);
+    const mar = (v1 + v2 + v3) / (3 * w + 0.001);
+
+    if (mar > this.YAWN_MAR) {
+      if (this.mouthOpenSince === null) this.mouthOpenSince = now;
+      if (!this.yawnCounted && now - this.mouthOpenSince >= this.YAWN_MIN_MS) {
+        this.yawnCounted = true;
+        this.yawns.push(now);
+        this.events.push({ type: 'yawn' });
+      }
+    } else {
+      this.mouthOpenSince = null;
+      this.yawnCounted    = false;
+    }
+    this.yawns = this.yawns.filter(t => now - t < this.YAWN_WINDOW);
+    return { mar, active: this.mouthOpenSince !== null && this.yawnCounted, count: this.yawns.length };
+  }
+
+  /** Slow forward head drop followed by recovery, relative to a slow pitch baseline */
+  _nods(pitch, now) {
+    if (this.pitchBase === null) this.pitchBase = pitch;
+    const drop = pitch - this.pitchBase;
+
+    if (this.nodStart === null) {
+      // Only track the baseline while the head is up
+      this.pitchBase += 0.02 * (pitch - this.pitchBase);
+      if (drop > this.NOD_DEG) this.nodStart = now;
+    } else if (drop < this.NOD_DEG / 2) {
+      const dur = now - this.nodStart;
+      if (dur >= this.NOD_MIN_MS && dur <= this.NOD_MAX_MS) {
+        this.nodTimes.push(now);
+        this.events.push({ type: 'nod', dur });
+      }
+      this.nodStart = null;
+    } else if (now - this.nodStart > this.NOD_MAX_MS) {
+      // Head stayed down — new posture, not a nod
+      this.pitchBase = pitch;
+      this.nodStart  = null;
+    }
+    this.nodTimes = this.nodTimes.filter(t => now - t < this.NOD_WINDOW);
+    return { count: this.nodTimes.length, drop: Math.round(drop) };
+  }
+
+  /* ── UTILITIES ── */
+
+  _takeEvents() {
+    const ev = this.events;
+    this.events = [];
+    return ev;
+  }
+
+  _level(score) {
+    if (score < 25) return { label: 'ALERT',  cls: 'calm',     color: '#00ff99' };
+    if (score < 50) return { label: 'TIRED',  cls: 'mild',     color: '#00e5ff' };
+    if (score < 75) return { label: 'DROWSY', cls: 'moderate', color: '#ffaa00' };
+    return            { label: 'ASLEEP?', cls: 'extreme',  color: '#ff0055' };
+  }
+
+  _dist(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+  }
+
+  reset() {
+    this.openEar        = this.openEar || this.EAR_OPEN;
+    this.eyeSamples     = [];
+    this.closedSince    = null;
+    this.blinks         = [];
+    this.mouthOpenSince = null;
+    this.yawnCounted    = false;
+    this.yawns          = [];
+    this.pitchBase      = null;
+    this.nodStart       = null;
+    this.nodTimes       = [];
+    this.events         = [];
+  }
+}
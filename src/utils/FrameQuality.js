@@ -0,0 +1,102 @@
+/**
+ * FrameQuality
+ * Per-frame quality assessment used to gate what counts as real stress data.
+ * Components (each 0..1): detector score, face pixel size, pose extremity,
+ * landmark stability (non-rigid jitter between frames), face brightness/contrast.
+ */
+
+export const QUALITY_COMPONENTS = {
+  detector:  'detector score',
+  size:      'face too small',
+  pose:      'extreme head pose',
+  stability: 'unstable landmarks',
+  lighting:  'poor lighting',
+};
+
+export class FrameQuality {
+  constructor() {
+    this.threshold  = 0.5;
+    this.SAMPLE     = 32;   // px — face ROI is downsampled to SAMPLE×SAMPLE for lighting stats
+    this.sampler    = document.createElement('canvas');
+    this.sampler.width  = this.SAMPLE;
+    this.sampler.height = this.SAMPLE;
+    this.sctx       = this.sampler.getContext('2d', { willReadFrequently: true });
+    this.prevShape  = null;
+  }
+
+  setThreshold(t) { this.threshold = t; }
+
+  /**
+   * @param {object} det   — face-api detection with landmarks
+   * @param {HTMLVideoElement} video
+   * @param {{pitch:number, yaw:number}} pose — from StressAnalyzer
+   * @returns {{score:number, passed:boolean, components:object, weakest:string, reason:string|null}}
+   */
+  assess(det, video, pose) {
+    const box = det.detection.box;
+    const components = {
+      detector:  this._ramp(det.detection.score, 0.4, 0.85),
+      size:      this._ramp(box.width, 70, 170),
+      pose:      1 - Math.min(1, Math.max(Math.abs(pose.yaw) / 45, Math.abs(pose.pitch) / 35)),
+      stability: this._stability(det.landmarks.positions, box.width),
+      lighting:  this._lighting(video, box),
+    };
+
+    // Geometric mean — any single failing component drags the whole frame down
+    const vals  = Object.values(components);
+    const score = Math.pow(vals.reduce((a, v) => a * Math.max(0.01, v), 1), 1 / vals.length);
+    const weakest = Object.keys(components).reduce((a, b) => components[a] <= components[b] ? a : b);
+    const passed  = score >= this.threshold;
+    return {
+      score,
+      passed,
+      components,
+      weakest,
+      reason: passed ? null : QUALITY_COMPONENTS[weakest],
+    };
+  }
+
+  reset() { this.prevShape = null; }
+
+  /* ── COMPONENTS ── */
+
+  /** Landmark jitter after removing translation + scale (rigid head motion is fine) */
+  _stability(pts, faceSize) {
+    const cx = pts.reduce((a, p) => a + p.x, 0) / pts.length;
+    const cy = pts.reduce((a, p) => a + p.y, 0) / pts.length;
+    const shape = pts.map(p => [(p.x - cx) / faceSize, (p.y - cy) / faceSize]);
+    const prev  = this.prevShape;
+    this.prevShape = shape;
+    if (!prev) return 1;
+    const rms = Math.sqrt(shape.reduce((a, [x, y], i) => a + (x - prev[i][0]) ** 2 + (y - prev[i][1]) ** 2, 0) / shape.length);
+    return 1 - this._ramp(rms, 0.006, 0.03);
+  }
+
+  /** Mean luminance and contrast of the face ROI */
+  _lighting(video, box) {
+    if (!video?.videoWidth) return 1;
+    try {
+      const S = this.SAMPLE;
+      this.sctx.drawImage(video, box.x, box.y, box.width, box.height, 0, 0, S, S);
+      const px = this.sctx.getImageData(0, 0, S, S).data;
+      let sum = 0, sum2 = 0;
+      const n = S * S;
+      for (let i = 0; i < px.length; i += 4) {
+        const l = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+        sum += l; sum2 += l * l;
+      }
+      const mean = sum / n;
+      const sd   = Math.sqrt(Math.max(0, sum2 / n - mean * mean));
+      const brightness = Math.min(this._ramp(mean, 35, 80), 1 - this._ramp(mean, 190, 235));
+      const contrast   = this._ramp(sd, 10, 30);
+      return Math.min(brightness, contrast);
+    } catch (e) {
+      return 1;
+    }
+  }
+
+  /** Linear 0..1 between lo and hi */
+  _ramp(v, lo, hi) {
+    return Math.min(1, Math.max(0, (v - lo) / (hi - lo)));
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * GazeEstimator
+ * Gaze direction and on-screen attention from eye landmarks (36–47),
+ * a dark-pixel pupil/iris estimate inside each eye, and the PnP head pose.
+ * Zones: 'screen' | 'away' | 'down' (keyboard / phone).
+ *
+ * Uncalibrated, the screen is assumed to sit just below a top-mounted camera.
+ * An optional 5-point calibration fits an affine map from gaze angles to
+ * screen coordinates and is kept in localStorage.
+ */
+
+export const GAZE_ZONES = ['screen', 'away', 'down'];
+
+// Screen targets for the 5-point calibration (fractions of the viewport)
+export const GAZE_CAL_POINTS = [
+  { x: 0.5, y: 0.5 }, { x: 0.1, y: 0.1 }, { x: 0.9, y: 0.1 }, { x: 0.9, y: 0.9 }, { x: 0.1, y: 0.9 },
+];
+
+export class GazeEstimator {
+  constructor() {
+    this.STORAGE_KEY   = 'neurocal_gaze_calibration';
+    this.K_YAW         = 120;    // deg of gaze per unit of horizontal iris offset (eye widths)
+    this.K_PITCH       = 150;    // deg per unit of vertical offset
+    this.EAR_CLOSED    = 0.18;   // below this the pupil is not located
+    this.WINDOW_MS     = 30000;  // rolling attention window
+    // Uncalibrated screen box (deg) — camera on top of the screen
+    this.SCREEN        = { yaw: 25, pitchUp: -8, pitchDown: 30 };
+    this.DOWN_PITCH    = 35;     // looking well below the screen
+    this.MARGIN        = 0.1;    // calibrated: tolerance outside the 0..1 screen box
+    this.PUPIL_W       = 32;     // px — eye crop is resampled to PUPIL_W × PUPIL_H
+    this.PUPIL_H       = 16;
+    this.CAL_SETTLE_MS  = 1000;  // per calibration target: time to move the eyes there
+    this.CAL_COLLECT_MS = 1500;  // then samples are collected for this long
+    this.sampler = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+    if (this.sampler) {
+      this.sampler.width  = this.PUPIL_W;
+      this.sampler.height = this.PUPIL_H;
+      this.sctx = this.sampler.getContext('2d', { willReadFrequently: true });
+    }
+    this.calibration = this._load();
+    this.reset();
+  }
+
+  /**
+   * Locate both pupils in the video frame.
+   * @param {HTMLVideoElement} video
+   * @param {{x:number, y:number}[]} pts — 68 landmark positions
+   * @returns {{h:number, v:number}|null} iris offset, averaged over open eyes:
+   *   h = 0..1 along the eye (image left → right corner), v = offset below the corner line / eye width
+   */
+  locatePupils(video, pts) {
+    if (!this.sctx || !video?.videoWidth) return null;
+    const eyes = [[36, 37, 38, 39, 40, 41], [42, 43, 44, 45, 46, 47]]
+      .map(idx => this._pupil(video, idx.map(i => pts[i])))
+      .filter(Boolean);
+    if (!eyes.length) return null;
+    return {
+      h: eyes.reduce((a, e) => a + e.h, 0) / eyes.length,
+      v: eyes.reduce((a, e) => a + e.v, 0) / eyes.length,
+    };
+  }
+
+  /**
+   * @param {{h:number, v:number}|null} pupils — from locatePupils (null = head pose only)
+   * @param {{pitch:number, yaw:number}} pose — app convention (pitch > 0 = down, yaw > 0 = image right)
+   * @param {number} [t] — timestamp in ms
+   * @returns {{yaw:number, pitch:number, zone:string, attention:number, point:{x:number,y:number}|null, pupils:boolean, calibrated:boolean}}
+   */
+  update(pupils, pose, t = Date.now()) {
+    const yaw   = pose.yaw   + (pupils ? this.K_YAW   * (pupils.h - 0.5) : 0);
+    const pitch = pose.pitch + (pupils ? this.K_PITCH * pupils.v         : 0);
+    const point = this.calibration ? this._toScreen(yaw, pitch) : null;
+    const zone  = point ? this._zoneCalibrated(point) : this._zoneDefault(yaw, pitch);
+
+    // Time-weighted share of the window spent on screen
+    this.samples.push({ t, screen: zone === 'screen' });
+    while (this.samples.length && t - this.samples[0].t > this.WINDOW_MS) this.samples.shift();
+    let onMs = 0, totalMs = 0;
+    for (let i = 1; i < this.samples.length; i++) {
+      const dt = this.samples[i].t - this.samples[i - 1].t;
+      totalMs += dt;
+      if (this.samples[i - 1].screen) onMs += dt;
+    }
+    const attention = totalMs > 0 ? onMs / totalMs : (zone === 'screen' ? 1 : 0);
+
+    return {
+      yaw:   Math.round(yaw),
+      pitch: Math.round(pitch),
+      zone,
+      attention,
+      point,
+      pupils: !!pupils,
+      calibrated: !!this.calibration,
+    };
+  }
+
+  reset() {
+    this.samples = [];
+  }
+
+  /* ── CALIBRATION ── */
+
+  /**
+   * Fit the affine gaze → screen map from calibration fixations.
+   * @param {{x:number, y:number, yaw:number, pitch:number}[]} fixations — one per GAZE_CAL_POINTS target
+   * @returns {object|null} calibration, or null if the fit is degenerate
+   */
+  fitCalibration(fixations) {
+    if (fixations.length < 3) return null;
+    const A   = fixations.map(f => [f.yaw, f.pitch, 1]);
+    const AtA = [0, 1, 2].map(i => [0, 1, 2].map(j => A.reduce((s, r) => s + r[i] * r[j], 0)));
+    const fit = key => this._solve3(AtA, [0, 1, 2].map(i => A.reduce((s, r, k) => s + r[i] * fixations[k][key], 0)));
+    const x = fit('x'), y = fit('y');
+    if (!x || !y) return null;
+    this.calibration = { createdAt: new Date().toISOString(), x, y, points: fixations.length };
+    this._save();
+    return this.calibration;
+  }
+
+  clearCalibration() {
+    this.calibration = null;
+    try { localStorage.removeItem(this.STORAGE_KEY); } catch(e){}
+  }
+
+  /* ── INTERNALS ── */
+
+  _toScreen(yaw, pitch) {
+    const [ax, bx, cx] = this.calibration.x;
+    const [ay, by, cy] = this.calibration.y;
+    return { x: ax * yaw + bx * pitch + cx, y: ay * yaw + by * pitch + cy };
+  }
+
+  _zoneCalibrated({ x, y }) {
+    const m = this.MARGIN;
+    if (x >= -m && x <= 1 + m && y >= -m && y <= 1 + m) return 'screen';
+    if (y > 1 + m && x >= -0.5 && x <= 1.5) return 'down';
+    return 'away';
+  }
+
+  _zoneDefault(yaw, pitch) {
+    const s = this.SCREEN;
+    if (Math.abs(yaw) <= s.yaw && pitch >= s.pitchUp && pitch <= s.pitchDown) return 'screen';
+    if (pitch >= this.DOWN_PITCH && Math.abs(yaw) <= s.yaw * 1.6) return 'down';
+    return 'away';
+  }
+
+  /** Dark-pixel centroid inside one eye contour, in eye coordinates */
+  _pupil(video, eye) {
+    const [c0, , , c1] = eye;   // contour order: left corner, top ×2, right corner, bottom ×2
+    const width = this._dist(c0, c1);
+    const ear   = (this._dist(eye[1], eye[5]) + this._dist(eye[2], eye[4])) / (2 * width || 1);
+    if (width < 8 || ear < this.EAR_CLOSED) return null;
+
+    const xs = eye.map(p => p.x), ys = eye.map(p => p.y);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys);
+    const bw = Math.max(...xs) - x0, bh = Math.max(...ys) - y0;
+    const W = this.PUPIL_W, H = this.PUPIL_H;
+    let px;
+    try {
+      this.sctx.drawImage(video, x0, y0, bw, bh, 0, 0, W, H);
+      px = this.sctx.getImageData(0, 0, W, H).data;
+    } catch (e) {
+      return null;
+    }
+
+    // Luminance of pixels inside the eye contour
+    const poly   = eye.map(p => ({ x: (p.x - x0) / bw * W, y: (p.y - y0) / bh * H }));
+    const inside = [];
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        if (!this._inPolygon(x + 0.5, y + 0.5, poly)) continue;
+        const i = (y * W + x) * 4;
+        inside.push({ x: x + 0.5, y: y + 0.5, l: 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2] });
+      }
+    }
+    if (inside.length < 12) return null;
+
+    // Darkest quarter ≈ iris + pupil; weight by how much darker than the cut
+    const cut = [...inside].sort((a, b) => a.l - b.l)[Math.floor(inside.length * 0.25)].l;
+    let sx = 0, sy = 0, sw = 0;
+    inside.forEach(p => {
+      const w = cut - p.l;
+      if (w <= 0) return;
+      sx += p.x * w; sy += p.y * w; sw += w;
+    });
+    if (!sw) return null;
+    const c = { x: x0 + sx / sw / W * bw, y: y0 + sy / sw / H * bh };
+
+    // Project onto the corner-to-corner axis and its normal
+    const ux = (c1.x - c0.x) / width, uy = (c1.y - c0.y) / width;
+    const dx = c.x - c0.x, dy = c.y - c0.y;
+    return { h: (dx * ux + dy * uy) / width, v: (-dx * uy + dy * ux) / width };
+  }
+
+  _inPolygon(x, y, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const a = poly[i], b = poly[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  }
+
+  /** 3×3 linear solve (Cramer's rule); null if singular */
+  _solve3(M, b) {
+    const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+                   - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+                   + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const d = det(M);
+    if (Math.abs(d) < 1e-9) return null;
+    return [0, 1, 2].map(c => det(M.map((row, r) => row.map((v, k) => k === c ? b[r] : v))) / d);
+  }
+
+  _dist(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+  }
+
+  _save() { try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.calibration)); } catch(e){} }
+  _load() { try { return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || null; } catch(e){ return null; } }
+}
@@ -0,0 +1,87 @@
+/**
+ * GroupMonitor
+ * Room-level view of multi-face mode for meetings / rehearsals:
+ * participant roster, aggregate stress (mean, max, share of people above
+ * the per-person threshold) and threshold-crossing alerts with hysteresis.
+ */
+
+export class GroupMonitor {
+  constructor() {
+    this.personThreshold = 70;     // a participant counts as "stressed" at this score
+    this.meanThreshold   = 55;     // room mean that triggers an alert
+    this.shareThreshold  = 0.5;    // share of stressed participants that triggers an alert
+    this.MIN_PEOPLE      = 2;      // no room alerts for a single face
+    this.REARM_POINTS    = 5;      // mean must drop this far below the threshold to re-arm
+    this.REARM_SHARE     = 0.15;
+    this.COOLDOWN_MS     = 30000;
+    this.MAX_MISSED_MS   = 1500;   // drop a roster entry after this long unseen — FaceTracker drops the track then
+    this.reset();
+  }
+
+  /** @param {{person?:number, mean?:number, share?:number}} t — share as 0..1 */
+  setThresholds({ person, mean, share } = {}) {
+    if (Number.isFinite(person)) this.personThreshold = person;
+    if (Number.isFinite(mean))   this.meanThreshold   = mean;
+    if (Number.isFinite(share))  this.shareThreshold  = share;
+  }
+
+  /**
+   * @param {{id:number, stress:number, gated?:boolean}[]} people — faces visible this frame
+   * @param {number} [t] — timestamp in ms
+   * @returns {{count:number, visible:number, mean:number, max:number, above:number, share:number,
+   *            people:object[], events:{type:string, value:number}[]}}
+   *   aggregates (and count) only cover faces that passed their quality gate; visible counts all
+   */
+  update(people, t = Date.now()) {
+    people.forEach(p => {
+      const r = this.roster.get(p.id) || { id: p.id, firstSeen: t, peak: 0 };
+      r.lastSeen = t;
+      r.stress   = p.stress;
+      r.above    = p.stress >= this.personThreshold;
+      r.gated    = !!p.gated;
+      if (!p.gated) r.peak = Math.max(r.peak, p.stress);
+      this.roster.set(p.id, r);
+    });
+    // A face that left for longer comes back under a new track id
+    for (const [id, r] of this.roster) if (t - r.lastSeen > this.MAX_MISSED_MS) this.roster.delete(id);
+
+    // A gated face only carries its last held score — keep it out of the room numbers
+    const trusted = people.filter(p => !p.gated);
+    const count = trusted.length;
+    const mean  = count ? Math.round(trusted.reduce((a, p) => a + p.stress, 0) / count) : 0;
+    const max   = count ? Math.max(...trusted.map(p => p.stress)) : 0;
+    const above = trusted.filter(p => p.stress >= this.personThreshold).length;
+    const share = count ? above / count : 0;
+
+    const events = [];
+    if (count >= this.MIN_PEOPLE) {
+      this._check('room-mean',  mean,  this.meanThreshold,  this.REARM_POINTS, t, events);
+      this._check('room-share', share, this.shareThreshold, this.REARM_SHARE,  t, events);
+    }
+
+    return {
+      count, visible: people.length, mean, max, above, share,
+      people: people.map(p => this.roster.get(p.id)).sort((a, b) => a.id - b.id),
+      events,
+    };
+  }
+
+  reset() {
+    this.roster   = new Map();
+    this.armed    = { 'room-mean': true, 'room-share': true };
+    this.lastFire = { 'room-mean': -Infinity, 'room-share': -Infinity };
+  }
+
+  /* ── INTERNALS ── */
+
+  /** Fire once per crossing; re-arm only after the value falls back below threshold − margin */
+  _check(type, value, threshold, margin, t, events) {
+    if (this.armed[type] && value >= threshold && t - this.lastFire[type] >= this.COOLDOWN_MS) {
+      this.armed[type]    = false;
+      this.lastFire[type] = t;
+      events.push({ type, value });
+    } else if (!this.armed[type] && value < threshold - margin) {
+      this.armed[type] = true;
+    }
+  }
+}
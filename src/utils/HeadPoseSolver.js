@@ -0,0 +1,176 @@
+/**
+ * HeadPoseSolver
+ * Perspective-n-point head pose from 68 facial landmarks.
+ * Fits a generic 3D face model (mm) to 10 landmarks with Levenberg–Marquardt,
+ * using pinhole intrinsics estimated from the video resolution.
+ *
+ * Camera frame: x → right, y → down, z → away from the camera.
+ * Output angles follow the app convention: pitch > 0 = looking down,
+ * yaw > 0 = nose toward image right, roll > 0 = clockwise tilt.
+ */
+
+// Generic adult face, origin at the nose tip, mm
+const MODEL_POINTS = {
+  30: [  0,   0,  0],   // nose tip
+  27: [  0, -32, 22],   // nasion
+  33: [  0,  12, 13],   // subnasale
+   8: [  0,  66, 15],   // chin
+  36: [-44, -32, 34],   // left eye outer corner
+  39: [-14, -32, 24],   // left eye inner corner
+  42: [ 14, -32, 24],   // right eye inner corner
+  45: [ 44, -32, 34],   // right eye outer corner
+  48: [-25,  30, 26],   // left mouth corner
+  54: [ 25,  30, 26],   // right mouth corner
+};
+
+const DEG = 180 / Math.PI;
+
+export class HeadPoseSolver {
+  constructor() {
+    this.indices   = Object.keys(MODEL_POINTS).map(Number);
+    this.model     = this.indices.map(i => MODEL_POINTS[i]);
+    this.MAX_ITER  = 20;
+    this.MAX_RMS   = 25;    // px — above this the previous solution is not reused
+    this.prev      = null;  // warm start [pitch, yaw, roll, tx, ty, tz] (rad, mm)
+    this.setCamera(640, 480);
+  }
+
+  /** Estimate pinhole intrinsics from the frame size (≈ 53° horizontal FOV) */
+  setCamera(width, height) {
+    this.camera = { f: width, cx: width / 2, cy: height / 2, width, height };
+    this.prev   = null;
+  }
+
+  /**
+   * @param {{x:number, y:number}[]} pts — 68 landmark positions (image px)
+   * @param {boolean} [keep=true] — keep the solution as the next warm start (false = probe only)
+   * @returns {{pitch:number, yaw:number, roll:number, translation:{x:number,y:number,z:number}, distance:number, rms:number}|null}
+   */
+  solve(pts, keep = true) {
+    const image = this.indices.map(i => [pts[i].x, pts[i].y]);
+    let p = this.prev ? [...this.prev] : this._initialGuess(image);
+    let err    = this._cost(p, image);
+    let lambda = 1e-3;
+
+    for (let iter = 0; iter < this.MAX_ITER; iter++) {
+      const { JtJ, Jtr } = this._normalEquations(p, image);
+      let improved = false;
+      while (lambda < 1e8) {
+        const A = JtJ.map((row, i) => row.map((v, j) => i === j ? v * (1 + lambda) : v));
+        const delta = this._solveLinear(A, Jtr.map(v => -v));
+        if (!delta) { lambda *= 10; continue; }
+        const next    = p.map((v, i) => v + delta[i]);
+        const nextErr = this._cost(next, image);
+        if (nextErr < err && next[5] > 0) {
+          const gain = err - nextErr;
+          p = next; err = nextErr; lambda = Math.max(1e-7, lambda / 10);
+          improved = gain > 1e-6 * err;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!improved) break;
+    }
+
+    if (!p.every(Number.isFinite)) { if (keep) this.prev = null; return null; }
+    const rms = Math.sqrt(err / image.length);
+    if (keep) this.prev = rms < this.MAX_RMS ? p : null;
+
+    const [pitch, yaw, roll, tx, ty, tz] = p;
+    return {
+      pitch:  pitch * DEG,
+      yaw:   -yaw   * DEG,
+      roll:   roll  * DEG,
+      translation: { x: tx, y: ty, z: tz },
+      distance: Math.sqrt(tx * tx + ty * ty + tz * tz),
+      rms,
+    };
+  }
+
+  reset() { this.prev = null; }
+
+  /* ── INTERNALS ── */
+
+  /** Frontal face, depth from outer eye-corner distance */
+  _initialGuess(image) {
+    const { f, cx, cy } = this.camera;
+    const [lx, ly] = image[this.indices.indexOf(36)];
+    const [rx, ry] = image[this.indices.indexOf(45)];
+    const [nx, ny] = image[this.indices.indexOf(30)];
+    const eyePx = Math.max(1, Math.hypot(rx - lx, ry - ly));
+    const tz    = f * 88 / eyePx;
+    return [0, 0, Math.atan2(ry - ly, rx - lx), (nx - cx) * tz / f, (ny - cy) * tz / f, tz];
+  }
+
+  /** R = Rz(roll) · Ry(yaw) · Rx(pitch), row-major 3×3 */
+  _rotation(pitch, yaw, roll) {
+    const cp = Math.cos(pitch), sp = Math.sin(pitch);
+    const cy = Math.cos(yaw),   sy = Math.sin(yaw);
+    const cr = Math.cos(roll),  sr = Math.sin(roll);
+    return [
+      cr*cy, cr*sy*sp - sr*cp, cr*sy*cp + sr*sp,
+      sr*cy, sr*sy*sp + cr*cp, sr*sy*cp - cr*sp,
+      -sy,   cy*sp,            cy*cp,
+    ];
+  }
+
+  _project(p) {
+    const [pitch, yaw, roll, tx, ty, tz] = p;
+    const R = this._rotation(pitch, yaw, roll);
+    const { f, cx, cy } = this.camera;
+    return this.model.map(([X, Y, Z]) => {
+      const x = R[0]*X + R[1]*Y + R[2]*Z + tx;
+      const y = R[3]*X + R[4]*Y + R[5]*Z + ty;
+      const z = R[6]*X + R[7]*Y + R[8]*Z + tz;
+      return [f * x / z + cx, f * y / z + cy];
+    });
+  }
+
+  _residuals(p, image) {
+    const proj = this._project(p);
+    const r = [];
+    proj.forEach(([u, v], i) => { r.push(u - image[i][0], v - image[i][1]); });
+    return r;
+  }
+
+  _cost(p, image) {
+    return this._residuals(p, image).reduce((a, v) => a + v * v, 0);
+  }
+
+  /** Forward-difference Jacobian → JᵀJ and Jᵀr */
+  _normalEquations(p, image) {
+    const r0 = this._residuals(p, image);
+    const steps = [1e-4, 1e-4, 1e-4, 1e-2, 1e-2, 1e-2];
+    const J = steps.map((h, k) => {
+      const q = [...p];
+      q[k] += h;
+      return this._residuals(q, image).map((v, i) => (v - r0[i]) / h);
+    });
+    const JtJ = J.map(a => J.map(b => a.reduce((s, v, i) => s + v * b[i], 0)));
+    const Jtr = J.map(a => a.reduce((s, v, i) => s + v * r0[i], 0));
+    return { JtJ, Jtr };
+  }
+
+  /** Gaussian elimination with partial pivoting; null if singular */
+  _solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < n; c++) {
+      let piv = c;
+      for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+      if (Math.abs(M[piv][c]) < 1e-12) return null;
+      [M[c], M[piv]] = [M[piv], M[c]];
+      for (let r = c + 1; r < n; r++) {
+        const k = M[r][c] / M[c][c];
+        for (let j = c; j <= n; j++) M[r][j] -= k * M[c][j];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let s = M[r][n];
+      for (let j = r + 1; j < n; j++) s -= M[r][j] * x[j];
+      x[r] = s / M[r][r];
+    }
+    return x;
+  }
+}
@@ -0,0 +1,475 @@
+/**
+ * PulseEstimator
+ * Remote photoplethysmography (rPPG): heart rate and HRV from subtle skin
+ * color changes in forehead + cheek regions of the video.
+ * Pulse signal via POS (Wang et al. 2017, "Plane-Orthogonal-to-Skin"),
+ * BPM from the spectral peak, RMSSD from beat-to-beat intervals,
+ * signal quality from the spectral SNR around the peak and its harmonic.
+ *
+ * Pixel sampling (sample) is separate from signal processing (addSample /
+ * estimate), so synthetic RGB traces with a known pulse can be fed directly —
+ * syntheticPulse() builds one, PulseEstimator.selfCheck() runs the standard set.
+ * The ROI sampler itself runs on plain RGBA frames too (sampleImage), so
+ * syntheticFaceVideo() frames with the same trace check it end to end.
+ */
+
+/** Even-odd ray cast */
+function inside(poly, x, y) {
+  let hit = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i], b = poly[j];
+    if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) hit = !hit;
+  }
+  return hit;
+}
+
+/**
+ * Synthetic skin-color trace with a known pulse, for checking the signal path without a camera.
+ * Beat lengths vary at random by up to ±hrvMs around 60000/bpm; the pulse (fundamental + 2nd
+ * harmonic) rides along the skin-pulse color direction, sampled at a jittered fps.
+ * @returns {{samples:{t:number, r:number, g:number, b:number}[], beats:number[]}} beats — onset times (ms)
+ */
+export function syntheticPulse({ bpm = 72, hrvMs = 0, fps = 30, secs = 15, noise = 0, amp = 0.004, seed = 1 } = {}) {
+  let s = seed;
+  const rnd  = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  const base = [180, 130, 110], dir = [0.33, 0.77, 0.53];
+  const samples = [], beats = [0];
+  let t = 0, len = 60000 / bpm;
+  while (t < secs * 1000) {
+    t += 1000 / fps * (0.8 + 0.4 * rnd());
+    while (t - beats[beats.length - 1] > len) {
+      beats.push(beats[beats.length - 1] + len);
+      len = 60000 / bpm + (rnd() - 0.5) * 2 * hrvMs;
+    }
+    const ph    = (t - beats[beats.length - 1]) / len;
+    const pulse = Math.sin(2 * Math.PI * ph) + 0.3 * Math.sin(4 * Math.PI * ph);
+    const [r, g, b] = base.map((v, i) => v * (1 + amp * dir[i] * pulse) + (rnd() - 0.5) * noise);
+    samples.push({ t: Math.round(t), r, g, b });
+  }
+  return { samples, beats };
+}
+
+/**
+ * Synthetic camera for syntheticPulse() samples: a face over a noisy background with rough
+ * 68-point landmarks, swaying slowly. Only the skin carries the trace's color; eyes, brows and
+ * mouth are drawn in fixed colors, so the pulse is read only from an ROI that stays on the skin.
+ * @param {object} [options] — { width, height, offset: {x, y} landmarks shifted by this much (eye distances), seed }
+ * @returns {function({t:number, r:number, g:number, b:number}):{image:{data:Uint8ClampedArray, width:number, height:number}, pts:{x:number, y:number}[]}}
+ */
+export function syntheticFaceVideo({ width = 160, height = 120, offset = { x: 0, y: 0 }, seed = 1 } = {}) {
+  let s = seed;
+  const rnd  = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const e    = width * 0.18;   // eye distance
+  const inEllipse = (x, y, cx, cy, rx, ry) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+
+  /** Landmarks in iBUG order around the eye-line midpoint, in eye distances */
+  const landmarks = (cx, cy) => {
+    const pts = [];
+    const P = (x, y) => pts.push({ x: cx + x * e, y: cy + y * e });
+    for (let k = 0; k <= 16; k++) { const a = Math.PI - k * Math.PI / 16; P(1.05 * Math.cos(a), 0.1 + 1.35 * Math.sin(a)); }   // jaw
+    for (const ox of [-0.85, 0.17]) for (let k = 0; k < 5; k++) P(ox + k * 0.17, -0.35 - 0.06 * Math.sin(Math.PI * k / 4));   // brows
+    for (let k = 0; k < 4; k++) P(0, 0.1 + k * 0.15);                                                                          // nose bridge
+    for (let k = 0; k < 5; k++) P(-0.2 + k * 0.1, 0.6 + 0.04 * Math.sin(Math.PI * k / 4));                                      // nostrils
+    for (const ox of [-0.5, 0.5]) [[-0.2, 0], [-0.1, -0.07], [0.1, -0.07], [0.2, 0], [0.1, 0.07], [-0.1, 0.07]].forEach(([x, y]) => P(ox + x, y));   // eyes
+    for (let k = 0; k < 12; k++) { const a = Math.PI + k * Math.PI / 6; P(0.4 * Math.cos(a), 0.95 + 0.18 * Math.sin(a)); }     // outer lips
+    for (let k = 0; k < 8; k++)  { const a = Math.PI + k * Math.PI / 4; P(0.3 * Math.cos(a), 0.95 + 0.06 * Math.sin(a)); }     // inner lips
+    return pts;
+  };
+
+  return sample => {
+    const cx = width / 2 + 0.04 * width * Math.sin(2 * Math.PI * sample.t / 4000);
+    const cy = height * 0.45 + 0.02 * height * Math.sin(2 * Math.PI * sample.t / 5300);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let c;
+        if      (inEllipse(x, y, cx - 0.5 * e, cy, 0.22 * e, 0.09 * e) || inEllipse(x, y, cx + 0.5 * e, cy, 0.22 * e, 0.09 * e)) c = [40, 30, 30];
+        else if (inEllipse(x, y, cx - 0.5 * e, cy - 0.37 * e, 0.4 * e, 0.05 * e) || inEllipse(x, y, cx + 0.5 * e, cy - 0.37 * e, 0.4 * e, 0.05 * e)) c = [70, 50, 40];
+        else if (inEllipse(x, y, cx, cy + 0.95 * e, 0.4 * e, 0.18 * e)) c = [150, 70, 70];
+        else if (inEllipse(x, y, cx, cy + 0.2 * e, 1.15 * e, 1.35 * e)) c = [sample.r, sample.g, sample.b];
+        else c = [60, 60, 60].map(v => v + (rnd() - 0.5) * 16);
+        // ±2 levels of sensor noise dithers the sub-level pulse through 8-bit quantization
+        const i = (y * width + x) * 4;
+        data[i] = c[0] + (rnd() - 0.5) * 4; data[i + 1] = c[1] + (rnd() - 0.5) * 4; data[i + 2] = c[2] + (rnd() - 0.5) * 4; data[i + 3] = 255;
+      }
+    }
+    return { image: { data, width, height }, pts: landmarks(cx + offset.x * e, cy + offset.y * e) };
+  };
+}
+
+export class PulseEstimator {
+  constructor() {
+    this.WINDOW_MS  = 15000;   // analysis window
+    this.MIN_MS     = 6000;    // signal needed before the first estimate
+    this.GAP_MS     = 1000;    // a longer gap (no face) restarts the buffer
+    this.FS         = 30;      // Hz — uniform resample rate
+    this.POS_WIN    = 1.6;     // s — POS sliding window (≈ one slow heartbeat)
+    this.MIN_BPM    = 42;
+    this.MAX_BPM    = 180;
+    this.SNR_GOOD   = 3;       // dB
+    this.SNR_FAIR   = -1;      // dB — below this the reading is not used
+    this.HRV_SNR    = 13;      // dB — below this beat timing is dominated by noise
+    this.HRV_FPS    = 12;      // Hz — minimum camera rate for beat timing
+    this.EDGE_S     = 1.5;     // s — filter / POS warm-up skipped at each end when timing beats
+    this.UPDATE_MS  = 500;     // re-run the spectral estimate at most this often
+    this.SAMPLE     = 64;      // px — ROI is drawn into a SAMPLE×SAMPLE canvas
+    this.sampler    = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+    if (this.sampler) {
+      this.sampler.width  = this.SAMPLE;
+      this.sampler.height = this.SAMPLE;
+      this.sctx = this.sampler.getContext('2d', { willReadFrequently: true });
+    }
+    this.reset();
+  }
+
+  /**
+   * Sample the ROI from a video frame and update the estimate.
+   * @param {HTMLVideoElement} video
+   * @param {{x:number, y:number}[]} pts — 68 landmark positions (video px)
+   * @param {number} [t] — timestamp in ms
+   * @returns {PulseReading}
+   */
+  update(video, pts, t = Date.now()) {
+    const rgb = this.sample(video, pts);
+    if (rgb) this.addSample(rgb, t);
+    if (!this.last || t - this.lastEstimate >= this.UPDATE_MS) {
+      this.last         = this.estimate();
+      this.lastEstimate = t;
+    }
+    return this.last;
+  }
+
+  /** Mean skin RGB inside the forehead + cheek polygons, or null */
+  sample(video, pts) {
+    if (!this.sctx || !video?.videoWidth) return null;
+    const polys = this.regions(pts);
+    const box   = this._box(polys, video.videoWidth, video.videoHeight);
+    if (!box) return null;
+
+    // The ROI's bounding box scaled into the SAMPLE×SAMPLE canvas, polygons along with it
+    const S = this.SAMPLE;
+    try {
+      this.sctx.drawImage(video, box.x, box.y, box.w, box.h, 0, 0, S, S);
+    } catch (e) {
+      return null;
+    }
+    const scaled = polys.map(poly => poly.map(p => ({ x: (p.x - box.x) * S / box.w, y: (p.y - box.y) * S / box.h })));
+    return this._meanInside(this.sctx.getImageData(0, 0, S, S), scaled, { x: 0, y: 0, w: S, h: S });
+  }
+
+  /**
+   * sample() for a frame already in memory — ImageData or any { data: RGBA bytes, width, height } —
+   * read on the same SAMPLE×SAMPLE grid, without a canvas
+   */
+  sampleImage(image, pts) {
+    const polys = this.regions(pts);
+    const box   = this._box(polys, image.width, image.height);
+    return box ? this._meanInside(image, polys, box) : null;
+  }
+
+  /**
+   * Skin ROIs built from the landmarks: a forehead band above the brows and
+   * one patch per cheek, kept clear of eyes, nostrils and mouth.
+   * @returns {{x:number, y:number}[][]}
+   */
+  regions(pts) {
+    const center = idx => ({
+      x: idx.reduce((a, i) => a + pts[i].x, 0) / idx.length,
+      y: idx.reduce((a, i) => a + pts[i].y, 0) / idx.length,
+    });
+    const eyeL = center([36, 37, 38, 39, 40, 41]);
+    const eyeR = center([42, 43, 44, 45, 46, 47]);
+    const dx = eyeR.x - eyeL.x, dy = eyeR.y - eyeL.y;
+    const d  = Math.hypot(dx, dy) || 1;
+    const up = { x: dy / d, y: -dx / d };    // face "up", perpendicular to the eye line
+    const shift = (p, k) => ({ x: p.x + up.x * d * k, y: p.y + up.y * d * k });
+
+    const brow     = [19, 20, 21, 22, 23, 24].map(i => pts[i]);
+    const forehead = [...brow.map(p => shift(p, 0.15)), ...[...brow].reverse().map(p => shift(p, 0.55))];
+    const cheekL   = [shift(pts[41], -0.2), shift(pts[40], -0.2), pts[31], pts[48], pts[3], pts[2], pts[1]];
+    const cheekR   = [shift(pts[46], -0.2), shift(pts[47], -0.2), pts[35], pts[54], pts[13], pts[14], pts[15]];
+    return [forehead, cheekL, cheekR];
+  }
+
+  /** Append one RGB sample (0..255 channel means) at time t (ms) */
+  addSample(rgb, t) {
+    const last = this.samples[this.samples.length - 1];
+    if (last && (t - last.t > this.GAP_MS || t <= last.t)) this.samples = [];
+    this.samples.push({ t, r: rgb.r, g: rgb.g, b: rgb.b });
+    while (this.samples.length && t - this.samples[0].t > this.WINDOW_MS) this.samples.shift();
+  }
+
+  /**
+   * @returns {PulseReading} {bpm, hrv, snr, quality, reliable, progress, signal}
+   *   bpm/hrv/snr are null until enough signal is buffered; hrv only on a strong signal
+   *   (HRV_SNR) sampled at HRV_FPS or faster;
+   *   quality: 'good' | 'fair' | 'poor' | null
+   */
+  estimate() {
+    const span = this.samples.length > 1
+      ? this.samples[this.samples.length - 1].t - this.samples[0].t : 0;
+    const empty = { bpm: null, hrv: null, snr: null, quality: null, reliable: false,
+                    progress: Math.min(1, span / this.MIN_MS), signal: [] };
+    if (span < this.MIN_MS) return empty;
+
+    const rgb   = this._resample();
+    const raw   = this._pos(rgb);
+    const pulse = this._bandpass(raw, this.MIN_BPM, this.MAX_BPM);
+    const spec  = this._spectrum(pulse);
+    const bpm   = spec.peak;
+    const snr   = this._snr(spec, bpm);
+    const quality  = snr >= this.SNR_GOOD ? 'good' : snr >= this.SNR_FAIR ? 'fair' : 'poor';
+    const reliable = quality !== 'poor';
+    const rate     = (this.samples.length - 1) * 1000 / span;
+
+    return {
+      bpm:     Math.round(bpm),
+      // Beats are timed on a band around the detected rate — wide enough to keep beat-to-beat
+      // variation, narrow enough to drop most noise
+      hrv:     snr >= this.HRV_SNR && rate >= this.HRV_FPS
+        ? this._rmssd(this._bandpass(raw, bpm * 0.4, bpm * 2.5), bpm) : null,
+      snr:     Math.round(snr * 10) / 10,
+      quality,
+      reliable,
+      progress: 1,
+      signal:  pulse.slice(-this.FS * 5),   // last 5s for display
+    };
+  }
+
+  reset() {
+    this.samples      = [];
+    this.last         = null;
+    this.lastEstimate = 0;
+  }
+
+  /**
+   * Run the estimator on synthetic traces with a known pulse.
+   * @returns {{name:string, expected:{bpm:number, hrv:number|null}, bpm:number|null, hrv:number|null, ok:boolean}[]}
+   */
+  static selfCheck() {
+    const cases = [
+      { name: 'steady 72 bpm',             trace: { bpm: 72 } },
+      { name: '60 bpm, variable beats',    trace: { bpm: 60, hrvMs: 40, seed: 7 } },
+      { name: '95 bpm, variable + noise',  trace: { bpm: 95, hrvMs: 30, noise: 0.05, seed: 3 } },
+      { name: '10 fps camera (no HRV)',    trace: { bpm: 72, hrvMs: 40, fps: 10 }, hrv: false },
+      { name: 'no pulse',                  trace: { bpm: 72, amp: 0, noise: 0.5 }, pulse: false },
+      // Through the landmark ROI sampler: rendered frames of a swaying face
+      { name: 'video frames, 80 bpm',      trace: { bpm: 80, hrvMs: 40, amp: 0.02, seed: 5 }, video: {} },
+      { name: 'video frames, ROI off face', trace: { bpm: 80, amp: 0.02 }, video: { offset: { x: 2.5, y: 0 } }, pulse: false },
+    ];
+    return cases.map(({ name, trace, video, hrv = true, pulse = true }) => {
+      const p = new PulseEstimator();
+      const { samples, beats } = syntheticPulse(trace);
+      const render = video && syntheticFaceVideo(video);
+      samples.forEach(s => {
+        if (!render) return p.addSample(s, s.t);
+        const { image, pts } = render(s);
+        const rgb = p.sampleImage(image, pts);
+        if (rgb) p.addSample(rgb, s.t);
+      });
+      const r = p.estimate();
+      // True RMSSD over the beats the estimator times (edges skipped)
+      const from = samples[0].t + p.EDGE_S * 1000, to = samples[samples.length - 1].t - p.EDGE_S * 1000;
+      const inside = beats.filter(t => t >= from && t <= to);
+      const ibis   = inside.slice(1).map((t, i) => t - inside[i]);
+      const diffs  = ibis.slice(1).map((v, i) => v - ibis[i]);
+      const truth  = Math.round(Math.sqrt(diffs.reduce((a, v) => a + v * v, 0) / diffs.length));
+      const expected = { bpm: pulse ? trace.bpm : null, hrv: pulse && hrv ? truth : null };
+      const ok = !pulse ? !r.reliable
+        : r.reliable && Math.abs(r.bpm - trace.bpm) <= 2
+          && (hrv ? r.hrv !== null && Math.abs(r.hrv - truth) <= Math.max(5, truth * 0.25) : r.hrv === null);
+      return { name, expected, bpm: r.bpm, hrv: r.hrv, ok };
+    });
+  }
+
+  /* ── ROI SAMPLING ── */
+
+  /** Bounding box of the ROI polygons clipped to the frame, or null if too small to sample */
+  _box(polys, width, height) {
+    const all = polys.flat();
+    const x0 = Math.max(0, Math.min(...all.map(p => p.x)));
+    const y0 = Math.max(0, Math.min(...all.map(p => p.y)));
+    const x1 = Math.min(width,  Math.max(...all.map(p => p.x)));
+    const y1 = Math.min(height, Math.max(...all.map(p => p.y)));
+    return x1 - x0 < 8 || y1 - y0 < 8 ? null : { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  }
+
+  /** Mean RGB over the SAMPLE×SAMPLE grid points of box that fall inside a polygon */
+  _meanInside(image, polys, box) {
+    const S = this.SAMPLE, px = image.data;
+    let r = 0, g = 0, b = 0, n = 0;
+    for (let gy = 0; gy < S; gy++) {
+      const y = box.y + (gy + 0.5) * box.h / S;
+      for (let gx = 0; gx < S; gx++) {
+        const x = box.x + (gx + 0.5) * box.w / S;
+        if (!polys.some(poly => inside(poly, x, y))) continue;
+        const i = (Math.floor(y) * image.width + Math.floor(x)) * 4;
+        r += px[i]; g += px[i + 1]; b += px[i + 2]; n++;
+      }
+    }
+    return n > 50 ? { r: r / n, g: g / n, b: b / n, pixels: n } : null;
+  }
+
+  /* ── SIGNAL PROCESSING ── */
+
+  /** Linear interpolation of the RGB trace onto a uniform FS grid */
+  _resample() {
+    const s  = this.samples;
+    const t0 = s[0].t;
+    const n  = Math.floor((s[s.length - 1].t - t0) * this.FS / 1000) + 1;
+    const out = { r: new Float64Array(n), g: new Float64Array(n), b: new Float64Array(n) };
+    let j = 0;
+    for (let i = 0; i < n; i++) {
+      const t = t0 + i * 1000 / this.FS;
+      while (j < s.length - 2 && s[j + 1].t < t) j++;
+      const a = s[j], c = s[j + 1];
+      const k = Math.min(1, Math.max(0, (t - a.t) / (c.t - a.t || 1)));
+      out.r[i] = a.r + k * (c.r - a.r);
+      out.g[i] = a.g + k * (c.g - a.g);
+      out.b[i] = a.b + k * (c.b - a.b);
+    }
+    return out;
+  }
+
+  /** POS: project temporally normalized RGB onto the plane orthogonal to skin tone */
+  _pos({ r, g, b }) {
+    const n = r.length;
+    const l = Math.round(this.POS_WIN * this.FS);
+    const h = new Float64Array(n);
+    const s1 = new Float64Array(l), s2 = new Float64Array(l);
+    for (let m = 0; m + l <= n; m++) {
+      let mr = 0, mg = 0, mb = 0;
+      for (let k = m; k < m + l; k++) { mr += r[k]; mg += g[k]; mb += b[k]; }
+      mr /= l; mg /= l; mb /= l;
+      if (!mr || !mg || !mb) continue;
+      for (let k = 0; k < l; k++) {
+        const rn = r[m + k] / mr, gn = g[m + k] / mg, bn = b[m + k] / mb;
+        s1[k] = gn - bn;
+        s2[k] = gn + bn - 2 * rn;
+      }
+      const alpha = this._std(s1) / (this._std(s2) || 1);
+      let mean = 0;
+      for (let k = 0; k < l; k++) mean += s1[k] + alpha * s2[k];
+      mean /= l;
+      for (let k = 0; k < l; k++) h[m + k] += s1[k] + alpha * s2[k] - mean;
+    }
+    return h;
+  }
+
+  /** Zero-phase Butterworth band-pass between two rates in BPM (biquad HP + LP, forward-backward) */
+  _bandpass(x, loBpm, hiBpm) {
+    const hp = this._biquad('highpass', loBpm / 60);
+    const lp = this._biquad('lowpass',  hiBpm / 60);
+    let y = Array.from(x);
+    [hp, lp].forEach(c => {
+      y = this._filter(c, y);
+      y = this._filter(c, y.reverse()).reverse();
+    });
+    const mean = y.reduce((a, v) => a + v, 0) / y.length;
+    return y.map(v => v - mean);
+  }
+
+  /** RBJ cookbook second-order section, Q = 1/√2 */
+  _biquad(type, f0) {
+    const w  = 2 * Math.PI * f0 / this.FS;
+    const al = Math.sin(w) / Math.SQRT2;
+    const cw = Math.cos(w);
+    const b  = type === 'lowpass'
+      ? [(1 - cw) / 2, 1 - cw, (1 - cw) / 2]
+      : [(1 + cw) / 2, -(1 + cw), (1 + cw) / 2];
+    const a0 = 1 + al;
+    return { b: b.map(v => v / a0), a: [-2 * cw / a0, (1 - al) / a0] };
+  }
+
+  _filter({ b, a }, x) {
+    const y = new Array(x.length);
+    let x1 = x[0], x2 = x[0], y1 = 0, y2 = 0;
+    // Start from a steady state so the edges don't ring
+    const dc = (b[0] + b[1] + b[2]) / (1 + a[0] + a[1]);
+    y1 = y2 = dc * x[0];
+    for (let i = 0; i < x.length; i++) {
+      const v = b[0] * x[i] + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+      x2 = x1; x1 = x[i];
+      y2 = y1; y1 = v;
+      y[i] = v;
+    }
+    return y;
+  }
+
+  /**
+   * Hann-windowed power spectrum on a 0.5 BPM grid up to twice MAX_BPM
+   * (so the first harmonic is available for the SNR).
+   */
+  _spectrum(x) {
+    const n = x.length;
+    const w = x.map((v, i) => v * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1))));
+    const bpms = [], power = [];
+    for (let bpm = 30; bpm <= this.MAX_BPM * 2; bpm += 0.5) {
+      const omega = 2 * Math.PI * bpm / 60 / this.FS;
+      let re = 0, im = 0;
+      for (let i = 0; i < n; i++) { re += w[i] * Math.cos(omega * i); im -= w[i] * Math.sin(omega * i); }
+      bpms.push(bpm);
+      power.push(re * re + im * im);
+    }
+    let best = -1;
+    bpms.forEach((b, i) => {
+      if (b >= this.MIN_BPM && b <= this.MAX_BPM && (best < 0 || power[i] > power[best])) best = i;
+    });
+    // Parabolic interpolation around the peak bin
+    let peak = bpms[best];
+    if (best > 0 && best < power.length - 1) {
+      const [l, c, r] = [power[best - 1], power[best], power[best + 1]];
+      const den = l - 2 * c + r;
+      if (den) peak += 0.5 * 0.5 * (l - r) / den;
+    }
+    return { bpms, power, peak };
+  }
+
+  /** de Haan SNR: power within ±6 BPM of the peak and its harmonic vs. the rest (dB) */
+  _snr({ bpms, power }, bpm) {
+    let sig = 0, noise = 0;
+    bpms.forEach((b, i) => {
+      if (Math.abs(b - bpm) <= 6 || Math.abs(b - 2 * bpm) <= 6) sig += power[i];
+      else noise += power[i];
+    });
+    return 10 * Math.log10((sig || 1e-12) / (noise || 1e-12));
+  }
+
+  /**
+   * RMSSD (ms) from beat-to-beat intervals of the filtered pulse.
+   * Beats are timed at the upstroke zero crossing — the steepest point, so the least shifted
+   * by noise — interpolated between samples. The first and last EDGE_S are skipped: the
+   * filters and POS overlap-add haven't settled there and bend the edge intervals by 10–60 ms.
+   * Intervals outside ±30% of the spectral beat period are dropped as artefacts.
+   */
+  _rmssd(x, bpm) {
+    const period = 60 / bpm * this.FS;   // samples per beat
+    const edge   = Math.round(this.EDGE_S * this.FS);
+    const beats  = [];
+    for (let i = Math.max(1, edge); i < x.length - edge; i++) {
+      if (x[i - 1] >= 0 || x[i] < 0) continue;
+      const pos = i - 1 + x[i - 1] / (x[i - 1] - x[i]);   // sub-sample crossing
+      if (!beats.length || pos - beats[beats.length - 1] >= period * 0.6) beats.push(pos);
+    }
+    const ibis = [];
+    for (let i = 1; i < beats.length; i++) {
+      const d = beats[i] - beats[i - 1];
+      ibis.push(Math.abs(d - period) <= period * 0.3 ? d * 1000 / this.FS : null);
+    }
+    const diffs = [];
+    for (let i = 1; i < ibis.length; i++) {
+      if (ibis[i] !== null && ibis[i - 1] !== null) diffs.push(ibis[i] - ibis[i - 1]);
+    }
+    if (diffs.length < 4) return null;
+    return Math.round(Math.sqrt(diffs.reduce((a, v) => a + v * v, 0) / diffs.length));
+  }
+
+  _std(a) {
+    let m = 0;
+    for (let i = 0; i < a.length; i++) m += a[i];
+    m /= a.length;
+    let v = 0;
+    for (let i = 0; i < a.length; i++) v += (a[i] - m) ** 2;
+    return Math.sqrt(v / a.length);
+  }
+}
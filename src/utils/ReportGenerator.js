@@ -0,0 +1,280 @@
+/**
+ * ReportGenerator
+ * Builds a self-contained, printable HTML report from a recorded session — summary stats,
+ * chart images, episodes, emotion breakdown, breathing-guide usage, notes and markers.
+ * Charts come in as data URLs (rendered by the caller with CanvasRenderer); everything else,
+ * including the stylesheet, is inlined so the file opens and prints anywhere.
+ * Every session value is escaped, and the document carries a script-free CSP: it opens from a
+ * same-origin blob: URL, so anything that slipped through must not be able to run there.
+ * The template (title, header / footer text, accent color, sections) is stored in localStorage.
+ */
+
+import { EMOTIONS } from './EmotionFusion.js';
+import { levelFor, HIGH_LEVEL } from './ScoringProfiles.js';
+
+export const REPORT_SECTIONS = [
+  { key: 'summary',      label: 'Summary stats' },
+  { key: 'timeline',     label: 'Stress timeline' },
+  { key: 'emotions',     label: 'Emotion breakdown' },
+  { key: 'distribution', label: 'Stress distribution' },
+  { key: 'episodes',     label: 'Stress episodes' },
+  { key: 'breathing',    label: 'Breathing guide usage' },
+  { key: 'notes',        label: 'Notes & markers' },
+];
+
+export const DEFAULT_TEMPLATE = {
+  title:        'Stress Session Report',
+  preparedBy:   '',
+  organization: '',
+  intro:        '',
+  footer:       'NeuroCal estimates stress from facial cues. It is a wellness tool, not a medical device.',
+  accent:       '#0077aa',
+  sections:     Object.fromEntries(REPORT_SECTIONS.map(s => [s.key, true])),
+};
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const clock = ms => `${String(Math.floor(ms / 60000)).padStart(2,'0')}:${String(Math.floor(ms / 1000) % 60).padStart(2,'0')}`;
+const duration = ms => {
+  const s = Math.round(ms / 1000);
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${Math.floor(s / 60) % 60}m`;
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+};
+
+export class ReportGenerator {
+  constructor() {
+    this.STORAGE_KEY = 'neurocal_report_template';
+    this.template    = this._load();
+  }
+
+  /** @param {object} changes — any DEFAULT_TEMPLATE fields; `sections` is merged per key */
+  setTemplate(changes) {
+    this.template = {
+      ...this.template,
+      ...changes,
+      sections: { ...this.template.sections, ...(changes.sections || {}) },
+    };
+    this._save();
+  }
+
+  resetTemplate() {
+    this.template = this._clone(DEFAULT_TEMPLATE);
+    this._save();
+  }
+
+  /**
+   * @param {object} session — full session including frames
+   * @param {{episodes:object, charts:{timeline?:string, emotions?:string, distribution?:string}}} parts —
+   *   EpisodeAnalyzer result and chart images (data URLs)
+   * @returns {string} complete HTML document
+   */
+  build(session, { episodes, charts = {} }) {
+    const t  = this.template;
+    const on = key => t.sections[key] !== false;
+    const started = new Date(session.startTime);
+    const body = [
+      on('summary')      && this._summary(session, episodes),
+      on('timeline')     && charts.timeline && this._chart('Stress Timeline', charts.timeline,
+        'Stress (solid) and focus (dashed) over the session. Shaded bands are stress episodes; dashed lines are change points; flags are event markers.'),
+      on('emotions')     && this._emotions(session, charts.emotions),
+      on('distribution') && charts.distribution && this._chart('Stress Distribution', charts.distribution,
+        'How much of the session was spent at each stress level (10-point buckets).'),
+      on('episodes')     && this._episodes(episodes),
+      on('breathing')    && this._breathing(session),
+      on('notes')        && this._notes(session),
+    ].filter(Boolean).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">
+<title>${esc(t.title)} — ${esc(started.toLocaleDateString())}</title>
+<style>${this._css(t.accent)}</style>
+</head>
+<body>
+<div class="toolbar no-print">Print or save as PDF with Ctrl+P / ⌘P</div>
+<header>
+  <h1>${esc(t.title)}</h1>
+  <div class="meta">
+    <span>${esc(started.toLocaleString())}</span>
+    <span>Duration ${duration(session.duration || 0)}</span>
+    ${session.profile ? `<span>Scoring profile: ${esc(session.profile.name)}</span>` : ''}
+    ${session.tags?.length ? `<span>Tags: ${session.tags.map(esc).join(', ')}</span>` : ''}
+  </div>
+  ${t.preparedBy || t.organization ? `<div class="meta">Prepared by ${esc([t.preparedBy, t.organization].filter(Boolean).join(', '))}</div>` : ''}
+  ${t.intro ? `<p class="intro">${esc(t.intro)}</p>` : ''}
+</header>
+${body}
+<footer>
+  <span>${esc(t.footer)}</span>
+  <span>Generated ${esc(new Date().toLocaleString())}</span>
+</footer>
+</body>
+</html>`;
+  }
+
+  /* ── SECTIONS ── */
+
+  /** The Analytics tab's session summary, computed from the recorded frames */
+  _summary(s, episodes) {
+    const frames = s.frames;
+    const n      = frames.length || 1;
+    const levels = frames.map(f => levelFor(s.profile, f.stress).index);
+    const blinks = frames.map(f => f.blink).filter(v => v > 0);
+    const rows = [
+      ['Duration',            duration(s.duration || 0)],
+      ['Avg Stress',          s.avgStress ?? '--'],
+      ['Peak Stress',         s.peakStress ?? '--'],
+      ['Min Stress',          s.minStress ?? '--'],
+      ['Time Calm',           `${Math.round(levels.filter(l => l === 0).length / n * 100)}%`],
+      ['Time High',           `${Math.round(levels.filter(l => l >= HIGH_LEVEL).length / n * 100)}%`],
+      ['Stress Alerts',       s.alerts || 0],
+      ['Dominant Emotion',    s.dominantEmotion || '--'],
+      ['Avg Blink Rate',      blinks.length ? `${Math.round(blinks.reduce((a, b) => a + b, 0) / blinks.length)}/min` : '--'],
+      ['On-Screen Attention', s.attentionPct != null ? `${s.attentionPct}%` : '--'],
+      ['Stress Episodes',     episodes.summary.count ? `${episodes.summary.count} · ${duration(episodes.summary.totalMs)}` : '0'],
+    ];
+    if (s.avgHeartRate != null) rows.push(['Avg Heart Rate', `${s.avgHeartRate} bpm`]);
+    if (s.avgFatigue != null)   rows.push(['Avg Fatigue', s.avgFatigue]);
+    const color = levelFor(s.profile, s.avgStress ?? 0).color;
+    return `<section>
+  <h2>Summary</h2>
+  <div class="summary">
+    <div class="score" style="border-color:${esc(color)}"><b>${esc(s.avgStress ?? '--')}</b><span>avg stress / 100</span><em>${esc(levelFor(s.profile, s.avgStress ?? 0).label)}</em></div>
+    <table class="stats">${rows.map(([k, v]) => `<tr><td>${k}</td><td>${esc(v)}</td></tr>`).join('')}</table>
+  </div>
+</section>`;
+  }
+
+  _chart(title, src, caption) {
+    return `<section class="keep">
+  <h2>${title}</h2>
+  <div class="chart"><img src="${esc(src)}" alt="${title}"></div>
+  <p class="caption">${caption}</p>
+</section>`;
+  }
+
+  _emotions(s, pie) {
+    const totals = s.emotionTotals || {};
+    const sum = EMOTIONS.reduce((a, e) => a + (totals[e] || 0), 0);
+    if (!sum) return '';
+    const rows = EMOTIONS.map(e => ({ e, pct: (totals[e] || 0) / sum * 100 })).sort((a, b) => b.pct - a.pct);
+    return `<section class="keep">
+  <h2>Emotion Breakdown</h2>
+  <div class="split">
+    ${pie ? `<div class="chart small"><img src="${esc(pie)}" alt="Emotion distribution"></div>` : ''}
+    <table class="bars">${rows.map(r => `<tr><td>${esc(r.e)}</td><td><div class="bar"><i style="width:${r.pct.toFixed(1)}%"></i></div></td><td>${r.pct.toFixed(1)}%</td></tr>`).join('')}</table>
+  </div>
+  <p class="caption">Share of recorded frames by dominant facial expression.</p>
+</section>`;
+  }
+
+  _episodes(ep) {
+    const sum = ep.summary;
+    return `<section>
+  <h2>Stress Episodes</h2>
+  <p>${sum.count ? `${esc(sum.count)} sustained episode${sum.count === 1 ? '' : 's'} above ${esc(ep.threshold)}, ${esc(sum.pctTime)}% of the session` : `No sustained episodes above ${esc(ep.threshold)}.`}${sum.meanRecoveryMs != null ? ` · mean recovery ${duration(sum.meanRecoveryMs)}` : ''}${sum.unrecovered ? ` · ${esc(sum.unrecovered)} not recovered` : ''}</p>
+  ${ep.episodes.length ? `<table class="grid">
+    <thead><tr><th>#</th><th>Start</th><th>End</th><th>Duration</th><th>Peak</th><th>Mean</th><th>Recovery</th></tr></thead>
+    <tbody>${ep.episodes.map((e, i) => `<tr><td>${i + 1}</td><td>${clock(e.start)}</td><td>${clock(e.end)}</td><td>${duration(e.durationMs)}</td><td>${esc(e.peak)} @ ${clock(e.peakT)}</td><td>${esc(e.mean)}</td><td>${e.recoveryMs != null ? duration(e.recoveryMs) : 'not recovered'}</td></tr>`).join('')}</tbody>
+  </table>` : ''}
+  ${ep.changePoints.length ? `<p class="caption">Shifts in stress level: ${ep.changePoints.map(c => `${clock(c.t)} (${esc(c.before)} → ${esc(c.after)})`).join(' · ')}</p>` : ''}
+</section>`;
+  }
+
+  _breathing(s) {
+    const events = s.breathing || [];
+    const starts = events.filter(e => e.action === 'start');
+    if (!starts.length) {
+      return `<section><h2>Breathing Guide</h2><p>The breathing guide was not used in this session.</p></section>`;
+    }
+    // Guided time: each start until the next stop (or the session end)
+    let guidedMs = 0, since = null;
+    events.forEach(e => {
+      if (e.action === 'start' && since === null) since = e.t;
+      if (e.action === 'stop' && since !== null) { guidedMs += e.t - since; since = null; }
+    });
+    if (since !== null) guidedMs += (s.duration || since) - since;
+    const triggers = starts.reduce((a, e) => ({ ...a, [e.trigger]: (a[e.trigger] || 0) + 1 }), {});
+    const patterns = [...new Set(events.map(e => e.pattern).filter(Boolean))];
+    return `<section>
+  <h2>Breathing Guide</h2>
+  <p>Used ${starts.length} time${starts.length === 1 ? '' : 's'} for ${duration(guidedMs)} in total
+    (${Object.entries(triggers).map(([k, v]) => `${esc(k)} ${v}×`).join(', ')})${patterns.length ? ` · pattern${patterns.length === 1 ? '' : 's'}: ${patterns.map(esc).join(', ')}` : ''}.</p>
+  <table class="grid">
+    <thead><tr><th>Time</th><th>Event</th><th>Trigger</th><th>Pattern</th><th>Stress</th></tr></thead>
+    <tbody>${events.map(e => `<tr><td>${clock(e.t)}</td><td>${esc(e.action)}</td><td>${esc(e.trigger ?? '')}</td><td>${esc(e.pattern ?? '')}</td><td>${esc(e.stress ?? '')}</td></tr>`).join('')}</tbody>
+  </table>
+</section>`;
+  }
+
+  _notes(s) {
+    const markers = s.markers || [];
+    if (!s.notes && !markers.length) return '';
+    return `<section>
+  <h2>Notes</h2>
+  ${s.notes ? `<p class="notes">${esc(s.notes)}</p>` : ''}
+  ${markers.length ? `<table class="grid">
+    <thead><tr><th>Time</th><th>Event marker</th></tr></thead>
+    <tbody>${markers.map(m => `<tr><td>${clock(m.t)}</td><td>${esc(m.label)}</td></tr>`).join('')}</tbody>
+  </table>` : ''}
+</section>`;
+  }
+
+  _css(accent) {
+    const a = /^#[0-9a-f]{6}$/i.test(accent) ? accent : DEFAULT_TEMPLATE.accent;
+    return `
+  * { box-sizing: border-box; }
+  body { font: 13px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1c2430; margin: 0 auto; max-width: 820px; padding: 32px 28px; }
+  h1 { font-size: 24px; margin: 0 0 6px; color: ${a}; }
+  h2 { font-size: 15px; margin: 0 0 10px; padding-bottom: 4px; border-bottom: 2px solid ${a}; color: ${a}; text-transform: uppercase; letter-spacing: 0.06em; }
+  header { margin-bottom: 22px; }
+  .meta { color: #5a6878; display: flex; flex-wrap: wrap; gap: 4px 18px; }
+  .intro { margin: 12px 0 0; }
+  section { margin-bottom: 24px; }
+  .summary { display: flex; gap: 24px; align-items: flex-start; }
+  .score { border: 3px solid; border-radius: 50%; width: 120px; height: 120px; flex-shrink: 0; display: flex; flex-direction: column; align-items: center; justify-content: center; }
+  .score b { font-size: 34px; line-height: 1; }
+  .score span { font-size: 10px; color: #5a6878; }
+  .score em { font-style: normal; font-size: 11px; font-weight: 600; margin-top: 2px; }
+  .stats { border-collapse: collapse; flex: 1; }
+  .stats td { padding: 3px 8px; border-bottom: 1px solid #e3e8ee; }
+  .stats td:last-child { text-align: right; font-weight: 600; }
+  .chart { background: #0d1520; border-radius: 6px; padding: 8px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .chart img { display: block; width: 100%; }
+  .chart.small { width: 220px; flex-shrink: 0; }
+  .split { display: flex; gap: 24px; align-items: center; }
+  .bars { border-collapse: collapse; flex: 1; }
+  .bars td { padding: 3px 6px; }
+  .bars td:nth-child(2) { width: 60%; }
+  .bar { background: #e3e8ee; height: 8px; border-radius: 4px; overflow: hidden; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .bar i { display: block; height: 100%; background: ${a}; }
+  .grid { border-collapse: collapse; width: 100%; font-size: 12px; }
+  .grid th { text-align: left; color: #5a6878; font-weight: 600; border-bottom: 1px solid #c8d0da; padding: 4px 6px; }
+  .grid td { border-bottom: 1px solid #e3e8ee; padding: 4px 6px; }
+  .caption { color: #5a6878; font-size: 11px; margin: 6px 0 0; }
+  .notes { white-space: pre-wrap; background: #f4f6f9; border-left: 3px solid ${a}; padding: 8px 12px; }
+  footer { margin-top: 32px; padding-top: 8px; border-top: 1px solid #c8d0da; color: #5a6878; font-size: 11px; display: flex; justify-content: space-between; gap: 16px; }
+  .toolbar { text-align: right; margin-bottom: 12px; color: #5a6878; font-size: 11px; }
+  @page { margin: 16mm 14mm; }
+  @media print {
+    body { padding: 0; max-width: none; }
+    .no-print { display: none; }
+    section.keep, tr { break-inside: avoid; }
+    h2 { break-after: avoid; }
+  }`;
+  }
+
+  /* ── PERSISTENCE ── */
+
+  _clone(o) { return JSON.parse(JSON.stringify(o)); }
+
+  _save() { try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.template)); } catch(e){} }
+  _load() {
+    const defaults = this._clone(DEFAULT_TEMPLATE);
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+      return { ...defaults, ...saved, sections: { ...defaults.sections, ...saved.sections } };
+    } catch(e){ return defaults; }
+  }
+}
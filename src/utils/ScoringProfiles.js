@@ -0,0 +1,206 @@
+/**
+ * ScoringProfiles
+ * Named scoring profiles: channel weights + stress level bands (bounds, labels, colors).
+ * Built-in profiles are read-only; custom profiles persist to localStorage
+ * and can be imported / exported as JSON.
+ */
+
+export const LEVEL_CLASSES = ['calm', 'mild', 'moderate', 'high', 'extreme'];
+export const HIGH_LEVEL    = 3;   // band index from which a score counts as "high"
+
+const DEFAULT_LEVELS = [
+  { min: 0,  label: 'CALM',     color: '#00ff99' },
+  { min: 20, label: 'MILD',     color: '#00e5ff' },
+  { min: 40, label: 'MODERATE', color: '#ffaa00' },
+  { min: 60, label: 'HIGH',     color: '#ff3b3b' },
+  { min: 80, label: 'EXTREME',  color: '#ff0055' },
+];
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'research-default',
+    name: 'Research default',
+    builtIn: true,
+    weights: {
+      browTension: 25, eyeOpenness: 20, mouthTension: 18, asymmetry: 12,
+      headMovement: 10, blinkRate: 10, focusScore: 5, emotionLoad: 25, heartRate: 20, voiceStress: 15,
+    },
+    levels: DEFAULT_LEVELS,
+  },
+  {
+    // Screen work suppresses blinking and narrows the eyes on its own
+    id: 'office-worker',
+    name: 'Office worker',
+    builtIn: true,
+    weights: {
+      browTension: 28, eyeOpenness: 15, mouthTension: 20, asymmetry: 10,
+      headMovement: 12, blinkRate: 5, focusScore: 10, emotionLoad: 25, heartRate: 20, voiceStress: 15,
+    },
+    levels: [
+      { min: 0,  label: 'CALM',     color: '#00ff99' },
+      { min: 25, label: 'MILD',     color: '#00e5ff' },
+      { min: 45, label: 'MODERATE', color: '#ffaa00' },
+      { min: 65, label: 'HIGH',     color: '#ff3b3b' },
+      { min: 85, label: 'EXTREME',  color: '#ff0055' },
+    ],
+  },
+  {
+    // Talking moves the mouth and head constantly — rely on brows, eyes, emotion
+    id: 'presenter',
+    name: 'Presenter',
+    builtIn: true,
+    weights: {
+      browTension: 28, eyeOpenness: 22, mouthTension: 8, asymmetry: 8,
+      headMovement: 4, blinkRate: 15, focusScore: 5, emotionLoad: 35, heartRate: 25, voiceStress: 25,
+    },
+    levels: [
+      { min: 0,  label: 'COMPOSED', color: '#00ff99' },
+      { min: 30, label: 'ENGAGED',  color: '#00e5ff' },
+      { min: 50, label: 'NERVOUS',  color: '#ffaa00' },
+      { min: 70, label: 'STRESSED', color: '#ff3b3b' },
+      { min: 85, label: 'PANIC',    color: '#ff0055' },
+    ],
+  },
+];
+
+export const DEFAULT_PROFILE = BUILT_IN_PROFILES[0];
+
+export const WEIGHT_KEYS = Object.keys(DEFAULT_PROFILE.weights);
+
+/** Level band for a score — { label, cls, color, index } */
+export function levelFor(profile, score) {
+  const levels = (profile || DEFAULT_PROFILE).levels;
+  let index = 0;
+  levels.forEach((lv, i) => { if (score >= lv.min) index = i; });
+  const lv = levels[index];
+  return { label: lv.label, cls: LEVEL_CLASSES[index], color: lv.color, index };
+}
+
+/**
+ * Check a profile object (e.g. from an imported file).
+ * @returns {string[]} problems — empty when valid
+ */
+export function validateProfile(p) {
+  const errors = [];
+  if (!p || typeof p !== 'object') return ['profile is not an object'];
+  if (typeof p.name !== 'string' || !p.name.trim()) errors.push('missing name');
+  if (!p.weights || typeof p.weights !== 'object') {
+    errors.push('missing weights');
+  } else {
+    WEIGHT_KEYS.forEach(k => {
+      const w = p.weights[k];
+      if (!Number.isFinite(w) || w < 0) errors.push(`weight "${k}" must be a number ≥ 0`);
+    });
+    if (WEIGHT_KEYS.every(k => !p.weights[k])) errors.push('all weights are zero');
+  }
+  if (!Array.isArray(p.levels) || p.levels.length !== LEVEL_CLASSES.length) {
+    errors.push(`levels must be an array of ${LEVEL_CLASSES.length} bands`);
+  } else {
+    p.levels.forEach((lv, i) => {
+      if (!Number.isFinite(lv?.min)) errors.push(`level ${i + 1}: min must be a number`);
+      if (typeof lv?.label !== 'string' || !lv.label) errors.push(`level ${i + 1}: missing label`);
+      if (!/^#[0-9a-f]{6}$/i.test(lv?.color || '')) errors.push(`level ${i + 1}: color must be #rrggbb`);
+      if (i === 0 && lv?.min !== 0) errors.push('level 1 must start at 0');
+      if (i > 0 && !(lv?.min > p.levels[i - 1]?.min)) errors.push(`level ${i + 1}: bounds must increase`);
+    });
+  }
+  return errors;
+}
+
+export class ScoringProfiles {
+  constructor() {
+    this.STORAGE_KEY = 'neurocal_profiles';
+    this.ACTIVE_KEY  = 'neurocal_active_profile';
+    this.custom      = this._load();
+    this.activeId    = this._loadActive();
+    if (!this.get(this.activeId)) this.activeId = DEFAULT_PROFILE.id;
+  }
+
+  getAll()  { return [...BUILT_IN_PROFILES, ...this.custom]; }
+  get(id)   { return this.getAll().find(p => p.id === id) || null; }
+  get active() { return this.get(this.activeId) || DEFAULT_PROFILE; }
+
+  setActive(id) {
+    if (!this.get(id)) return;
+    this.activeId = id;
+    try { localStorage.setItem(this.ACTIVE_KEY, id); } catch(e){}
+  }
+
+  /** Copy any profile into a new editable custom profile */
+  duplicate(id) {
+    const src  = this.get(id) || DEFAULT_PROFILE;
+    const copy = this._clone(src);
+    copy.id      = `custom_${Date.now()}`;
+    copy.name    = `${src.name} (copy)`;
+    copy.builtIn = false;
+    this.custom.push(copy);
+    this._save();
+    return copy;
+  }
+
+  /** Apply a partial edit to a custom profile */
+  update(id, changes) {
+    const p = this.custom.find(p => p.id === id);
+    if (!p) return null;
+    const next = { ...this._clone(p), ...changes };
+    const errors = validateProfile(next);
+    if (errors.length) throw new Error(errors.join('; '));
+    Object.assign(p, next);
+    this._save();
+    return p;
+  }
+
+  remove(id) {
+    this.custom = this.custom.filter(p => p.id !== id);
+    if (this.activeId === id) this.setActive(DEFAULT_PROFILE.id);
+    this._save();
+  }
+
+  /** JSON text for one profile */
+  toJSON(id) {
+    const { builtIn, ...p } = this._clone(this.get(id) || DEFAULT_PROFILE);
+    return JSON.stringify({ format: 'neurocal-profile', version: 1, profile: p }, null, 2);
+  }
+
+  /**
+   * Import profile(s) from JSON text — single profile, wrapped profile, or array.
+   * @returns {object[]} imported profiles
+   * @throws {Error} on malformed JSON or invalid profile
+   */
+  importJSON(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { throw new Error('File is not valid JSON'); }
+    const list = Array.isArray(data) ? data : [data.profile || data];
+    const imported = list.map(p => this._migrate(p)).map((p, i) => {
+      const errors = validateProfile(p);
+      if (errors.length) throw new Error(`Profile ${i + 1}: ${errors.join('; ')}`);
+      const copy = this._clone(p);
+      copy.builtIn = false;
+      if (!copy.id || this.get(copy.id)) copy.id = `custom_${Date.now()}_${i}`;
+      return copy;
+    });
+    this.custom.push(...imported);
+    this._save();
+    return imported;
+  }
+
+  /** Snapshot stamped into saved sessions */
+  snapshot() {
+    const { builtIn, ...p } = this._clone(this.active);
+    return p;
+  }
+
+  _clone(p) { return JSON.parse(JSON.stringify(p)); }
+
+  /** Profiles saved before a channel existed get weight 0 for it */
+  _migrate(p) {
+    if (p?.weights && typeof p.weights === 'object') {
+      WEIGHT_KEYS.forEach(k => { if (!(k in p.weights)) p.weights[k] = 0; });
+    }
+    return p;
+  }
+
+  _save()       { try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.custom)); } catch(e){} }
+  _load()       { try { return (JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || []).map(p => this._migrate(p)); } catch(e){ return []; } }
+  _loadActive() { try { return localStorage.getItem(this.ACTIVE_KEY) || DEFAULT_PROFILE.id; } catch(e){ return DEFAULT_PROFILE.id; } }
+}
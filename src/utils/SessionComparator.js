@@ -0,0 +1,105 @@
+/**
+ * SessionComparator
+ * Side-by-side comparison of recorded sessions (e.g. a meeting before / after a breathing
+ * routine, two rehearsals of the same talk). Sessions of different lengths are put on a
+ * time-normalized axis (0–100% of each session); the first (oldest) session is the
+ * baseline that deltas are measured against.
+ */
+
+import { EMOTIONS } from './EmotionFusion.js';
+import { levelFor, HIGH_LEVEL } from './ScoringProfiles.js';
+
+export const COMPARE_COLORS = ['#00e5ff', '#ff9500', '#bf5fff', '#00ff99'];
+export const MAX_COMPARE    = COMPARE_COLORS.length;
+
+// Stats compared side by side — deltas are session − baseline; `better` says which direction is an improvement
+export const COMPARE_STATS = [
+  { key: 'durationMin',   label: 'Duration',         unit: 'min', better: null },
+  { key: 'avgStress',     label: 'Avg stress',       unit: '',    better: 'lower' },
+  { key: 'peakStress',    label: 'Peak stress',      unit: '',    better: 'lower' },
+  { key: 'minStress',     label: 'Min stress',       unit: '',    better: 'lower' },
+  { key: 'calmPct',       label: 'Calm time',        unit: '%',   better: 'higher' },
+  { key: 'highPct',       label: 'High time',        unit: '%',   better: 'lower' },
+  { key: 'episodePct',    label: 'Time in episodes', unit: '%',   better: 'lower' },
+  { key: 'episodes',      label: 'Episodes',         unit: '',    better: 'lower' },
+  { key: 'alertsPerHour', label: 'Alerts / hour',    unit: '',    better: 'lower' },
+  { key: 'avgFocus',      label: 'Avg focus',        unit: '%',   better: 'higher' },
+];
+
+export class SessionComparator {
+  constructor() {
+    this.POINTS = 100;   // normalized timeline resolution (1% steps)
+  }
+
+  /**
+   * @param {object[]} sessions — full sessions (with frames), any order
+   * @param {function(object):object} getEpisodes — EpisodeAnalyzer result for a session
+   * @returns {{sessions:object[], deltas:object[]}} sessions oldest first, each with
+   *   { id, startTime, label, color, series, distribution, emotions, dominantEmotion, stats }
+   */
+  compare(sessions, getEpisodes) {
+    const list = [...sessions].sort((a, b) => a.id - b.id).slice(0, MAX_COMPARE).map((s, i) => ({
+      id:           s.id,
+      startTime:    s.startTime,
+      label:        `S${i + 1}`,
+      color:        COMPARE_COLORS[i],
+      series:       this._normalizedSeries(s.frames),
+      distribution: this._distribution(s.frames),
+      ...this._emotions(s),
+      stats:        this._stats(s, getEpisodes(s)),
+    }));
+    const base = list[0]?.stats;
+    const deltas = list.map(c => Object.fromEntries(COMPARE_STATS.map(({ key }) =>
+      [key, base && c.stats[key] != null && base[key] != null ? Math.round((c.stats[key] - base[key]) * 10) / 10 : null])));
+    return { sessions: list, deltas };
+  }
+
+  /* ── INTERNALS ── */
+
+  /** Mean stress per 1% of the session's duration (null where nothing was recorded) */
+  _normalizedSeries(frames) {
+    const sums = new Array(this.POINTS).fill(0), counts = new Array(this.POINTS).fill(0);
+    const span = frames.length ? frames[frames.length - 1].t || 1 : 1;
+    frames.forEach(f => {
+      const i = Math.min(this.POINTS - 1, Math.floor(f.t / span * this.POINTS));
+      sums[i] += f.stress;
+      counts[i]++;
+    });
+    return sums.map((s, i) => counts[i] ? Math.round(s / counts[i]) : null);
+  }
+
+  /** Share of frames (%) per 10-point stress bucket */
+  _distribution(frames) {
+    const buckets = new Array(10).fill(0);
+    frames.forEach(f => buckets[Math.min(9, Math.floor(f.stress / 10))]++);
+    return buckets.map(v => frames.length ? Math.round(v / frames.length * 1000) / 10 : 0);
+  }
+
+  _emotions(s) {
+    const totals = s.emotionTotals || {};
+    const sum = EMOTIONS.reduce((a, e) => a + (totals[e] || 0), 0);
+    const emotions = Object.fromEntries(EMOTIONS.map(e => [e, sum ? (totals[e] || 0) / sum : 0]));
+    return { emotions, dominantEmotion: s.dominantEmotion || null };
+  }
+
+  _stats(s, episodes) {
+    const frames = s.frames;
+    const n      = frames.length;
+    const levels = frames.map(f => levelFor(s.profile, f.stress).index);
+    const pct    = count => n ? Math.round(count / n * 100) : null;
+    const mean   = vals => vals.length ? Math.round(vals.reduce((a, b) => a + b, 0) / vals.length) : null;
+    const durationMs = s.duration || (n ? frames[n - 1].t : 0);
+    return {
+      durationMin:   Math.round(durationMs / 6000) / 10,
+      avgStress:     mean(frames.map(f => f.stress)),
+      peakStress:    n ? frames.reduce((a, f) => Math.max(a, f.stress), 0) : null,
+      minStress:     n ? frames.reduce((a, f) => Math.min(a, f.stress), 100) : null,
+      calmPct:       pct(levels.filter(l => l === 0).length),
+      highPct:       pct(levels.filter(l => l >= HIGH_LEVEL).length),
+      episodePct:    episodes.summary.pctTime,
+      episodes:      episodes.summary.count,
+      alertsPerHour: durationMs ? Math.round((s.alerts || 0) / (durationMs / 3600000) * 10) / 10 : null,
+      avgFocus:      mean(frames.map(f => f.focus).filter(v => v != null)),
+    };
+  }
+}
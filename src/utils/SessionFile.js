@@ -0,0 +1,273 @@
+/**
+ * SessionFile
+ * The NeuroCal session file — a full-fidelity, versioned JSON format for handing
+ * recordings between installs (one session or a bundle of many).
+ *
+ *   {
+ *     format:     'neurocal-session',
+ *     version:    1,
+ *     exportedAt: ISO time,
+ *     app:        { name, version },
+ *     sessions:   [ Session ]
+ *   }
+ *
+ * A Session is exactly what SessionManager records: metadata (id = start time in ms,
+ * startTime, endTime, duration, mode), `settings` and `profile` in effect, `frames`,
+ * `alertLog`, `breathing`, `forecastWarnings`, `ergonomics`, `markers`, `notes`, `tags`,
+ * per-face and group series, and the computed summaries (avgStress, episodes, trend,
+ * actionUnits, …). Frame times `t` are ms from session start. Fields added in later
+ * versions are optional on import.
+ *
+ * With the session vault on, files are exported inside an encrypted envelope
+ * ({ format: 'neurocal-session-encrypted', version, kdf, iv, data } — see SessionVault)
+ * that can only be imported with the passphrase chosen at export.
+ *
+ * Imported sessions are rebuilt field by field (sanitizeSession): recorded data is coerced to
+ * its expected type, anything unknown is dropped, and the computed summaries are recomputed
+ * from the frames by SessionManager rather than taken from the file.
+ */
+
+import { EMOTIONS } from './EmotionFusion.js';
+import { GAZE_ZONES } from './GazeEstimator.js';
+import { ERGONOMIC_EVENTS } from './ErgonomicsMonitor.js';
+import { ACTION_UNITS } from './ActionUnits.js';
+import { validateProfile, WEIGHT_KEYS } from './ScoringProfiles.js';
+
+export const SESSION_FORMAT  = 'neurocal-session';
+export const ENCRYPTED_SESSION_FORMAT = 'neurocal-session-encrypted';   // see SessionVault.encryptBundle
+export const SESSION_VERSION = 1;
+export const APP_INFO        = { name: 'NeuroCal', version: '2.0' };
+
+const MAX_REPORTED = 5;   // frame problems listed per session before "…and N more"
+
+/* ── Field coercion for imports ── */
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const num   = (min = -Infinity, max = Infinity) => v => Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : null;
+const count = v => Number.isFinite(v) && v >= 0 ? Math.round(v) : 0;
+const text  = max => v => typeof v === 'string' ? v.slice(0, max) : '';
+const oneOf = (values, fallback = null) => v => values.includes(v) ? v : fallback;
+const iso   = v => typeof v === 'string' && !isNaN(Date.parse(v)) ? new Date(v).toISOString() : null;
+const ms    = num(0);
+const score = num(0, 100);
+const list  = (v, item, max = Infinity) => Array.isArray(v) ? v.filter(isObject).slice(0, max).map(item) : [];
+
+/**
+ * Keep only the fields in `spec`, each passed through its coercer.
+ * `sparse` leaves out fields the object doesn't have (events of different types).
+ */
+function pick(obj, spec, sparse = false) {
+  return Object.fromEntries(Object.entries(spec)
+    .filter(([k]) => !sparse || obj[k] !== undefined)
+    .map(([k, coerce]) => [k, coerce(obj[k])]));
+}
+
+const FRAME = {
+  t: ms, stress: score, emotion: oneOf(EMOTIONS, 'neutral'), focus: score,
+  pitch: num(-90, 90), yaw: num(-90, 90), roll: num(-90, 90), blink: num(0, 200),
+  fatigue: score, perclos: score, quality: score, hr: num(0, 250), hrv: num(0, 1000),
+  face: v => Number.isInteger(v) ? v : null, gaze: oneOf(GAZE_ZONES), attention: score,
+  au: v => isObject(v) ? Object.fromEntries(ACTION_UNITS.map(({ code }) => [code, num(0, 5)(v[code]) ?? 0])) : null,
+  f0: num(0, 2000), jitter: num(0, 100), shimmer: num(0, 100), speech: score, voice: score,
+};
+
+/** Settings snapshot: plain numbers, booleans and short strings, two levels deep */
+function plainSettings(v, depth = 2) {
+  if (!isObject(v)) return null;
+  return Object.fromEntries(Object.entries(v).slice(0, 50).map(([k, x]) => [k.slice(0, 40),
+    typeof x === 'boolean' || x === null ? x
+      : Number.isFinite(x) ? x
+      : typeof x === 'string' ? x.slice(0, 40)
+      : depth > 1 && isObject(x) ? plainSettings(x, depth - 1)
+      : null]));
+}
+
+/** Scoring profile snapshot — null unless it is a complete, valid profile */
+function sanitizeProfile(p) {
+  if (!isObject(p)) return null;
+  const clean = {
+    id:      text(60)(p.id),
+    name:    text(40)(p.name),
+    weights: Object.fromEntries(WEIGHT_KEYS.map(k => [k, num(0)(p.weights?.[k]) ?? 0])),   // channels added later weigh 0
+    levels:  list(p.levels, lv => ({ min: num()(lv.min), label: text(20)(lv.label), color: text(7)(lv.color) })),
+  };
+  return validateProfile(clean).length ? null : clean;
+}
+
+/**
+ * Rebuild an imported session from the fields a recording has, coerced to their types.
+ * Summaries (averages, episodes, trend, …) are left out — recompute them from the frames.
+ * Call validateSession first.
+ */
+export function sanitizeSession(s) {
+  const frames  = s.frames.map(f => pick(f, FRAME));
+  const profile = sanitizeProfile(s.profile);
+  const faces   = {};
+  if (isObject(s.faces)) {
+    Object.values(s.faces).filter(isObject).slice(0, 20).forEach(face => {
+      if (!Number.isInteger(face.id)) return;
+      faces[face.id] = { id: face.id, frames: list(face.frames, f => pick(f, { t: ms, stress: score, emotion: FRAME.emotion })) };
+    });
+  }
+  const group = isObject(s.group) ? {
+    frames: list(s.group.frames, f => ({
+      ...pick(f, { t: ms, count: count, mean: score, max: score, share: score }),
+      people: isObject(f.people)
+        ? Object.fromEntries(Object.entries(f.people).filter(([id, v]) => /^\d+$/.test(id) && Number.isFinite(v)).map(([id, v]) => [id, score(v)]))
+        : {},
+    })),
+    alerts: list(s.group.alerts, a => pick(a, { t: ms, type: oneOf(['room-mean', 'room-share']), value: num(), count: count }, true)),
+  } : null;
+
+  return {
+    id:             s.id,
+    startTime:      iso(s.startTime),
+    endTime:        iso(s.endTime),
+    duration:       ms(s.duration) ?? (frames.length ? frames[frames.length - 1].t : 0),
+    mode:           group ? 'group' : 'single',
+    settings:       plainSettings(s.settings),
+    profile,
+    profileChanges: list(s.profileChanges, c => pick(c, { t: ms, type: oneOf(['switch', 'edit'], 'switch'), from: text(60), to: text(60) })),
+    frames,
+    alerts:         count(s.alerts),
+    alertLog:       list(s.alertLog, a => ({
+      ...pick(a, { t: ms, stress: score }),
+      top: list(a.top, c => pick(c, { key: oneOf(WEIGHT_KEYS), points: num(0, 100) }), 5),
+    })),
+    fatigueAlerts:  count(s.fatigueAlerts),
+    gatedFrames:    count(s.gatedFrames),
+    ergonomics:     list(s.ergonomics, e => pick(e, {
+      t: ms, type: oneOf(Object.keys(ERGONOMIC_EVENTS)), durationMs: ms, sizeRatio: num(0, 10),
+      drop: num(-100, 100), pitchDelta: num(-90, 90), distanceCm: num(0, 1000), minutes: num(0),
+    }, true)),
+    forecastWarnings: list(s.forecastWarnings, w => pick(w, { t: ms, stress: score, projected: score, etaMs: ms, trendPerMin: num(-100, 100) })),
+    breathing:      list(s.breathing, b => pick(b, {
+      t: ms, action: oneOf(['start', 'stop', 'pattern'], 'stop'), trigger: text(20), pattern: text(20), stress: score,
+    })),
+    markers:        list(s.markers, m => pick(m, { t: ms, label: text(60) })),
+    notes:          text(2000)(s.notes),
+    tags:           Array.isArray(s.tags) ? s.tags.filter(t => typeof t === 'string').slice(0, 20).map(t => t.slice(0, 32)) : [],
+    faces,
+    group,
+  };
+}
+
+/**
+ * Check a session object (e.g. from an imported file).
+ * @returns {string[]} problems — empty when valid
+ */
+export function validateSession(s) {
+  if (!s || typeof s !== 'object' || Array.isArray(s)) return ['session is not an object'];
+  const errors = [];
+  if (!Number.isFinite(s.id) || s.id <= 0) errors.push('missing numeric id');
+  if (typeof s.startTime !== 'string' || isNaN(Date.parse(s.startTime))) errors.push('startTime must be an ISO date');
+  if (!Array.isArray(s.frames)) {
+    errors.push('frames must be an array');
+  } else {
+    const bad = [];
+    s.frames.forEach((f, i) => {
+      if (!f || typeof f !== 'object') bad.push(`frame ${i + 1}: not an object`);
+      else if (!Number.isFinite(f.t) || f.t < 0) bad.push(`frame ${i + 1}: t must be ms ≥ 0`);
+      else if (!Number.isFinite(f.stress) || f.stress < 0 || f.stress > 100) bad.push(`frame ${i + 1}: stress must be 0–100`);
+    });
+    errors.push(...bad.slice(0, MAX_REPORTED));
+    if (bad.length > MAX_REPORTED) errors.push(`…and ${bad.length - MAX_REPORTED} more frame problems`);
+  }
+  ['alertLog', 'breathing', 'forecastWarnings', 'ergonomics', 'markers', 'tags'].forEach(k => {
+    if (s[k] !== undefined && !Array.isArray(s[k])) errors.push(`${k} must be an array`);
+  });
+  if (Array.isArray(s.markers) && s.markers.some(m => !Number.isFinite(m?.t) || typeof m.label !== 'string')) {
+    errors.push('markers must be { t, label }');
+  }
+  if (Array.isArray(s.tags) && s.tags.some(t => typeof t !== 'string')) errors.push('tags must be strings');
+  if (s.notes !== undefined && typeof s.notes !== 'string') errors.push('notes must be text');
+  if (s.trend !== undefined && !Array.isArray(s.trend?.hours)) errors.push('trend must be { calmPct, highPct, hours }');
+  if (s.faces !== undefined && (typeof s.faces !== 'object' || Array.isArray(s.faces))) errors.push('faces must be an object');
+  if (s.group && !Array.isArray(s.group.frames)) errors.push('group.frames must be an array');
+  return errors;
+}
+
+/**
+ * Defaults for fields a session recorded by an older version doesn't have.
+ * Used for imports and for sessions migrated from old storage.
+ */
+export function normalizeSession(s) {
+  const frames = s.frames || [];
+  const stress = frames.map(f => f.stress);
+  return {
+    profile:          null,
+    settings:         null,
+    endTime:          null,
+    duration:         frames.length ? frames[frames.length - 1].t : 0,
+    emotionTotals:    {},
+    peakStress:       stress.reduce((a, b) => Math.max(a, b), 0),
+    minStress:        stress.length ? stress.reduce((a, b) => Math.min(a, b), 100) : 0,
+    avgStress:        stress.length ? Math.round(stress.reduce((a, b) => a + b, 0) / stress.length) : 0,
+    alerts:           0,
+    alertLog:         [],
+    fatigueAlerts:    0,
+    gatedFrames:      0,
+    ergonomics:       [],
+    forecastWarnings: [],
+    breathing:        [],
+    markers:          [],
+    notes:            '',
+    tags:             [],
+    faces:            {},
+    mode:             'single',
+    group:            null,
+    ...s,
+    frames,
+  };
+}
+
+/**
+ * Wrap full sessions (with frames) in the file envelope.
+ * @returns {string} JSON text
+ */
+export function toSessionFile(sessions) {
+  return JSON.stringify({
+    format:     SESSION_FORMAT,
+    version:    SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    app:        APP_INFO,
+    sessions:   sessions.map(({ unsaved, ...s }) => s),
+  });
+}
+
+/** Whether text is a passphrase-encrypted session bundle (without decrypting it) */
+export function isEncryptedSessionFile(text) {
+  try { return JSON.parse(text)?.format === ENCRYPTED_SESSION_FORMAT; } catch (e) { return false; }
+}
+
+/**
+ * Parse and validate a session file.
+ * @returns {object[]} sanitized sessions, without computed summaries
+ * @throws {Error} with a readable reason for anything that isn't a usable session file
+ */
+export function parseSessionFile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error('File is not valid JSON'); }
+  if (!data || typeof data !== 'object') throw new Error('File does not contain a NeuroCal session');
+
+  if (data.format === ENCRYPTED_SESSION_FORMAT) throw new Error('This session file is encrypted — it needs its passphrase to import');
+  if (data.format === 'neurocal-profile') throw new Error('This is a scoring profile — import it in Settings → Scoring Profile');
+  if (data.format && data.format !== SESSION_FORMAT) throw new Error(`Unknown file format "${data.format}"`);
+  if (data.format && !Number.isInteger(data.version)) throw new Error('Session file has no format version');
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`File uses session format v${data.version}; this version of NeuroCal reads up to v${SESSION_VERSION}`);
+  }
+
+  // Unwrapped sessions (e.g. a raw storage dump) are accepted as v1 without the envelope
+  const list = data.format ? data.sessions : Array.isArray(data) ? data : [data];
+  if (!Array.isArray(list) || !list.length) throw new Error('File contains no sessions');
+  if (!data.format && list.every(s => s && !Array.isArray(s.frames) && Number.isFinite(s.frameCount))) {
+    throw new Error('This is a summary export without frames — export sessions with ⬇ FILE / BACKUP ALL to move them');
+  }
+
+  return list.map((s, i) => {
+    const errors = validateSession(s);
+    if (errors.length) throw new Error(`Session ${i + 1}${s?.startTime ? ` (${s.startTime})` : ''}: ${errors.join('; ')}`);
+    return sanitizeSession(s);
+  });
+}
@@ -1,33 +1,189 @@
 /**
  * SessionManager
  * Records stress data during active sessions.
- * Persists to localStorage. Exports CSV/JSON.
+ * Persists through an async SessionStore (IndexedDB by default). Exports CSV/JSON.
+ * `sessions` holds summaries only; frames are loaded from the store when needed.
+ * With the session vault enabled the store is encrypted and locked until unlock().
+ * A recording session is checkpointed as it goes; one cut off by a closed tab is finished on the next start.
  */
 
+import { ACTION_UNITS } from './ActionUnits.js';
+import { EpisodeAnalyzer } from './EpisodeAnalyzer.js';
+import { TrendAnalyzer } from './TrendAnalyzer.js';
+import { SessionComparator, COMPARE_STATS } from './SessionComparator.js';
+import { createSessionStore, LocalStorageStore, EncryptedStore } from './SessionStore.js';
+import { normalizeSession, parseSessionFile, toSessionFile } from './SessionFile.js';
+import { SessionVault, encryptBundle, decryptBundle } from './SessionVault.js';
+
+const MAX_TAG_LENGTH = 32;
+
+/** Trimmed, de-duplicated (case-insensitive) tags */
+function cleanTags(tags) {
+  const seen = new Set();
+  return (tags || [])
+    .map(t => String(t).trim().slice(0, MAX_TAG_LENGTH))
+    .filter(t => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+}
+
+/** Quote a free-text CSV cell when needed */
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
 export class SessionManager {
   constructor() {
-    this.STORAGE_KEY    = 'neurocal_sessions';
+    this.RETENTION_KEY  = 'neurocal_retention';
+    this.CHECKPOINT_KEY = 'neurocal_checkpoint';
+    this.CHECKPOINT_MS  = 10000;   // localStorage copy of the frames the store doesn't have yet
+    this.STORE_CHECKPOINT_MS = 60000;   // in-progress copy in the store
     this.currentSession = null;
-    this.sessions       = this._load();
+    this.checkpoints    = null;   // { tailAt, storeAt, stored, pending, sealing } for the recording session
+    this.recovered      = [];     // ids of sessions finished from checkpoints, for the UI to report
+    this.sessions       = [];   // summaries, newest first
+    this.episodeAnalyzer = new EpisodeAnalyzer();
+    this.trendAnalyzer  = new TrendAnalyzer();
+    this.comparator     = new SessionComparator();
+    this.retention      = this._loadRetention();   // { maxSessions, maxAgeDays } — 0 = no limit
+    this.vault          = new SessionVault();
+    this.store          = this._withVault(createSessionStore(s => this._prepareLegacy(s)));
+  }
+
+  /** Open the store (migrating old localStorage sessions) and load the session list — empty while locked */
+  async init() {
+    try {
+      await this.store.open();
+    } catch (err) {
+      // IndexedDB can be blocked (private windows, disabled storage) — fall back to localStorage
+      this.store = this._withVault(new LocalStorageStore(s => this._prepareLegacy(s)));
+      await this.store.open();
+    }
+    if (!this.locked) await this._loadSessions();
+    return this.sessions;
+  }
+
+  /* ── SESSION VAULT (see SessionVault.js) ── */
+
+  get locked() { return this.vault.enabled && !this.vault.unlocked; }
+
+  /** @throws {Error} on a wrong passphrase */
+  async unlock(passphrase) {
+    await this.vault.unlock(passphrase);
+    await this._loadSessions();
+    return this.sessions;
+  }
+
+  /** Forget the keys and the session list (sessions not yet saved stay in memory) */
+  lock() {
+    if (!this.vault.enabled) return;
+    this.vault.lock();
+    this.sessions = this.sessions.filter(s => s.unsaved);
+  }
+
+  /**
+   * Turn on encryption and seal every stored session
+   * @returns {Promise<number>} sessions encrypted
+   */
+  async enableVault(passphrase) {
+    if (this.vault.enabled) throw new Error('Session vault is already enabled');
+    await this.vault.create(passphrase);
+    this.store = new EncryptedStore(this.store, this.vault);
+    const n = await this.store.reseal();
+    this._recheckpoint();
+    return n;
+  }
+
+  /**
+   * Decrypt every stored session and turn encryption off
+   * @returns {Promise<number>} sessions decrypted
+   */
+  async disableVault(passphrase) {
+    if (!this.vault.enabled) return 0;
+    await this.vault.verify(passphrase);
+    const n = await this.store.unseal();
+    this.store = this.store.inner;
+    this.vault.destroy();
+    this._recheckpoint();
+    return n;
   }
 
-  /** Start a new recording session */
-  startSession() {
+  /**
+   * New passphrase — every session is re-encrypted under a new key
+   * @returns {Promise<number>} sessions re-encrypted
+   */
+  async changePassphrase(current, next) {
+    await this.vault.changePassphrase(current, next);
+    const n = await this.store.reseal();
+    this._recheckpoint();
+    return n;
+  }
+
+  /** Forgotten passphrase: delete the encrypted sessions and turn the vault off */
+  async eraseVault() {
+    await this.store.clear();
+    this.store = this.store.inner ?? this.store;
+    this.vault.destroy();
+    this.sessions = this.sessions.filter(s => s.unsaved);
+  }
+
+  /**
+   * Start a new recording session
+   * @param {object} [profile] — scoring profile snapshot used for this session
+   * @param {object} [settings] — app settings in effect at the start (thresholds, smoothing, channels…)
+   */
+  startSession(profile = null, settings = null) {
     this.currentSession = {
       id:         Date.now(),
+      profile,
+      settings,
       startTime:  new Date().toISOString(),
       endTime:    null,
       duration:   0,
-      frames:     [],       // { t, stress, emotion, pitch, yaw, roll, focus }
+      frames:     [],       // { t, stress, emotion, pitch, yaw, roll, focus, fatigue, perclos, quality, hr, hrv, face, gaze, attention, au, f0, jitter, shimmer, speech, voice }
       emotionTotals: {},
       peakStress: 0,
       minStress:  100,
       alerts:     0,
+      alertLog:   [],       // { t, stress, top: [{ key, points }] }
+      fatigueAlerts: 0,
+      gatedFrames: 0,       // frames rejected by the quality gate
+      ergonomics: [],       // { t, type: 'lean-in' | 'slouch' | 'too-close' | 'eye-break', … }
+      forecastWarnings: [], // { t, stress, projected, etaMs, trendPerMin } rising-stress early warnings
+      breathing:  [],       // { t, action: 'start' | 'stop' | 'pattern', trigger, pattern, stress }
+      markers:    [],       // { t, label } user event markers ("started presentation")
+      notes:      '',       // free text on the whole session
+      tags:       [],
+      faces:      {},       // multi-face mode: { [faceId]: { id, frames: [{ t, stress, emotion }] } }
+      mode:       'single', // 'group' once room data is recorded
+      group:      null,     // { frames: [{ t, count, mean, max, share, people: { [faceId]: stress } }], alerts: [] }
     };
+    this.checkpoints = { tailAt: 0, storeAt: 0, stored: 0, pending: null, sealing: null };
   }
 
-  /** Record one frame of data */
-  recordFrame(stress, emotion, metrics) {
+  /**
+   * Profile switched or edited mid-session — stamp the new one and note when:
+   * { type: 'switch', from, to } for a different profile, { type: 'edit', to } when the active
+   * profile's weights or levels changed; re-applying an unchanged profile isn't logged
+   */
+  setProfile(profile) {
+    if (!this.currentSession) return;
+    const s    = this.currentSession;
+    const t    = Date.now() - s.id;
+    const prev = s.profile;
+    const scoring = p => JSON.stringify([p?.weights, p?.levels]);
+    let change = null;
+    if (prev?.id !== profile.id)                 change = { t, type: 'switch', from: prev?.id, to: profile.id };
+    else if (scoring(prev) !== scoring(profile)) change = { t, type: 'edit', to: profile.id };
+    if (change) (s.profileChanges = s.profileChanges || []).push(change);
+    s.profile = profile;
+  }
+
+  /**
+   * Record one frame of data
+   * @param {object} extras — optional side-channel results, e.g. { fatigue, quality, pulse, voice, faceId, actionUnits }
+   *                            (gaze zone + rolling attention come from metrics.gaze)
+   */
+  recordFrame(stress, emotion, metrics, extras = {}) {
     if (!this.currentSession) return;
     const frame = {
       t:       Date.now() - this.currentSession.id,
@@ -38,6 +194,20 @@ export class SessionManager {
       yaw:     metrics?.headPose?.yaw   || 0,
       roll:    metrics?.headPose?.roll  || 0,
       blink:   metrics?.blinkRate?.bpm  || 0,
+      fatigue: extras.fatigue?.score ?? null,
+      perclos: extras.fatigue ? Math.round(extras.fatigue.perclos * 1000) / 10 : null,
+      quality: extras.quality ? Math.round(extras.quality.score * 100) : null,
+      hr:      extras.pulse?.reliable ? extras.pulse.bpm : null,
+      hrv:     extras.pulse?.reliable ? extras.pulse.hrv : null,
+      face:    extras.faceId ?? null,
+      gaze:    metrics?.gaze?.zone ?? null,
+      attention: metrics?.gaze ? Math.round(metrics.gaze.attention * 100) : null,
+      au:      extras.actionUnits?.intensities ?? null,   // { AU01: 0–5, … }
+      f0:      extras.voice?.reliable ? extras.voice.f0 : null,
+      jitter:  extras.voice?.reliable ? extras.voice.jitter : null,
+      shimmer: extras.voice?.reliable ? extras.voice.shimmer : null,
+      speech:  extras.voice ? Math.round(extras.voice.activity * 100) : null,
+      voice:   extras.voice?.reliable ? Math.round(extras.voice.stress * 100) : null,
     };
     this.currentSession.frames.push(frame);
     if (stress > this.currentSession.peakStress) this.currentSession.peakStress = stress;
@@ -46,70 +216,385 @@ export class SessionManager {
     // Tally emotions
     const e = frame.emotion;
     this.currentSession.emotionTotals[e] = (this.currentSession.emotionTotals[e] || 0) + 1;
+
+    if (frame.t - this.checkpoints.storeAt >= this.STORE_CHECKPOINT_MS) this._storeCheckpoint();
+    if (frame.t - this.checkpoints.tailAt >= this.CHECKPOINT_MS) this.checkpoint();
+  }
+
+  /**
+   * Synchronous copy of the recording session for a closing tab, which won't wait for the store:
+   * the frames the last store checkpoint doesn't have go to localStorage. Runs periodically while
+   * recording and from pagehide / beforeunload; init() finishes whatever is left.
+   * With the vault on it is never written in plaintext: each periodic copy is sealed in the
+   * background with the unlocked key, so a closing tab leaves the last sealed one in place.
+   * @returns {boolean} false when nothing was written now (not recording, vault on, quota)
+   */
+  checkpoint() {
+    const s = this.currentSession;
+    if (!s) return false;
+    const cp   = this.checkpoints;
+    const tail = { stored: cp.stored, session: { ...s, frames: s.frames.slice(cp.stored) } };
+    cp.tailAt = Date.now() - s.id;
+    if (this.vault.enabled) {
+      this._sealCheckpoint(s, tail);
+      return false;
+    }
+    return this._writeCheckpoint({ id: s.id, ...tail });
+  }
+
+  /** @param {object} [details] — { stress, top } top contributing channels */
+  recordAlert(details) {
+    if (!this.currentSession) return;
+    this.currentSession.alerts++;
+    if (details) this.currentSession.alertLog.push({ t: Date.now() - this.currentSession.id, ...details });
+  }
+
+  /** @param {object} details — { stress, projected, etaMs, trendPerMin } */
+  recordForecastWarning(details) {
+    if (this.currentSession) this.currentSession.forecastWarnings.push({ t: Date.now() - this.currentSession.id, ...details });
+  }
+
+  /** @param {object} event — { action, trigger, pattern, stress } breathing guide start / stop / pattern change */
+  recordBreathing(event) {
+    if (this.currentSession) this.currentSession.breathing.push({ t: Date.now() - this.currentSession.id, ...event });
   }
 
-  recordAlert() {
-    if (this.currentSession) this.currentSession.alerts++;
+  /**
+   * Event marker at the current moment of the session
+   * @returns {{t:number, label:string}|null} null when no session is recording
+   */
+  addMarker(label) {
+    const s = this.currentSession;
+    if (!s) return null;
+    const marker = { t: Date.now() - s.id, label: String(label || '').trim() || `Marker ${s.markers.length + 1}` };
+    s.markers.push(marker);
+    return marker;
   }
 
-  /** Finalize and save session */
-  endSession(analyzerStats) {
+  recordFatigueAlert() {
+    if (this.currentSession) this.currentSession.fatigueAlerts++;
+  }
+
+  /** Series for an additional tracked face (multi-face mode); the primary face uses recordFrame */
+  recordFaceFrame(faceId, stress, emotion) {
+    if (!this.currentSession) return;
+    const faces = this.currentSession.faces;
+    const face  = faces[faceId] || (faces[faceId] = { id: faceId, frames: [] });
+    face.frames.push({ t: Date.now() - this.currentSession.id, stress, emotion: emotion?.dominant || 'neutral' });
+  }
+
+  /** Room aggregate from GroupMonitor.update — switches the session to the group format */
+  recordGroupFrame(room) {
+    if (!this.currentSession) return;
+    const s = this.currentSession;
+    if (!s.group) s.group = { frames: [], alerts: [] };
+    s.mode = 'group';
+    s.group.frames.push({
+      t:      Date.now() - s.id,
+      count:  room.count,
+      mean:   room.mean,
+      max:    room.max,
+      share:  Math.round(room.share * 100),
+      people: Object.fromEntries(room.people.filter(p => !p.gated).map(p => [p.id, p.stress])),
+    });
+  }
+
+  /** @param {object} details — { type: 'room-mean' | 'room-share', value, count } */
+  recordGroupAlert(details) {
+    if (!this.currentSession?.group) return;
+    this.currentSession.group.alerts.push({ t: Date.now() - this.currentSession.id, ...details });
+  }
+
+  /** @param {object} event — ErgonomicsMonitor event */
+  recordErgonomicEvent(event) {
+    if (this.currentSession) this.currentSession.ergonomics.push({ t: Date.now() - this.currentSession.id, ...event });
+  }
+
+  recordGatedFrame() {
+    if (this.currentSession) this.currentSession.gatedFrames++;
+  }
+
+  /**
+   * Finalize and save session. Rejects if the store can't write it (e.g. quota); the
+   * session then stays in memory, marked `unsaved`, so it can still be exported.
+   * @param {object} [options] — { episodeThreshold } stress level that counts toward an episode (default 70)
+   */
+  async endSession(analyzerStats, { episodeThreshold = 70 } = {}) {
     if (!this.currentSession) return null;
     const now = new Date();
     this.currentSession.endTime  = now.toISOString();
     this.currentSession.duration = Date.now() - this.currentSession.id;
+    this._summarize(this.currentSession, episodeThreshold);
+    if (analyzerStats) this.currentSession.avgStress = analyzerStats.avg;
 
-    if (analyzerStats) {
-      this.currentSession.avgStress = analyzerStats.avg;
-    } else {
-      const scores = this.currentSession.frames.map(f => f.stress);
-      this.currentSession.avgStress = scores.length
-        ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
-    }
-
-    // Dominant emotion
-    const totals = this.currentSession.emotionTotals;
-    this.currentSession.dominantEmotion = Object.keys(totals).length
-      ? Object.keys(totals).reduce((a, b) => totals[a] > totals[b] ? a : b)
-      : 'neutral';
-
-    this.sessions.unshift(this.currentSession);
-    if (this.sessions.length > 20) this.sessions.pop(); // keep last 20
-    this._save();
     const completed = this.currentSession;
+    this.checkpoint();   // kept until the store has it — the tab may close before the write finishes
     this.currentSession = null;
+    await Promise.all([this.checkpoints.pending, this.checkpoints.sealing]);
+    try {
+      await this.store.put(completed);
+    } catch (err) {
+      this.sessions.unshift({ ...completed, unsaved: true });
+      throw err;
+    }
+    this._clearCheckpoint(completed.id);
+    const { frames, ...summary } = completed;
+    this.sessions.unshift({ ...summary, frameCount: frames.length });
+    await this.applyRetention();
     return completed;
   }
 
   getSessions() { return this.sessions; }
 
-  deleteSession(id) {
+  /** Full session including frames */
+  async getSession(id) {
+    const s = this.sessions.find(x => x.id === id);
+    if (s?.frames) return s;   // unsaved, still in memory
+    return this.store.get(id);
+  }
+
+  /**
+   * Set notes and/or tags on a recorded session
+   * @param {{notes?:string, tags?:string[]}} changes
+   * @returns {Promise<object|null>} the updated session
+   */
+  async annotateSession(id, changes) {
+    const session = await this.getSession(id);
+    if (!session) return null;
+    const annotations = {};
+    if (changes.notes !== undefined) annotations.notes = String(changes.notes).trim();
+    if (changes.tags  !== undefined) annotations.tags  = cleanTags(changes.tags);
+    Object.assign(session, annotations);
+    if (!session.unsaved) await this.store.put(session);
+    const summary = this.sessions.find(s => s.id === id);
+    if (summary) Object.assign(summary, annotations);
+    return session;
+  }
+
+  /** Every tag in use, sorted */
+  allTags() {
+    return [...new Set(this.sessions.flatMap(s => s.tags || []))].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Add the Trends summary to stored sessions recorded before it existed (loads their frames once)
+   * @returns {Promise<number>} sessions updated
+   */
+  async backfillTrends() {
+    let updated = 0;
+    for (const summary of this.sessions.filter(s => !s.trend && !s.unsaved)) {
+      const session = await this.store.get(summary.id);
+      if (!session) continue;
+      session.trend = summary.trend = this.trendAnalyzer.summarize(session);
+      await this.store.put(session);
+      updated++;
+    }
+    return updated;
+  }
+
+  /** Episode analysis for a session; computed on demand for sessions recorded before it existed (or stored malformed) */
+  getEpisodes(session) {
+    const ep = session.episodes;
+    if (!ep?.summary || !Array.isArray(ep.episodes) || !Array.isArray(ep.changePoints)) {
+      session.episodes = this.episodeAnalyzer.analyze(session.frames || []);
+    }
+    return session.episodes;
+  }
+
+  async deleteSession(id) {
+    if (!this.sessions.find(s => s.id === id)?.unsaved) await this.store.delete(id);
+    else await this.store.delete(id).catch(() => {});   // its in-progress checkpoint, if any
+    this._clearCheckpoint(id);
     this.sessions = this.sessions.filter(s => s.id !== id);
-    this._save();
   }
 
-  clearAll() {
+  async clearAll() {
+    await this.store.clear();
+    this._clearCheckpoint();
     this.sessions = [];
-    this._save();
   }
 
-  /** Export current or all sessions as CSV */
-  exportCSV(sessionId) {
+  /** @returns {Promise<{backend:string, sessions:number, frames:number, bytes:number|null, quota:number|null}>} */
+  usage() {
+    return this.store.usage();
+  }
+
+  /* ── RETENTION ── */
+
+  /** Sessions a retention policy would delete — unsaved ones are neither deleted nor counted */
+  expiredBy({ maxSessions, maxAgeDays } = this.retention) {
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 86400000 : -Infinity;
+    return this.sessions
+      .filter(s => !s.unsaved)
+      .filter((s, i) => (maxSessions && i >= maxSessions) || s.id < cutoff);
+  }
+
+  /** @returns {Promise<number>} sessions deleted under the new policy */
+  async setRetention(policy) {
+    this.retention = { ...this.retention, ...policy };
+    this._saveRetention();
+    return this.applyRetention();
+  }
+
+  async applyRetention() {
+    const expired = this.expiredBy();
+    for (const s of expired) await this.store.delete(s.id);
+    this.sessions = this.sessions.filter(s => !expired.includes(s));
+    return expired.length;
+  }
+
+  /** Export the latest or a given session as CSV */
+  async exportCSV(sessionId) {
+    const id = sessionId ?? this.sessions[0]?.id;
+    const session = id !== undefined ? await this.getSession(id) : null;
+    if (!session) return;
+
+    // Each marker goes on the first primary frame at or after it (the last frame if it came later)
+    const frameMarkers = new Map();
+    (session.markers || []).forEach(m => {
+      let i = session.frames.findIndex(f => f.t >= m.t);
+      if (i < 0) i = session.frames.length - 1;
+      if (i >= 0) frameMarkers.set(i, [...(frameMarkers.get(i) || []), m.label]);
+    });
+
+    const primary = session.frames.map((f, i) => ({ t: f.t, row:
+      [f.t, f.stress, f.emotion, f.focus, f.pitch, f.yaw, f.roll, f.blink, f.fatigue ?? '', f.perclos ?? '', f.quality ?? '', f.hr ?? '', f.hrv ?? '', f.face ?? '', f.gaze ?? '', f.attention ?? '',
+       ...ACTION_UNITS.map(au => f.au?.[au.code] ?? ''),
+       f.f0 ?? '', f.jitter ?? '', f.shimmer ?? '', f.speech ?? '', f.voice ?? '', csvCell(frameMarkers.get(i)?.join(' | '))] }));
+    // Additional tracked faces carry stress + emotion only
+    const others = Object.values(session.faces || {}).flatMap(face => face.frames.map(f => ({ t: f.t, row:
+      [f.t, f.stress, f.emotion, '', '', '', '', '', '', '', '', '', '', face.id, '', '', ...ACTION_UNITS.map(() => ''), '', '', '', '', '', ''] })));
+
+    const rows = [
+      ['time_ms', 'stress', 'emotion', 'focus', 'pitch', 'yaw', 'roll', 'blink_rate', 'fatigue', 'perclos_pct', 'quality', 'heart_rate', 'hrv_rmssd', 'face_id', 'gaze_zone', 'attention_pct',
+       ...ACTION_UNITS.map(au => au.code.toLowerCase()),
+       'f0_hz', 'jitter_pct', 'shimmer_pct', 'speech_pct', 'voice_stress', 'marker'].join(','),
+      ...[...primary, ...others].sort((a, b) => a.t - b.t).map(r => r.row.join(','))
+    ];
+    this._download(rows.join('\n'), `neurocal_session_${session.id}.csv`, 'text/csv');
+  }
+
+  /** Group session as CSV — room aggregate plus one stress column per participant */
+  exportGroupCSV(sessionId) {
     const session = sessionId
       ? this.sessions.find(s => s.id === sessionId)
-      : this.sessions[0];
-    if (!session) return;
+      : this.sessions.find(s => s.group);
+    if (!session?.group) return;
 
+    const ids  = (session.group.participants || []).map(p => p.id);
     const rows = [
-      ['time_ms', 'stress', 'emotion', 'focus', 'pitch', 'yaw', 'roll', 'blink_rate'].join(','),
-      ...session.frames.map(f =>
-        [f.t, f.stress, f.emotion, f.focus, f.pitch, f.yaw, f.roll, f.blink].join(',')
+      ['time_ms', 'participants', 'room_mean', 'room_max', 'share_above_pct', ...ids.map(id => `face_${id}`)].join(','),
+      ...session.group.frames.map(f =>
+        [f.t, f.count, f.mean, f.max, f.share, ...ids.map(id => f.people[id] ?? '')].join(',')
       )
     ];
-    this._download(rows.join('\n'), `neurocal_session_${session.id}.csv`, 'text/csv');
+    this._download(rows.join('\n'), `neurocal_group_${session.id}.csv`, 'text/csv');
   }
 
-  /** Export all sessions as JSON */
+  /* ── SESSION FILES (full fidelity, see SessionFile.js) ── */
+
+  /**
+   * Download one session with all its frames
+   * @param {string} [passphrase] — encrypt the file with it (importing then needs the same passphrase)
+   */
+  async exportSessionFile(id, passphrase = null) {
+    const session = await this.getSession(id);
+    if (!session) return;
+    const file = toSessionFile([session]);
+    this._download(passphrase ? await encryptBundle(file, passphrase) : file,
+      `neurocal_session_${id}${passphrase ? '_encrypted' : ''}.neurocal.json`, 'application/json');
+  }
+
+  /** Download every stored session as one bundle, optionally encrypted */
+  async exportBundle(passphrase = null) {
+    const all = [];
+    for (const s of this.sessions) all.push(await this.getSession(s.id));
+    if (!all.length) return 0;
+    const file = toSessionFile(all.filter(Boolean));
+    this._download(passphrase ? await encryptBundle(file, passphrase) : file,
+      `neurocal_sessions_${Date.now()}${passphrase ? '_encrypted' : ''}.neurocal.json`, 'application/json');
+    return all.length;
+  }
+
+  /**
+   * Merge sessions from a session file; sessions whose id is already stored are skipped.
+   * @param {string} [passphrase] — for an encrypted file
+   * @returns {Promise<{imported:number, duplicates:number, removed:number}>} removed = dropped by the retention policy
+   * @throws {Error} on an invalid file or wrong passphrase (nothing is imported)
+   */
+  async importSessionFile(text, passphrase = null) {
+    if (passphrase !== null) text = await decryptBundle(text, passphrase);
+    const incoming = parseSessionFile(text);
+    const known    = new Set(this.sessions.map(s => s.id));
+    const fresh    = incoming.filter(s => !known.has(s.id) && known.add(s.id));
+    for (const session of fresh) {
+      this._summarize(session, session.settings?.alertThreshold ?? 70);
+      await this.store.put(session);
+      const { frames, ...summary } = session;
+      this.sessions.push({ ...summary, frameCount: frames.length });
+    }
+    this.sessions.sort((a, b) => b.id - a.id);
+    const removed = await this.applyRetention();
+    return { imported: fresh.length, duplicates: incoming.length - fresh.length, removed };
+  }
+
+  /* ── COMPARISON ── */
+
+  /**
+   * Compare stored sessions side by side (loads their frames)
+   * @param {number[]} ids
+   * @returns {Promise<object>} SessionComparator result — oldest session is the baseline
+   */
+  async compareSessions(ids) {
+    const full = [];
+    for (const id of ids) {
+      const s = await this.getSession(id);
+      if (s) full.push(s);
+    }
+    return this.comparator.compare(full, s => this.getEpisodes(s));
+  }
+
+  /** Download a comparison as CSV (stats + deltas, normalized timeline, distribution, emotions) or JSON */
+  exportComparison(cmp, format = 'csv') {
+    const name = `neurocal_compare_${cmp.sessions.map(c => c.id).join('_')}`;
+    if (format === 'json') {
+      const data = {
+        format:     'neurocal-comparison',
+        version:    1,
+        exportedAt: new Date().toISOString(),
+        baseline:   cmp.sessions[0]?.id ?? null,
+        stats:      COMPARE_STATS,
+        sessions:   cmp.sessions.map((c, i) => ({ ...c, deltas: cmp.deltas[i] })),
+      };
+      this._download(JSON.stringify(data, null, 2), `${name}.json`, 'application/json');
+      return;
+    }
+
+    const cols  = cmp.sessions.map(c => csvCell(`${c.label} ${c.startTime}`));
+    const later = cmp.sessions.slice(1);
+    const rows  = [
+      ['metric', ...cols, ...later.map(c => `delta_${c.label}`)].join(','),
+      ...COMPARE_STATS.map(({ key, label, unit }) => [
+        csvCell(unit ? `${label} (${unit})` : label),
+        ...cmp.sessions.map(c => c.stats[key] ?? ''),
+        ...later.map((c, i) => cmp.deltas[i + 1][key] ?? ''),
+      ].join(',')),
+      ['Dominant emotion', ...cmp.sessions.map(c => c.dominantEmotion ?? '')].join(','),
+      '',
+      ['progress_pct', ...cmp.sessions.map(c => `${c.label}_stress`)].join(','),
+      ...(cmp.sessions[0]?.series || []).map((_, p) => [p, ...cmp.sessions.map(c => c.series[p] ?? '')].join(',')),
+      '',
+      ['stress_bucket', ...cmp.sessions.map(c => `${c.label}_pct_frames`)].join(','),
+      ...Array.from({ length: 10 }, (_, b) => [`${b * 10}-${b * 10 + 10}`, ...cmp.sessions.map(c => c.distribution[b])].join(',')),
+      '',
+      ['emotion', ...cmp.sessions.map(c => `${c.label}_share_pct`)].join(','),
+      ...Object.keys(cmp.sessions[0]?.emotions || {}).map(e =>
+        [e, ...cmp.sessions.map(c => Math.round(c.emotions[e] * 1000) / 10)].join(',')),
+    ];
+    this._download(rows.join('\n'), `${name}.csv`, 'text/csv');
+  }
+
+  /** Export all session summaries (no frames) as JSON */
   exportJSON() {
     const data = this.sessions.map(s => ({
       id:             s.id,
@@ -120,9 +605,42 @@ export class SessionManager {
       peakStress:     s.peakStress,
       minStress:      s.minStress,
       alerts:         s.alerts,
+      alertLog:       s.alertLog || [],
+      forecastWarnings: s.forecastWarnings || [],
+      breathing:      s.breathing || [],
+      markers:        s.markers || [],
+      notes:          s.notes || '',
+      tags:           s.tags || [],
+      settings:       s.settings || null,
+      fatigueAlerts:  s.fatigueAlerts || 0,
+      avgFatigue:     s.avgFatigue ?? null,
+      peakFatigue:    s.peakFatigue ?? null,
+      gatedFrames:    s.gatedFrames || 0,
+      avgQuality:     s.avgQuality ?? null,
+      avgHeartRate:   s.avgHeartRate ?? null,
+      avgVoiceStress: s.avgVoiceStress ?? null,
+      avgF0:          s.avgF0 ?? null,
+      attentionPct:   s.attentionPct ?? null,
+      ergonomics:     s.ergonomics || [],
+      actionUnits:    s.actionUnits ?? null,
+      episodes:       this.getEpisodes(s),
+      calmPct:        s.trend?.calmPct ?? null,
+      highPct:        s.trend?.highPct ?? null,
+      faces:          Object.values(s.faces || {}).map(f => ({
+        id: f.id, frameCount: f.frames.length, avgStress: f.avgStress ?? null, peakStress: f.peakStress ?? null,
+      })),
+      mode:           s.mode || 'single',
+      group:          s.group ? {
+        participants: s.group.participants || [],
+        avgMean:      s.group.avgMean ?? null,
+        peakMax:      s.group.peakMax ?? null,
+        peakCount:    s.group.peakCount ?? null,
+        alerts:       s.group.alerts,
+      } : null,
       dominantEmotion: s.dominantEmotion,
+      profile:        s.profile || null,
       emotionTotals:  s.emotionTotals,
-      frameCount:     s.frames.length,
+      frameCount:     s.frameCount ?? s.frames.length,
     }));
     this._download(JSON.stringify(data, null, 2), 'neurocal_sessions.json', 'application/json');
   }
@@ -137,6 +655,201 @@ export class SessionManager {
     URL.revokeObjectURL(url);
   }
 
-  _save()   { try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.sessions)); } catch(e){} }
-  _load()   { try { return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || []; } catch(e){ return []; } }
+  _withVault(store) {
+    return this.vault.enabled ? new EncryptedStore(store, this.vault) : store;
+  }
+
+  /**
+   * Load the session list (sealing anything not yet encrypted with the current key, finishing
+   * checkpointed sessions) and apply retention
+   */
+  async _loadSessions() {
+    if (this.store.reseal) await this.store.reseal();
+    await this._recoverCheckpoints();
+    const stored  = (await this.store.list()).filter(s => !s.inProgress);
+    const ids     = new Set(stored.map(s => s.id));
+    const unsaved = this.sessions.filter(s => s.unsaved && !ids.has(s.id));
+    this.sessions = [...unsaved, ...stored].sort((a, b) => b.id - a.id);
+    await this.applyRetention();
+  }
+
+  /* ── CHECKPOINTS ── */
+
+  /** In-progress copy of the recording session in the store — at most one write at a time */
+  _storeCheckpoint() {
+    const s  = this.currentSession;
+    const cp = this.checkpoints;
+    cp.storeAt = Date.now() - s.id;
+    if (cp.pending || this.locked) return;
+    const count = s.frames.length;
+    cp.pending = this.store.put({ ...s, frames: s.frames.slice(), inProgress: true })
+      .then(() => {
+        cp.stored = count;
+        if (this.currentSession === s) this.checkpoint();   // the localStorage copy shrinks to the new frames
+      })
+      .catch(() => {})   // quota or a locked vault — the next checkpoint tries again
+      .finally(() => { cp.pending = null; });
+  }
+
+  /** Sealed localStorage checkpoint — skipped while the previous one is still being sealed */
+  _sealCheckpoint(s, tail) {
+    const cp = this.checkpoints;
+    if (cp.sealing || !this.vault.unlocked) return;
+    cp.sealing = this.vault.seal(tail)
+      .then(sealed => {
+        // The vault may have been turned off meanwhile — its key is gone
+        if (this.vault.enabled && this.vault.isCurrent(sealed)) this._writeCheckpoint({ id: s.id, sealed });
+      })
+      .catch(() => {})
+      .finally(() => { cp.sealing = null; });
+  }
+
+  /** The vault was turned on or off or re-keyed mid-recording — rewrite the checkpoint to match */
+  _recheckpoint() {
+    if (!this.currentSession) return;
+    if (this.vault.enabled) this._clearCheckpoint(this.currentSession.id);   // plaintext or an old key
+    this.checkpoint();
+  }
+
+  _writeCheckpoint(checkpoint) {
+    try {
+      localStorage.setItem(this.CHECKPOINT_KEY, JSON.stringify(checkpoint));
+      return true;
+    } catch(e){ return false; }
+  }
+
+  /**
+   * Finish sessions a closed tab or crash left behind: the last store checkpoint plus the newer
+   * frames from the localStorage one, summarized as if they had ended at their last frame
+   */
+  async _recoverCheckpoints() {
+    let tail = this._readCheckpoint();
+    if (tail?.sealed) tail = await this.vault.open(tail.sealed).then(t => ({ id: tail.id, ...t }), () => null);
+    const ids  = (await this.store.list()).filter(s => s.inProgress).map(s => s.id);
+    if (tail && !ids.includes(tail.id)) ids.push(tail.id);
+    for (const id of ids) {
+      if (id === this.currentSession?.id) continue;
+      const own = tail?.id === id ? tail : null;
+      try {
+        const stored = await this.store.get(id);
+        if (stored && !stored.inProgress) { this._clearCheckpoint(id); continue; }   // saved after all
+        const session = own
+          ? { ...own.session, frames: (stored?.frames || []).slice(0, own.stored).concat(own.session.frames) }
+          : stored;
+        delete session.inProgress;
+        session.duration = session.frames.length ? session.frames[session.frames.length - 1].t : 0;
+        session.endTime  = new Date(session.id + session.duration).toISOString();
+        this._summarize(session, session.settings?.alertThreshold);
+        await this.store.put(session);
+        this._clearCheckpoint(id);
+        this.recovered.push(id);
+      } catch (err) {
+        // Left in place for the next start
+      }
+    }
+  }
+
+  _readCheckpoint() {
+    try { return JSON.parse(localStorage.getItem(this.CHECKPOINT_KEY)); } catch(e){ return null; }
+  }
+
+  /** @param {number} [id] — only if the checkpoint belongs to this session */
+  _clearCheckpoint(id) {
+    if (id !== undefined && this._readCheckpoint()?.id !== id) return;
+    try { localStorage.removeItem(this.CHECKPOINT_KEY); } catch(e){}
+  }
+
+  /**
+   * Computed summaries from the recorded frames and events — on session end, and for
+   * imported sessions (whose summaries are never taken from the file)
+   */
+  _summarize(s, episodeThreshold = 70) {
+    const scores = s.frames.map(f => f.stress);
+    s.avgStress  = scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
+    s.peakStress = scores.reduce((a, b) => Math.max(a, b), 0);
+    s.minStress  = scores.reduce((a, b) => Math.min(a, b), 100);
+    s.emotionTotals = {};
+    s.frames.forEach(f => { s.emotionTotals[f.emotion] = (s.emotionTotals[f.emotion] || 0) + 1; });
+
+    const fatigue = s.frames.map(f => f.fatigue).filter(v => v !== null);
+    s.avgFatigue  = fatigue.length
+      ? Math.round(fatigue.reduce((a, b) => a + b, 0) / fatigue.length) : null;
+    s.peakFatigue = fatigue.length ? Math.max(...fatigue) : null;
+
+    const quality = s.frames.map(f => f.quality).filter(v => v != null);
+    s.avgQuality = quality.length
+      ? Math.round(quality.reduce((a, b) => a + b, 0) / quality.length) : null;
+
+    Object.values(s.faces || {}).forEach(face => {
+      const v = face.frames.map(f => f.stress);
+      face.avgStress  = v.length ? Math.round(v.reduce((a, b) => a + b, 0) / v.length) : 0;
+      face.peakStress = v.length ? Math.max(...v) : 0;
+    });
+
+    const group = s.group;
+    if (group) {
+      const frames = group.frames;
+      const ids    = [...new Set(frames.flatMap(f => Object.keys(f.people)))].map(Number).sort((a, b) => a - b);
+      group.participants = ids.map(id => {
+        const v = frames.map(f => f.people[id]).filter(x => x !== undefined);
+        return { id, frames: v.length, avgStress: Math.round(v.reduce((a, b) => a + b, 0) / v.length), peakStress: Math.max(...v) };
+      });
+      group.avgMean   = frames.length ? Math.round(frames.reduce((a, f) => a + f.mean, 0) / frames.length) : 0;
+      group.peakMax   = frames.length ? Math.max(...frames.map(f => f.max)) : 0;
+      group.peakCount = frames.length ? Math.max(...frames.map(f => f.count)) : 0;
+    }
+
+    // Share of recorded frames spent looking at the screen
+    const gazed = s.frames.filter(f => f.gaze);
+    s.attentionPct = gazed.length
+      ? Math.round(gazed.filter(f => f.gaze === 'screen').length / gazed.length * 100) : null;
+
+    // Action units — mean intensity and share of frames where each was present
+    const auFrames = s.frames.filter(f => f.au);
+    s.actionUnits = auFrames.length
+      ? Object.fromEntries(ACTION_UNITS.map(({ code }) => {
+          const v = auFrames.map(f => f.au[code] ?? 0);
+          return [code, {
+            mean:       Math.round(v.reduce((a, b) => a + b, 0) / v.length * 100) / 100,
+            presentPct: Math.round(v.filter(x => x >= 1).length / v.length * 100),
+          }];
+        }))
+      : null;
+
+    const vs = s.frames.map(f => f.voice).filter(v => v != null);
+    s.avgVoiceStress = vs.length
+      ? Math.round(vs.reduce((a, b) => a + b, 0) / vs.length) : null;
+    const f0 = s.frames.map(f => f.f0).filter(v => v != null);
+    s.avgF0 = f0.length
+      ? Math.round(f0.reduce((a, b) => a + b, 0) / f0.length) : null;
+
+    // Sustained stress episodes, recovery times and change points
+    s.episodes = this.episodeAnalyzer.analyze(s.frames, episodeThreshold);
+    // Compact per-hour / calm-time summary for the Trends view (which never loads frames)
+    s.trend = this.trendAnalyzer.summarize(s);
+
+    const hr = s.frames.map(f => f.hr).filter(v => v != null);
+    s.avgHeartRate = hr.length
+      ? Math.round(hr.reduce((a, b) => a + b, 0) / hr.length) : null;
+
+    // Dominant emotion
+    const totals = s.emotionTotals;
+    s.dominantEmotion = Object.keys(totals).length
+      ? Object.keys(totals).reduce((a, b) => totals[a] > totals[b] ? a : b)
+      : 'neutral';
+  }
+
+  /** Fill in fields added since a stored session was recorded */
+  _prepareLegacy(s) {
+    const session = normalizeSession(s);
+    session.episodes = this.getEpisodes(session);
+    if (!session.trend) session.trend = this.trendAnalyzer.summarize(session);
+    return session;
+  }
+
+  _saveRetention() { try { localStorage.setItem(this.RETENTION_KEY, JSON.stringify(this.retention)); } catch(e){} }
+  _loadRetention() {
+    const defaults = { maxSessions: 0, maxAgeDays: 0 };
+    try { return { ...defaults, ...JSON.parse(localStorage.getItem(this.RETENTION_KEY)) }; } catch(e){ return defaults; }
+  }
 }
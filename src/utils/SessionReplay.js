@@ -0,0 +1,75 @@
+/**
+ * SessionReplay
+ * Time-indexed access to a recorded session for the detail view: the frame at a
+ * playback position, recent emotion shares, and downsampled series for the charts.
+ * Playback itself (clock, speed) lives in the caller.
+ */
+
+import { EMOTIONS } from './EmotionFusion.js';
+
+export class SessionReplay {
+  /** @param {object} session — full session including frames */
+  constructor(session) {
+    this.session  = session;
+    this.frames   = session.frames || [];
+    this.times    = this.frames.map(f => f.t);
+    this.duration = this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+    this.EMOTION_WINDOW_MS = 10000;   // emotion bars show dominant-emotion shares over this window
+  }
+
+  /** Index of the last frame at or before t (0 if t precedes the first frame) */
+  indexAt(t) {
+    let lo = 0, hi = this.times.length - 1;
+    if (hi < 0) return -1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.times[mid] <= t) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  frameAt(t) {
+    const i = this.indexAt(t);
+    return i < 0 ? null : this.frames[i];
+  }
+
+  /**
+   * Share of frames per dominant emotion in the window ending at t
+   * (frames store the dominant emotion only, not the full probabilities).
+   * @returns {Object<string, number>} emotion → 0..1
+   */
+  emotionShares(t) {
+    const end   = this.indexAt(t);
+    const start = this.indexAt(t - this.EMOTION_WINDOW_MS);
+    const counts = Object.fromEntries(EMOTIONS.map(e => [e, 0]));
+    let n = 0;
+    for (let i = Math.max(0, start); i <= end; i++) {
+      const e = this.frames[i].emotion;
+      if (e in counts) { counts[e]++; n++; }
+    }
+    Object.keys(counts).forEach(e => { counts[e] = n ? counts[e] / n : 0; });
+    return counts;
+  }
+
+  /**
+   * Bucket-averaged series for charting.
+   * @param {string[]} keys — frame fields to average (null values skipped)
+   * @param {number} [maxPoints]
+   * @returns {{t:number[]} & Object<string, number[]>}
+   */
+  series(keys, maxPoints = 600) {
+    const out = { t: [] };
+    keys.forEach(k => { out[k] = []; });
+    if (!this.frames.length) return out;
+    const size = Math.max(1, Math.ceil(this.frames.length / maxPoints));
+    for (let i = 0; i < this.frames.length; i += size) {
+      const chunk = this.frames.slice(i, i + size);
+      out.t.push(chunk[0].t);
+      keys.forEach(k => {
+        const v = chunk.map(f => f[k]).filter(x => x != null);
+        out[k].push(v.length ? v.reduce((a, b) => a + b, 0) / v.length : null);
+      });
+    }
+    return out;
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * SessionStore
+ * Async persistence backends for SessionManager.
+ *
+ * Every backend implements the same interface:
+ *   open()          → Promise<void>
+ *   list()          → Promise<Session[]>   summaries, newest first, without `frames` (carry `frameCount`)
+ *   get(id)         → Promise<Session|null> full session including `frames`
+ *   put(session)    → Promise<void>         insert or replace (summary + frames)
+ *   delete(id)      → Promise<void>
+ *   clear()         → Promise<void>
+ *   usage()         → Promise<{backend, sessions, frames, bytes, quota}>
+ *
+ * IndexedDBStore is the default; LocalStorageStore keeps the original single-key format
+ * and is only used where IndexedDB is unavailable. Write failures (e.g. quota) reject.
+ * EncryptedStore wraps either one when the session vault is enabled.
+ */
+
+const LEGACY_KEY = 'neurocal_sessions';
+
+/** Split a session into its summary record and its frame list */
+function splitSession(session) {
+  const { frames = [], ...summary } = session;
+  return { summary: { ...summary, frameCount: frames.length }, frames };
+}
+
+/* ─────────────────────────── IndexedDB ─────────────────────────── */
+
+// Schema migrations, applied in order from the stored version up to DB_VERSION
+const DB_NAME    = 'neurocal';
+const DB_VERSION = 1;
+const MIGRATIONS = {
+  1: db => {
+    db.createObjectStore('sessions', { keyPath: 'id' });
+    // Frames in fixed-size chunks keyed [sessionId, chunk] — a long session is a handful of records
+    db.createObjectStore('frames', { keyPath: ['sessionId', 'chunk'] });
+  },
+};
+
+const request = r => new Promise((resolve, reject) => {
+  r.onsuccess = () => resolve(r.result);
+  r.onerror   = () => reject(r.error);
+});
+const complete = tx => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror    = () => reject(tx.error);
+  tx.onabort    = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+export class IndexedDBStore {
+  /** @param {function(Session):Session} [prepareLegacy] — applied to each localStorage session on migration */
+  constructor(prepareLegacy = s => s) {
+    this.name          = 'IndexedDB';
+    this.CHUNK         = 1000;   // frames per record
+    this.db            = null;
+    this.opening       = null;
+    this.prepareLegacy = prepareLegacy;
+  }
+
+  static available() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  async open() {
+    if (this.db) return;
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = e => {
+      for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) MIGRATIONS[v](req.result);
+    };
+    try {
+      this.db = await request(req);
+    } catch (e) {
+      if (e?.name === 'VersionError') {
+        throw new Error('Session storage was upgraded by a newer NeuroCal in another tab — reload the page');
+      }
+      throw e;
+    }
+    // Another tab is upgrading or deleting the database — step aside; the next call reopens
+    this.db.onversionchange = () => { this.db.close(); this.db = null; };
+    await this._migrateLocalStorage();
+  }
+
+  async list() {
+    const tx = (await this._db()).transaction('sessions');
+    const all = await request(tx.objectStore('sessions').getAll());
+    return all.sort((a, b) => b.id - a.id);
+  }
+
+  async get(id) {
+    const tx = (await this._db()).transaction(['sessions', 'frames']);
+    const [summary, chunks] = await Promise.all([
+      request(tx.objectStore('sessions').get(id)),
+      request(tx.objectStore('frames').getAll(this._chunkRange(id))),
+    ]);
+    if (!summary) return null;
+    const { frameCount, ...session } = summary;
+    return { ...session, frames: chunks.sort((a, b) => a.chunk - b.chunk).flatMap(c => c.frames) };
+  }
+
+  async put(session) {
+    const { summary, frames } = splitSession(session);
+    const tx = (await this._db()).transaction(['sessions', 'frames'], 'readwrite');
+    const fs = tx.objectStore('frames');
+    fs.delete(this._chunkRange(session.id));
+    for (let i = 0; i * this.CHUNK < frames.length; i++) {
+      fs.put({ sessionId: session.id, chunk: i, frames: frames.slice(i * this.CHUNK, (i + 1) * this.CHUNK) });
+    }
+    tx.objectStore('sessions').put(summary);
+    await complete(tx);
+  }
+
+  async delete(id) {
+    const tx = (await this._db()).transaction(['sessions', 'frames'], 'readwrite');
+    tx.objectStore('sessions').delete(id);
+    tx.objectStore('frames').delete(this._chunkRange(id));
+    await complete(tx);
+  }
+
+  async clear() {
+    const tx = (await this._db()).transaction(['sessions', 'frames'], 'readwrite');
+    tx.objectStore('sessions').clear();
+    tx.objectStore('frames').clear();
+    await complete(tx);
+  }
+
+  async usage() {
+    const tx = (await this._db()).transaction(['sessions', 'frames']);
+    const sessions = await request(tx.objectStore('sessions').getAll());
+    const estimate = typeof navigator !== 'undefined' && navigator.storage?.estimate
+      ? await navigator.storage.estimate().catch(() => null) : null;
+    return {
+      backend:  this.name,
+      sessions: sessions.length,
+      frames:   sessions.reduce((a, s) => a + (s.frameCount || 0), 0),
+      bytes:    estimate?.usage ?? null,
+      quota:    estimate?.quota ?? null,
+    };
+  }
+
+  /* ── INTERNALS ── */
+
+  /** The open connection, reopened if another tab's upgrade closed it */
+  async _db() {
+    if (!this.db) {
+      this.opening = this.opening || this.open().finally(() => { this.opening = null; });
+      await this.opening;
+    }
+    return this.db;
+  }
+
+  _chunkRange(id) {
+    return IDBKeyRange.bound([id, 0], [id, Infinity]);
+  }
+
+  /** One-time import of the old single-key localStorage sessions; the key is removed once copied */
+  async _migrateLocalStorage() {
+    let legacy;
+    try { legacy = JSON.parse(localStorage.getItem(LEGACY_KEY)); } catch(e){ return; }
+    if (!Array.isArray(legacy)) return;
+    for (const s of legacy) await this.put(s.sealed ? s : this.prepareLegacy(s));
+    try { localStorage.removeItem(LEGACY_KEY); } catch(e){}
+  }
+}
+
+/* ─────────────────────────── localStorage ─────────────────────────── */
+
+export class LocalStorageStore {
+  /** @param {function(Session):Session} [prepareLegacy] — applied to each stored session on open */
+  constructor(prepareLegacy = s => s) {
+    this.name          = 'localStorage';
+    this.sessions      = [];
+    this.prepareLegacy = prepareLegacy;
+  }
+
+  async open() {
+    try {
+      // Sealed records (EncryptedStore) were prepared before they were encrypted
+      this.sessions = (JSON.parse(localStorage.getItem(LEGACY_KEY)) || []).map(s => s.sealed ? s : this.prepareLegacy(s));
+    } catch(e){ this.sessions = []; }
+  }
+
+  async list() {
+    return this.sessions.map(s => splitSession(s).summary).sort((a, b) => b.id - a.id);
+  }
+
+  async get(id) {
+    return this.sessions.find(s => s.id === id) || null;
+  }
+
+  async put(session) {
+    this._write([session, ...this.sessions.filter(s => s.id !== session.id)]);
+  }
+
+  async delete(id) {
+    this._write(this.sessions.filter(s => s.id !== id));
+  }
+
+  async clear() {
+    this._write([]);
+  }
+
+  async usage() {
+    const raw = localStorage.getItem(LEGACY_KEY) || '';
+    return {
+      backend:  this.name,
+      sessions: this.sessions.length,
+      frames:   this.sessions.reduce((a, s) => a + s.frames.length, 0),
+      bytes:    raw.length * 2,           // UTF-16
+      quota:    5 * 1024 * 1024,          // typical per-origin limit
+    };
+  }
+
+  /** Throws on quota errors so the caller can report them */
+  _write(sessions) {
+    localStorage.setItem(LEGACY_KEY, JSON.stringify(sessions));
+    this.sessions = sessions;
+  }
+}
+
+/* ─────────────────────────── Encrypted (session vault) ─────────────────────────── */
+
+/**
+ * Keeps sessions sealed with the SessionVault's key inside another backend. Records there are
+ *   { id, sealed: <summary>, frames: [<frames>] }
+ * so only the id (the start time) stays readable. Plaintext records — stored before the vault
+ * was enabled, or migrated from old storage — are read as they are until reseal() runs.
+ * Everything except delete / clear needs the vault unlocked.
+ */
+export class EncryptedStore {
+  /** @param {object} inner — IndexedDBStore or LocalStorageStore  @param {SessionVault} vault */
+  constructor(inner, vault) {
+    this.inner = inner;
+    this.vault = vault;
+    this.name  = `${inner.name} · encrypted`;
+  }
+
+  async open() {
+    await this.inner.open();
+  }
+
+  async list() {
+    const out = [];
+    for (const r of await this.inner.list()) out.push(r.sealed ? await this.vault.open(r.sealed) : r);
+    return out;
+  }
+
+  async get(id) {
+    const r = await this.inner.get(id);
+    if (!r?.sealed) return r;
+    const { frameCount, ...session } = await this.vault.open(r.sealed);
+    return { ...session, frames: await this.vault.open(r.frames[0]) };
+  }
+
+  async put(session) {
+    const { summary, frames } = splitSession(session);
+    await this.inner.put({ id: session.id, sealed: await this.vault.seal(summary), frames: [await this.vault.seal(frames)] });
+  }
+
+  async delete(id) {
+    await this.inner.delete(id);
+  }
+
+  async clear() {
+    await this.inner.clear();
+  }
+
+  async usage() {
+    const [u, list] = await Promise.all([this.inner.usage(), this.list()]);
+    return { ...u, backend: this.name, frames: list.reduce((a, s) => a + (s.frameCount || 0), 0) };
+  }
+
+  /**
+   * Seal every record that is plaintext or uses an older data key (after enabling the vault
+   * or changing the passphrase), then drop the old keys.
+   * @returns {Promise<number>} records re-sealed
+   */
+  async reseal() {
+    let n = 0;
+    for (const r of await this.inner.list()) {
+      if (r.sealed && this.vault.isCurrent(r.sealed)) continue;
+      const session = await this.get(r.id);
+      if (session) { await this.put(session); n++; }
+    }
+    this.vault.prune();
+    return n;
+  }
+
+  /**
+   * Decrypt every record back into the inner store (before turning the vault off)
+   * @returns {Promise<number>} sessions written as plaintext
+   */
+  async unseal() {
+    let n = 0;
+    for (const r of await this.inner.list()) {
+      if (!r.sealed) continue;
+      await this.inner.put(await this.get(r.id));
+      n++;
+    }
+    return n;
+  }
+}
+
+/** Default backend for this browser */
+export function createSessionStore(prepareLegacy) {
+  return IndexedDBStore.available() ? new IndexedDBStore(prepareLegacy) : new LocalStorageStore(prepareLegacy);
+}
@@ -0,0 +1,250 @@
+/**
+ * SessionVault
+ * Optional passphrase protection for stored sessions (WebCrypto).
+ *
+ * Sessions are sealed with AES-GCM-256 under a random data key. Data keys are stored wrapped
+ * by a key derived from the passphrase (PBKDF2-SHA-256 — WebCrypto has no Argon2 — with a
+ * random salt), so the passphrase itself is never stored:
+ *
+ *   localStorage.neurocal_vault = {
+ *     version: 1,
+ *     kdf:     { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     current: kid,                        data key new records are sealed with
+ *     keys:    { [kid]: { iv, data } },    wrapped data keys
+ *     autoLockMin
+ *   }
+ *
+ * Changing the passphrase creates a new data key; the old one stays until every record has
+ * been re-sealed (see EncryptedStore.reseal), so an interrupted change loses nothing.
+ * Keys only live in memory while the vault is unlocked. Binary values are base64 strings.
+ */
+
+import { ENCRYPTED_SESSION_FORMAT, SESSION_VERSION, APP_INFO } from './SessionFile.js';
+
+const MIN_PASSPHRASE = 8;
+const ITERATIONS     = 600000;   // PBKDF2-SHA-256 work factor for new keys
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+function toBase64(bytes) {
+  const u8 = new Uint8Array(bytes);
+  let s = '';
+  for (let i = 0; i < u8.length; i += 0x8000) s += String.fromCharCode(...u8.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromBase64(b64) {
+  const s = atob(b64);
+  const u8 = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) u8[i] = s.charCodeAt(i);
+  return u8;
+}
+
+const random = n => crypto.getRandomValues(new Uint8Array(n));
+
+/** @throws {Error} when a new passphrase is too weak to use */
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  }
+}
+
+function newKdf(iterations) {
+  return { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(random(16)) };
+}
+
+async function deriveKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey('raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+    material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'],
+  );
+}
+
+async function encrypt(key, text) {
+  const iv = random(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/** @throws {Error} 'Wrong passphrase…' when the key doesn't match or the data was altered (GCM tag) */
+async function decrypt(key, { iv, data }) {
+  try {
+    return dec.decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data)));
+  } catch (e) {
+    throw new Error('Wrong passphrase or damaged data');
+  }
+}
+
+/**
+ * Encrypt a session file (SessionFile.toSessionFile text) into a passphrase-protected bundle.
+ * @returns {Promise<string>} JSON text
+ */
+export async function encryptBundle(text, passphrase) {
+  checkPassphrase(passphrase);
+  const kdf = newKdf(ITERATIONS);
+  return JSON.stringify({
+    format:     ENCRYPTED_SESSION_FORMAT,
+    version:    SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    app:        APP_INFO,
+    kdf,
+    ...await encrypt(await deriveKey(passphrase, kdf), text),
+  });
+}
+
+/**
+ * @returns {Promise<string>} the session file text inside an encrypted bundle
+ * @throws {Error} on a wrong passphrase or a file that isn't an encrypted bundle
+ */
+export async function decryptBundle(text, passphrase) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error('File is not valid JSON'); }
+  if (data?.format !== ENCRYPTED_SESSION_FORMAT) throw new Error('File is not an encrypted session bundle');
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`File uses session format v${data.version}; this version of NeuroCal reads up to v${SESSION_VERSION}`);
+  }
+  if (data.kdf?.name !== 'PBKDF2' || !data.iv || !data.data) throw new Error('Encrypted bundle is incomplete');
+  return decrypt(await deriveKey(passphrase, data.kdf), data);
+}
+
+export class SessionVault {
+  constructor() {
+    this.STORAGE_KEY = 'neurocal_vault';
+    this.meta        = this._load();   // null = vault not enabled
+    this.keys        = null;           // kid → data CryptoKey while unlocked
+  }
+
+  static available() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  get enabled()    { return !!this.meta; }
+  get unlocked()   { return !!this.keys; }
+  get autoLockMin() { return this.meta?.autoLockMin ?? 15; }
+
+  /** Turn the vault on with a new passphrase (leaves it unlocked) */
+  async create(passphrase) {
+    if (!SessionVault.available()) throw new Error('This browser has no WebCrypto support');
+    checkPassphrase(passphrase);
+    const kdf = newKdf(ITERATIONS);
+    const kek = await deriveKey(passphrase, kdf);
+    const kid = toBase64(random(6));
+    const key = await this._newDataKey();
+    const meta = { version: 1, kdf, current: kid, keys: { [kid]: await this._wrap(key, kek) }, autoLockMin: this.autoLockMin };
+    this._save(meta);
+    this.meta = meta;
+    this.keys = new Map([[kid, key]]);
+  }
+
+  /** @throws {Error} on a wrong passphrase (the vault stays locked) */
+  async unlock(passphrase) {
+    if (!this.meta) throw new Error('Session vault is not enabled');
+    this.keys = await this._unwrapAll(passphrase, false);
+  }
+
+  lock() {
+    this.keys = null;
+  }
+
+  /** Check a passphrase without changing the lock state */
+  async verify(passphrase) {
+    await this._unwrapAll(passphrase, false);
+  }
+
+  /**
+   * Re-wrap all data keys under a new passphrase and start a new current data key.
+   * Records still sealed with older keys stay readable until re-sealed and prune() runs.
+   */
+  async changePassphrase(current, next) {
+    checkPassphrase(next);
+    const keys = await this._unwrapAll(current, true);
+    const kdf  = newKdf(ITERATIONS);
+    const kek  = await deriveKey(next, kdf);
+    const kid  = toBase64(random(6));
+    keys.set(kid, await this._newDataKey());
+    const wrapped = {};
+    for (const [id, key] of keys) wrapped[id] = await this._wrap(key, kek);
+    const meta = { ...this.meta, kdf, current: kid, keys: wrapped };
+    this._save(meta);
+    this.meta = meta;
+    this.keys = keys;
+  }
+
+  /** Forget data keys other than the current one — call once every record is sealed with it */
+  prune() {
+    if (!this.meta || Object.keys(this.meta.keys).length === 1) return;
+    this.meta = { ...this.meta, keys: { [this.meta.current]: this.meta.keys[this.meta.current] } };
+    this._save();
+    if (this.keys) this.keys = new Map([[this.meta.current, this.keys.get(this.meta.current)]]);
+  }
+
+  /** Turn the vault off — anything still sealed becomes unreadable */
+  destroy() {
+    this.meta = null;
+    this.keys = null;
+    try { localStorage.removeItem(this.STORAGE_KEY); } catch(e){}
+  }
+
+  setAutoLock(minutes) {
+    if (!this.meta) return;
+    this.meta.autoLockMin = minutes;
+    this._save();
+  }
+
+  /** @returns {boolean} whether a sealed record uses the current data key */
+  isCurrent(sealed) {
+    return sealed?.kid === this.meta?.current;
+  }
+
+  /**
+   * Encrypt any JSON-serializable value with the current data key
+   * @returns {Promise<{kid:string, iv:string, data:string}>}
+   */
+  async seal(value) {
+    if (!this.keys) throw new Error('Session vault is locked');
+    return { kid: this.meta.current, ...await encrypt(this.keys.get(this.meta.current), JSON.stringify(value)) };
+  }
+
+  async open(sealed) {
+    if (!this.keys) throw new Error('Session vault is locked');
+    const key = this.keys.get(sealed.kid);
+    if (!key) throw new Error('Record was sealed with a key this vault no longer has');
+    return JSON.parse(await decrypt(key, sealed));
+  }
+
+  /* ── INTERNALS ── */
+
+  _newDataKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  }
+
+  async _wrap(key, kek) {
+    const iv = random(12);
+    return { iv: toBase64(iv), data: toBase64(await crypto.subtle.wrapKey('raw', key, kek, { name: 'AES-GCM', iv })) };
+  }
+
+  /** @returns {Promise<Map<string, CryptoKey>>} */
+  async _unwrapAll(passphrase, extractable) {
+    const kek  = await deriveKey(passphrase, this.meta.kdf);
+    const keys = new Map();
+    for (const [kid, w] of Object.entries(this.meta.keys)) {
+      try {
+        keys.set(kid, await crypto.subtle.unwrapKey('raw', fromBase64(w.data), kek, { name: 'AES-GCM', iv: fromBase64(w.iv) },
+          { name: 'AES-GCM', length: 256 }, extractable, ['encrypt', 'decrypt']));
+      } catch (e) {
+        throw new Error('Wrong passphrase');
+      }
+    }
+    return keys;
+  }
+
+  /** Throws — unlike other settings, losing the wrapped keys would lose the sessions */
+  _save(meta = this.meta) { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(meta)); }
+  _load() {
+    try {
+      const meta = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return meta?.kdf && meta.keys ? meta : null;
+    } catch(e){ return null; }
+  }
+}
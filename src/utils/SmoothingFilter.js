@@ -0,0 +1,151 @@
+/**
+ * SmoothingFilter
+ * Temporal filters for landmark coordinates and the stress score.
+ * Methods: One-Euro (adaptive low-pass), EMA, 1D constant-position Kalman.
+ * Every filter takes a single strength knob 0..1 (0 = pass-through).
+ */
+
+export const SMOOTHING_METHODS = ['off', 'one-euro', 'ema', 'kalman'];
+
+const lerp = (a, b, s) => a + (b - a) * s;
+
+/** Exponential moving average */
+export class EmaFilter {
+  constructor(strength = 0.5) {
+    this.alpha = 1 - 0.95 * strength;
+    this.value = null;
+  }
+
+  filter(x) {
+    this.value = this.value === null ? x : this.value + this.alpha * (x - this.value);
+    return this.value;
+  }
+
+  reset() { this.value = null; }
+}
+
+/**
+ * One-Euro filter (Casiez et al. 2012): cutoff rises with speed, so slow
+ * jitter is removed while fast genuine motion passes with little lag.
+ */
+export class OneEuroFilter {
+  /**
+   * @param {number} strength — 0..1
+   * @param {number} beta     — speed coefficient; depends on signal units
+   */
+  constructor(strength = 0.5, beta = 0.01) {
+    this.minCutoff = lerp(3.0, 0.1, strength);
+    this.beta      = beta;
+    this.dCutoff   = 1.0;
+    this.value     = null;
+    this.deriv     = 0;
+    this.lastT     = null;
+  }
+
+  filter(x, t) {
+    if (this.value === null) {
+      this.value = x;
+      this.lastT = t;
+      return x;
+    }
+    const dt = Math.max(1e-3, (t - this.lastT) / 1000);
+    this.lastT = t;
+
+    const dx     = (x - this.value) / dt;
+    this.deriv  += this._alpha(this.dCutoff, dt) * (dx - this.deriv);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.deriv);
+    this.value  += this._alpha(cutoff, dt) * (x - this.value);
+    return this.value;
+  }
+
+  _alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  reset() {
+    this.value = null;
+    this.deriv = 0;
+    this.lastT = null;
+  }
+}
+
+/** Scalar Kalman filter with a constant-position model */
+export class KalmanFilter {
+  constructor(strength = 0.5) {
+    this.R     = 1;                                   // measurement noise
+    this.Q     = Math.pow(10, lerp(0, -4, strength)); // process noise
+    this.value = null;
+    this.P     = 1;
+  }
+
+  filter(x) {
+    if (this.value === null) {
+      this.value = x;
+      this.P     = this.R;
+      return x;
+    }
+    this.P += this.Q;
+    const K = this.P / (this.P + this.R);
+    this.value += K * (x - this.value);
+    this.P *= (1 - K);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.P     = 1;
+  }
+}
+
+/**
+ * @param {string} method   — one of SMOOTHING_METHODS
+ * @param {number} strength — 0..1
+ * @param {number} beta     — One-Euro speed coefficient
+ * @returns {{filter(x:number, t:number):number, reset():void}|null} null = no smoothing
+ */
+export function createFilter(method, strength, beta) {
+  if (strength <= 0) return null;
+  switch (method) {
+    case 'one-euro': return new OneEuroFilter(strength, beta);
+    case 'ema':      return new EmaFilter(strength);
+    case 'kalman':   return new KalmanFilter(strength);
+    default:         return null;
+  }
+}
+
+/** Applies one filter pair (x, y) per point to a list of landmark positions */
+export class PointSmoother {
+  constructor() {
+    this.method   = 'off';
+    this.strength = 0;
+    this.filters  = [];
+  }
+
+  configure(method, strength) {
+    this.method   = method;
+    this.strength = strength;
+    this.filters  = [];
+  }
+
+  /**
+   * @param {{x:number, y:number}[]} points
+   * @param {number} t — timestamp in ms
+   * @returns {{x:number, y:number}[]} smoothed copy (or the input when off)
+   */
+  apply(points, t) {
+    if (this.method === 'off' || this.strength <= 0) return points;
+    if (this.filters.length !== points.length) {
+      this.filters = points.map(() => [
+        createFilter(this.method, this.strength, 0.01),
+        createFilter(this.method, this.strength, 0.01),
+      ]);
+    }
+    return points.map((p, i) => ({
+      x: this.filters[i][0].filter(p.x, t),
+      y: this.filters[i][1].filter(p.y, t),
+    }));
+  }
+
+  reset() { this.filters = []; }
+}
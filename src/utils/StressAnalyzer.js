@@ -3,10 +3,40 @@
  * 8-channel biometric stress computation from 68 facial landmarks
  * Channels: eye openness, brow tension, mouth tension, facial asymmetry,
  *           head movement, blink rate, focus score, head pose
+ * Optional temporal smoothing on landmarks (before features) and on the score.
+ * Scoring modes: 'geometry' (landmarks only) or 'fused' (+ sustained emotion load).
+ * Optional rPPG heart-rate channel (see PulseEstimator) and voice channel (see
+ * VoiceAnalyzer), each scored only when enabled and its signal is reliable.
  */
+import { PointSmoother, createFilter } from './SmoothingFilter.js';
+import { HeadPoseSolver }              from './HeadPoseSolver.js';
+import { EmotionFusion }               from './EmotionFusion.js';
+import { GazeEstimator }               from './GazeEstimator.js';
+import { DEFAULT_PROFILE, levelFor, HIGH_LEVEL } from './ScoringProfiles.js';
+
+/**
+ * Composite channels, in display order. `inverted` channels add stress
+ * as their normalized value falls (e.g. eye openness, focus).
+ * `emotion` / `pulse` / `voice` channels only count when their mode is switched on.
+ * Weights come from the active scoring profile.
+ */
+export const STRESS_CHANNELS = [
+  { key: 'browTension',  short: 'brow',    label: 'Brow tension',  color: '#ff3b3b' },
+  { key: 'eyeOpenness',  short: 'eyes',    label: 'Eye narrowing', color: '#00e5ff', inverted: true },
+  { key: 'mouthTension', short: 'mouth',   label: 'Mouth tension', color: '#ffaa00' },
+  { key: 'asymmetry',    short: 'asym',    label: 'Asymmetry',     color: '#bf5fff' },
+  { key: 'headMovement', short: 'motion',  label: 'Head movement', color: '#6b9fff' },
+  { key: 'blinkRate',    short: 'blink',   label: 'Blink rate',    color: '#00ff99' },
+  { key: 'focusScore',   short: 'focus',   label: 'Low focus',     color: '#6b8aaa', inverted: true },
+  { key: 'emotionLoad',  short: 'emotion', label: 'Emotion load',  color: '#ff3b8a', emotion: true },
+  { key: 'heartRate',    short: 'pulse',   label: 'Heart rate',    color: '#ff6b6b', pulse: true },
+  { key: 'voiceStress',  short: 'voice',   label: 'Voice stress',  color: '#ffd166', voice: true },
+];
+
 export class StressAnalyzer {
   constructor() {
     this.history     = [];
+    this.rawHistory  = [];
     this.MAX_HISTORY = 120; // 2 minutes at 0.5Hz effective
     this.blinkCount  = 0;
     this.blinkWindowStart = Date.now();
@@ -18,18 +48,93 @@ export class StressAnalyzer {
     this.blinkTimestamps  = [];
     this.frameCount       = 0;
     this.prevPose         = { pitch: 0, yaw: 0, roll: 0 };
+    this.lastResult       = null; // last ungated result — held while the gate rejects frames
+    this.poseSolver       = new HeadPoseSolver();
+    this.emotionFusion    = new EmotionFusion();
+    this.gaze             = new GazeEstimator();
+    this.scoringMode      = 'fused';
+    this.usePulse         = false;
+    this.useVoice         = false;
+    this.REST_BPM         = 70;  // uncalibrated resting heart rate
+    this.CHANNEL_FADE_MS  = 3000; // pulse / voice weight ramps in / out when reliability flips
+    this.channelFade      = {};   // key → { w: 0..1 weight share, n: last reliable value, t }
+    this.profile          = DEFAULT_PROFILE;
     // Running stats for session
     this.sessionScores    = [];
     this.totalFrames      = 0;
+    // Per-user neutral baseline (see Calibration) — null = population constants
+    this.baseline         = null;
+    this.CAL_Z_RANGE      = 4; // deviations (in baseline SDs) that map to full tension
+    // Temporal smoothing
+    this.landmarkSmoother = new PointSmoother();
+    this.scoreFilter      = null;
+    this.smoothing        = { method: 'off', landmarks: 0, score: 0 };
+  }
+
+  /**
+   * Configure temporal smoothing.
+   * @param {string} method    — 'off' | 'one-euro' | 'ema' | 'kalman'
+   * @param {number} landmarks — landmark smoothing strength 0..1
+   * @param {number} score     — score smoothing strength 0..1
+   */
+  setSmoothing(method, landmarks, score) {
+    this.smoothing = { method, landmarks, score };
+    this.landmarkSmoother.configure(method, landmarks);
+    this.scoreFilter = createFilter(method, score, 0.005);
+  }
+
+  /** Video resolution — used to estimate camera intrinsics for the pose solve */
+  setFrameSize(width, height) {
+    this.poseSolver.setCamera(width, height);
+  }
+
+  /** Scoring profile (channel weights + level bands), see ScoringProfiles */
+  setProfile(profile) {
+    this.profile = profile || DEFAULT_PROFILE;
+  }
+
+  /** 'geometry' = landmark channels only, 'fused' = blend in the emotion channel */
+  setScoringMode(mode) {
+    this.scoringMode = mode === 'geometry' ? 'geometry' : 'fused';
+  }
+
+  /** Include the rPPG heart-rate channel in the composite when the signal is reliable */
+  setPulseScoring(on) {
+    this.usePulse = !!on;
+  }
+
+  /** Include the microphone voice-stress channel in the composite when speech is reliable */
+  setVoiceScoring(on) {
+    this.useVoice = !!on;
+  }
+
+  /** Use a per-user baseline from Calibration.finish(); pass null to revert */
+  setBaseline(baseline) {
+    this.baseline = baseline?.channels ? baseline : null;
   }
 
   /**
    * @param {faceapi.FaceLandmarks68} landmarks
    * @param {object} box  — {x,y,width,height}
+   * @param {object} [expressions] — faceExpressionNet probabilities
+   * @param {object} [extras]
+   * @param {function} [extras.gate] — (headPose) => FrameQuality result, checked before any
+   *                                   buffer is touched; a failing frame returns the last trusted
+   *                                   score and metrics and updates nothing
+   * @param {object} [extras.pulse] — PulseEstimator reading
+   * @param {object} [extras.pupils] — GazeEstimator.locatePupils() result
+   * @param {object} [extras.voice] — VoiceAnalyzer reading
    * @returns {AnalysisResult}
    */
-  analyze(landmarks, box) {
-    const pts      = landmarks.positions;
+  analyze(landmarks, box, expressions, { gate, pulse, pupils, voice } = {}) {
+    const now      = Date.now();
+    // Gate on the raw landmarks and a probe pose (solver warm start untouched), so a rejected
+    // frame never reaches the smoothers, blink / movement buffers, pose, gaze or emotion fusion
+    const probe    = gate ? this._poseMetric(this.poseSolver.solve(landmarks.positions, false) || this.prevPose) : null;
+    const quality  = gate ? gate(probe) : null;
+    if (quality && !quality.passed) return this._gatedResult(quality, probe);
+
+    const pts      = this.landmarkSmoother.apply(landmarks.positions, now);
     const faceSize = box.width || 200;
     this.frameCount++;
     this.totalFrames++;
@@ -40,29 +145,60 @@ export class StressAnalyzer {
     const asymmetry    = this._asymmetry(pts, faceSize);
     const headMovement = this._headMovement(pts, faceSize);
     const blinkRate    = this._blinkRate(eyeOpenness.ear);
-    const focusScore   = this._focusScore(eyeOpenness, browTension, headMovement);
     const headPose     = this._headPose(pts, faceSize);
+    const gaze         = this.gaze.update(pupils, headPose, now);
+    const focusScore   = this._focusScore(eyeOpenness, browTension, headMovement, gaze);
+    const emotionLoad  = this.emotionFusion.update(expressions, now);
+    const heartRate    = this._heartRate(pulse);
+    const voiceStress  = this._voiceStress(voice);
+
+    const metrics = { eyeOpenness, browTension, mouthTension, asymmetry, headMovement, blinkRate, focusScore, headPose, gaze, emotionLoad, heartRate, voiceStress };
+
+    // Weighted stress composite, kept per channel for the breakdown
+    const points = this._channelPoints(metrics, now);
+    const raw    = Object.values(points).reduce((a, b) => a + b, 0);
 
-    // Weighted stress composite
-    const raw =
-      (1 - eyeOpenness.normalized)  * 20 +
-      browTension.normalized         * 25 +
-      mouthTension.normalized        * 18 +
-      asymmetry.normalized           * 12 +
-      headMovement.normalized        * 10 +
-      blinkRate.normalized           * 10 +
-      (1 - focusScore.normalized)    * 5;
-
-    const stress = Math.min(100, Math.max(0, Math.round(raw)));
+    const rawStress = Math.min(100, Math.max(0, Math.round(raw)));
+    const smoothed  = this.scoreFilter ? this.scoreFilter.filter(rawStress, now) : rawStress;
+    const stress    = Math.min(100, Math.max(0, Math.round(smoothed)));
     this.history.push(stress);
-    if (this.history.length > this.MAX_HISTORY) this.history.shift();
+    this.rawHistory.push(rawStress);
+    if (this.history.length > this.MAX_HISTORY) {
+      this.history.shift();
+      this.rawHistory.shift();
+    }
     this.sessionScores.push(stress);
+    const contributions = this._contributions(points, raw, stress);
+
+    return this.lastResult = {
+      stress,
+      rawStress,
+      gated: false,
+      quality,
+      level: this._level(stress),
+      mode: this.scoringMode,
+      metrics,
+      contributions,
+      history: this.history,
+      rawHistory: this.rawHistory,
+    };
+  }
 
+  /** A rejected frame: the last trusted score and metrics, with the live (probe) head pose */
+  _gatedResult(quality, headPose) {
+    const last   = this.lastResult;
+    const stress = this.history.length ? this.history[this.history.length - 1] : 0;
     return {
       stress,
+      rawStress: last ? last.rawStress : 0,
+      gated: true,
+      quality,
       level: this._level(stress),
-      metrics: { eyeOpenness, browTension, mouthTension, asymmetry, headMovement, blinkRate, focusScore, headPose },
+      mode: this.scoringMode,
+      metrics: { ...last?.metrics, headPose },
+      contributions: last ? last.contributions : [],
       history: this.history,
+      rawHistory: this.rawHistory,
     };
   }
 
@@ -72,8 +208,11 @@ export class StressAnalyzer {
     const earL = this._ear(pts, 36, 37, 38, 39, 40, 41);
     const earR = this._ear(pts, 42, 43, 44, 45, 46, 47);
     const ear  = (earL + earR) / 2;
-    const normalized = Math.min(1, Math.max(0, (ear - 0.1) / 0.3));
-    return { ear, normalized, earL, earR, label: `${(normalized * 100).toFixed(0)}%` };
+    const narrowing  = this._calibrated('eyeOpenness', ear, -1);
+    const normalized = narrowing !== null
+      ? 1 - narrowing
+      : Math.min(1, Math.max(0, (ear - 0.1) / 0.3));
+    return { ear, raw: ear, normalized, earL, earR, label: `${(normalized * 100).toFixed(0)}%` };
   }
 
   _ear(pts, p1, p2, p3, p4, p5, p6) {
@@ -89,16 +228,19 @@ export class StressAnalyzer {
     const lEyeY  = (pts[37].y + pts[38].y + pts[40].y + pts[41].y) / 4;
     const rEyeY  = (pts[43].y + pts[44].y + pts[46].y + pts[47].y) / 4;
     const gap    = ((lEyeY - lBrowY) + (rEyeY - rBrowY)) / 2;
-    const normalized = Math.min(1, Math.max(0, 1 - gap / (0.18 * faceSize)));
-    return { gap, normalized, label: `${(normalized * 100).toFixed(0)}%` };
+    const raw    = gap / faceSize;
+    const normalized = this._calibrated('browTension', raw, -1)
+      ?? Math.min(1, Math.max(0, 1 - gap / (0.18 * faceSize)));
+    return { gap, raw, normalized, label: `${(normalized * 100).toFixed(0)}%` };
   }
 
   _mouthTension(pts, faceSize) {
     const mW = this._dist(pts[48], pts[54]);
     const mH = this._dist(pts[51], pts[57]);
     const ratio = mH / (mW + 0.001);
-    const normalized = Math.min(1, Math.max(0, 1 - ratio / 0.3));
-    return { ratio, normalized, label: `${(normalized * 100).toFixed(0)}%` };
+    const normalized = this._calibrated('mouthTension', ratio, -1)
+      ?? Math.min(1, Math.max(0, 1 - ratio / 0.3));
+    return { ratio, raw: ratio, normalized, label: `${(normalized * 100).toFixed(0)}%` };
   }
 
   _asymmetry(pts, faceSize) {
@@ -108,8 +250,10 @@ export class StressAnalyzer {
     const eyeDiff   = Math.abs((nose.x - lEyeX) - (rEyeX - nose.x));
     const mouthDiff = Math.abs((nose.x - pts[48].x) - (pts[54].x - nose.x));
     const asym  = (eyeDiff + mouthDiff) / 2;
-    const normalized = Math.min(1, asym / (0.05 * faceSize));
-    return { value: asym, normalized, label: `${((1 - normalized) * 100).toFixed(0)}%` };
+    const raw   = asym / faceSize;
+    const normalized = this._calibrated('asymmetry', raw, 1)
+      ?? Math.min(1, asym / (0.05 * faceSize));
+    return { value: asym, raw, normalized, label: `${((1 - normalized) * 100).toFixed(0)}%` };
   }
 
   _headMovement(pts, faceSize) {
@@ -124,8 +268,9 @@ export class StressAnalyzer {
     this.prevNose = { x: c.x, y: c.y };
     const avg = this.headMovBuf.length > 0
       ? this.headMovBuf.reduce((a, b) => a + b, 0) / this.headMovBuf.length : 0;
-    const normalized = Math.min(1, avg / 0.05);
-    return { value: avg, normalized, label: `${(normalized * 100).toFixed(0)}%` };
+    const normalized = this._calibrated('headMovement', avg, 1)
+      ?? Math.min(1, avg / 0.05);
+    return { value: avg, raw: avg, normalized, label: `${(normalized * 100).toFixed(0)}%` };
   }
 
   _blinkRate(ear) {
@@ -146,50 +291,141 @@ export class StressAnalyzer {
     return { bpm, normalized, label: `${bpm}/min` };
   }
 
-  _focusScore(eyeOpenness, browTension, headMovement) {
-    // High focus = eyes open, brows relaxed, head steady
-    const raw = eyeOpenness.normalized * 0.5
-              + (1 - browTension.normalized) * 0.3
-              + (1 - headMovement.normalized) * 0.2;
+  _focusScore(eyeOpenness, browTension, headMovement, gaze) {
+    // High focus = eyes open, brows relaxed, head steady, looking at the screen
+    const raw = eyeOpenness.normalized * 0.35
+              + (1 - browTension.normalized) * 0.2
+              + (1 - headMovement.normalized) * 0.15
+              + gaze.attention * 0.3;
     const normalized = Math.min(1, Math.max(0, raw));
     return { normalized, label: `${(normalized * 100).toFixed(0)}%` };
   }
 
-  /** Approximate head pose from landmark geometry (no 3D model needed) */
+  /** 3D head pose from a PnP fit of a generic face model (see HeadPoseSolver) */
   _headPose(pts, faceSize) {
-    // Pitch: nose tip vs mid-eyes vertical offset
-    const eyeMidY  = (pts[36].y + pts[45].y) / 2;
-    const noseTip  = pts[30];
-    const mouthMid = (pts[48].y + pts[54].y) / 2;
-    const faceH    = mouthMid - eyeMidY;
-    const pitchRaw = ((noseTip.y - eyeMidY) / (faceH + 0.001) - 0.45) * 2;
-    const pitch    = Math.round(pitchRaw * 35);
-
-    // Yaw: nose to eye horizontal offset asymmetry
-    const lEyeX = (pts[36].x + pts[39].x) / 2;
-    const rEyeX = (pts[42].x + pts[45].x) / 2;
-    const eyeW  = rEyeX - lEyeX;
-    const yawRaw = (noseTip.x - lEyeX) / (eyeW + 0.001) - 0.5;
-    const yaw   = Math.round(yawRaw * 60);
-
-    // Roll: eye line tilt
-    const dy = pts[45].y - pts[36].y;
-    const dx = pts[45].x - pts[36].x;
-    const roll = Math.round(Math.atan2(dy, dx) * (180 / Math.PI));
+    const sol = this.poseSolver.solve(pts);
+    // Degenerate frame — hold the last good pose
+    if (!sol) return this._poseMetric(this.prevPose);
+    const pose = this._poseMetric(sol);
+    const { pitch, yaw, roll, translation, distance } = pose;
+    this.prevPose = { pitch, yaw, roll, translation, distance };
+    return pose;
+  }
 
+  /** Rounded pose reading from a solver result or a held pose */
+  _poseMetric({ pitch, yaw, roll, translation = null, distance = 0 }) {
+    pitch = Math.round(pitch);
+    yaw   = Math.round(yaw);
+    roll  = Math.round(roll);
+    translation = translation && {
+      x: Math.round(translation.x),
+      y: Math.round(translation.y),
+      z: Math.round(translation.z),
+    };
+    distance = Math.round(distance);   // mm, camera → nose tip
     const normalized = Math.min(1, (Math.abs(pitch) + Math.abs(yaw)) / 60);
-    this.prevPose = { pitch, yaw, roll };
-    return { pitch, yaw, roll, normalized, label: `${yaw > 0 ? 'R' : 'L'}${Math.abs(yaw)}°` };
+    return { pitch, yaw, roll, translation, distance, normalized, label: `${yaw > 0 ? 'R' : 'L'}${Math.abs(yaw)}°` };
+  }
+
+  /** rPPG pulse — elevated rate (vs. calibrated rest) and low HRV add stress */
+  _heartRate(pulse) {
+    if (!pulse?.reliable) {
+      return { bpm: null, hrv: null, raw: null, reliable: false, normalized: 0, label: '--' };
+    }
+    const { bpm, hrv } = pulse;
+    const rate = this._calibrated('heartRate', bpm, 1)
+      ?? Math.min(1, Math.max(0, (bpm - this.REST_BPM) / 40));
+    const normalized = hrv === null
+      ? rate
+      : 0.7 * rate + 0.3 * Math.min(1, Math.max(0, (50 - hrv) / 40));
+    return { bpm, hrv, raw: bpm, reliable: true, normalized, label: `${bpm} bpm` };
+  }
+
+  /** Microphone — raised pitch, loudness, jitter and shimmer (see VoiceAnalyzer) */
+  _voiceStress(voice) {
+    if (!voice?.reliable) {
+      return { f0: null, jitter: null, shimmer: null, reliable: false, normalized: 0, label: voice ? 'SILENT' : '--' };
+    }
+    const normalized = Math.min(1, Math.max(0, voice.stress));
+    return { f0: voice.f0, jitter: voice.jitter, shimmer: voice.shimmer, reliable: true, normalized, label: `${(normalized * 100).toFixed(0)}% ${voice.f0}Hz` };
+  }
+
+  /* ── COMPOSITE ── */
+
+  /**
+   * Points each channel adds to the raw composite (before smoothing).
+   * Profile weights are rescaled to total 100; the emotion channel only
+   * takes part in 'fused' mode, the pulse / voice channels only when enabled.
+   * Pulse and voice readings come and go with signal reliability, so their weight fades in and
+   * out over CHANNEL_FADE_MS (holding the last reliable value while fading out) instead of
+   * switching — otherwise the composite jumps whenever a signal locks or drops.
+   */
+  _channelPoints(metrics, now = Date.now()) {
+    const weights = this.profile.weights;
+    const active  = STRESS_CHANNELS.filter(ch =>
+      (!ch.emotion || this.scoringMode === 'fused') &&
+      (!ch.pulse   || this.usePulse) &&
+      (!ch.voice   || this.useVoice));
+    const share = {}, value = {};
+    active.forEach(ch => {
+      const n = metrics[ch.key].normalized;
+      share[ch.key] = 1;
+      value[ch.key] = ch.inverted ? 1 - n : n;
+      if (!ch.pulse && !ch.voice) return;
+      const f = this.channelFade[ch.key] = this.channelFade[ch.key] || { w: 0, n: 0, t: now };
+      const step = Math.min(now - f.t, 1000) / this.CHANNEL_FADE_MS;   // capped across frame gaps
+      const reliable = metrics[ch.key].reliable;
+      f.w = Math.min(1, Math.max(0, f.w + (reliable ? step : -step)));
+      f.t = now;
+      if (reliable) f.n = value[ch.key];
+      share[ch.key] = f.w;
+      value[ch.key] = f.n;
+    });
+    const total  = active.reduce((a, ch) => a + (weights[ch.key] || 0) * share[ch.key], 0) || 1;
+    const points = {};
+    STRESS_CHANNELS.forEach(ch => {
+      points[ch.key] = active.includes(ch)
+        ? value[ch.key] * (weights[ch.key] || 0) * share[ch.key] * 100 / total
+        : 0;
+    });
+    return points;
+  }
+
+  /**
+   * Per-channel points rescaled so they add up to the displayed (smoothed) score.
+   * @returns {{key:string, label:string, short:string, color:string, points:number}[]} largest first
+   */
+  _contributions(points, raw, stress) {
+    const scale = raw > 0 ? stress / raw : 0;
+    return STRESS_CHANNELS
+      .map(ch => ({
+        key:    ch.key,
+        label:  ch.label,
+        short:  ch.short,
+        color:  ch.color,
+        points: Math.round(points[ch.key] * scale * 10) / 10,
+      }))
+      .sort((a, b) => b.points - a.points);
   }
 
   /* ── UTILITIES ── */
 
+  /**
+   * Normalize a raw channel value against the user's baseline.
+   * @param {string} channel  — metric key in the baseline
+   * @param {number} value    — scale-free raw value
+   * @param {1|-1} direction  — sign of the deviation that means "more stress"
+   * @returns {number|null} 0..1 tension, or null when uncalibrated
+   */
+  _calibrated(channel, value, direction) {
+    const b = this.baseline?.channels?.[channel];
+    if (!b) return null;
+    const z = direction * (value - b.mean) / b.sd;
+    return Math.min(1, Math.max(0, z / this.CAL_Z_RANGE));
+  }
+
   _level(score) {
-    if (score < 20) return { label: 'CALM',     cls: 'calm',     color: '#00ff99' };
-    if (score < 40) return { label: 'MILD',     cls: 'mild',     color: '#00e5ff' };
-    if (score < 60) return { label: 'MODERATE', cls: 'moderate', color: '#ffaa00' };
-    if (score < 80) return { label: 'HIGH',     cls: 'high',     color: '#ff3b3b' };
-    return            { label: 'EXTREME',    cls: 'extreme',  color: '#ff0055' };
+    return levelFor(this.profile, score);
   }
 
   _dist(a, b) {
@@ -202,19 +438,32 @@ export class StressAnalyzer {
     const avg  = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
     const peak = Math.max(...scores);
     const min  = Math.min(...scores);
-    const calm = scores.filter(s => s < 20).length;
-    const high = scores.filter(s => s >= 60).length;
+    const calm = scores.filter(s => this._level(s).index === 0).length;
+    const high = scores.filter(s => this._level(s).index >= HIGH_LEVEL).length;
     return { avg, peak, min, calm, high, total: scores.length };
   }
 
   reset() {
     this.history     = [];
+    this.rawHistory  = [];
     this.sessionScores = [];
+    this.resetFace();
+    this.frameCount  = 0;
+    this.totalFrames = 0;
+    this.lastResult  = null;
+  }
+
+  /** Clear per-person signal buffers (a different face took over) but keep score history */
+  resetFace() {
+    this.landmarkSmoother.reset();
+    this.scoreFilter?.reset();
     this.blinkTimestamps = [];
     this.prevNose    = null;
     this.headMovBuf  = [];
+    this.poseSolver.reset();
+    this.emotionFusion.reset();
+    this.gaze.reset();
     this.eyeWasClosed = false;
-    this.frameCount  = 0;
-    this.totalFrames = 0;
+    this.channelFade  = {};
   }
 }
@@ -0,0 +1,108 @@
+/**
+ * StressForecaster
+ * Short-term stress projection (1–3 min ahead) from the recent score series.
+ * Scores are averaged into STEP_MS buckets and fed to a damped-trend Holt model
+ * (exponential smoothing of level + trend); the spread of its one-step-ahead errors
+ * gives the projected band. A rising-stress warning is raised when the projection
+ * crosses the alert threshold within the horizon while the score is still below it.
+ */
+
+export class StressForecaster {
+  constructor() {
+    this.STEP_MS    = 2000;    // bucket size / model step
+    this.ALPHA      = 0.3;     // level smoothing
+    this.BETA       = 0.08;    // trend smoothing
+    this.PHI        = 0.98;    // trend damping per step — long horizons flatten out
+    this.MIN_STEPS  = 15;      // buckets before the forecast is trusted (30 s)
+    this.MIN_RISE   = 3;       // points/min of trend needed for a warning
+    this.BAND_Z     = 1.28;    // ≈ 80% band
+    this.horizonMs  = 120000;  // warning horizon
+    this.reset();
+  }
+
+  /** @param {number} minutes — how far ahead a threshold crossing raises a warning (1–3) */
+  setHorizon(minutes) {
+    this.horizonMs = minutes * 60000;
+  }
+
+  /**
+   * Feed one (ungated) score.
+   * @param {number} stress
+   * @param {number} [t] — timestamp in ms
+   */
+  update(stress, t = Date.now()) {
+    const k = Math.floor(t / this.STEP_MS);
+    if (this.bucket && k === this.bucket.k) {
+      this.bucket.sum += stress;
+      this.bucket.n++;
+      return;
+    }
+    if (this.bucket) this._step(this.bucket.sum / this.bucket.n);
+    this.bucket = { k, sum: stress, n: 1 };
+  }
+
+  /**
+   * @param {number} threshold — alert threshold the warning is measured against
+   * @returns {{ready:boolean, level:number, trendPerMin:number, points:{aheadMs:number, mean:number, lo:number, hi:number}[],
+   *            etaMs:number|null, warning:boolean}}
+   */
+  forecast(threshold) {
+    if (this.steps < this.MIN_STEPS) {
+      return { ready: false, level: null, trendPerMin: 0, points: [], etaMs: null, warning: false };
+    }
+    const sigma = Math.sqrt(this.errVar);
+    const steps = Math.ceil(this.horizonMs / this.STEP_MS);
+    const points = [];
+    let damp = 0, etaMs = null;
+    for (let h = 1; h <= steps; h++) {
+      damp += this.PHI ** h;
+      const mean   = this.level + damp * this.trend;
+      const spread = this.BAND_Z * sigma * Math.sqrt(h);
+      const aheadMs = h * this.STEP_MS;
+      if (etaMs === null && mean >= threshold) etaMs = aheadMs;
+      points.push({ aheadMs, mean: this._clamp(mean), lo: this._clamp(mean - spread), hi: this._clamp(mean + spread) });
+    }
+
+    const trendPerMin = this.trend * 60000 / this.STEP_MS;
+    const current     = this.lastValue;
+    return {
+      ready: true,
+      level: Math.round(this.level),
+      trendPerMin: Math.round(trendPerMin * 10) / 10,
+      points,
+      etaMs,
+      warning: current < threshold && etaMs !== null && trendPerMin >= this.MIN_RISE,
+    };
+  }
+
+  reset() {
+    this.bucket    = null;
+    this.level     = null;
+    this.trend     = 0;
+    this.errVar    = 25;   // prior: ±5 points one step ahead
+    this.steps     = 0;
+    this.lastValue = null;
+  }
+
+  /* ── INTERNALS ── */
+
+  _step(y) {
+    this.lastValue = y;
+    this.steps++;
+    if (this.level === null) {
+      this.level = y;
+      return;
+    }
+    const predicted = this.level + this.PHI * this.trend;
+    const err       = y - predicted;
+    this.errVar     = 0.95 * this.errVar + 0.05 * err * err;
+
+    const prevLevel = this.level;
+    this.level = predicted + this.ALPHA * err;
+    this.trend = this.PHI * this.trend + this.BETA * (this.level - prevLevel - this.PHI * this.trend);
+  }
+
+  _clamp(v) {
+    return Math.min(100, Math.max(0, Math.round(v)));
+  }
+}
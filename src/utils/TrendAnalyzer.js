@@ -0,0 +1,152 @@
+/**
+ * TrendAnalyzer
+ * Long-term view across recorded sessions: stress per day / week, time-of-day ×
+ * day-of-week heatmap, alert frequency, calm-time share and dominant-emotion shares.
+ *
+ * Works on session summaries (no frames). Each session carries a compact `trend`
+ * summary — computed once from its frames when it ends (or is imported / migrated):
+ *   { calmPct, highPct, hours: [{ t, n, mean }] }   t = local wall-clock hour start (epoch ms)
+ * Sessions stored before it existed fall back to their average at the start hour.
+ * All calendar bucketing is in local time.
+ */
+
+import { EMOTIONS } from './EmotionFusion.js';
+import { levelFor, HIGH_LEVEL } from './ScoringProfiles.js';
+
+const HOUR_MS = 3600000;
+const DAY_MS  = 24 * HOUR_MS;
+
+export class TrendAnalyzer {
+  /**
+   * Per-session trend summary from its frames (t = ms from session start, id = start time)
+   * @returns {{calmPct:number|null, highPct:number|null, hours:{t:number, n:number, mean:number}[]}}
+   */
+  summarize(session) {
+    const frames = session.frames || [];
+    if (!frames.length) return { calmPct: null, highPct: null, hours: [] };
+    const hours = new Map();
+    let calm = 0, high = 0;
+    frames.forEach(f => {
+      const level = levelFor(session.profile, f.stress).index;
+      if (level === 0) calm++;
+      if (level >= HIGH_LEVEL) high++;
+      const h = this._hourStart(session.id + f.t);
+      const b = hours.get(h) || { t: h, n: 0, sum: 0 };
+      b.n++;
+      b.sum += f.stress;
+      hours.set(h, b);
+    });
+    return {
+      calmPct: Math.round(calm / frames.length * 100),
+      highPct: Math.round(high / frames.length * 100),
+      hours:   [...hours.values()].map(b => ({ t: b.t, n: b.n, mean: Math.round(b.sum / b.n * 10) / 10 })),
+    };
+  }
+
+  /**
+   * @param {object[]} sessions — summaries (SessionManager.getSessions())
+   * @param {{from?:number, to?:number, bucket?:'day'|'week'}} [options] — from / to are epoch ms (inclusive / exclusive)
+   * @returns {{buckets:object[], heatmap:{mean:(number|null)[][], n:number[][]}, hourOfDay:(number|null)[],
+   *            dayOfWeek:(number|null)[], totals:object}}
+   */
+  analyze(sessions, { from = -Infinity, to = Infinity, bucket = 'day' } = {}) {
+    const list = sessions.filter(s => s.id >= from && s.id < to).sort((a, b) => a.id - b.id);
+
+    // Per day / week
+    const byBucket = new Map();
+    list.forEach(s => {
+      const start = bucket === 'week' ? this._weekStart(s.id) : this._dayStart(s.id);
+      if (!byBucket.has(start)) byBucket.set(start, []);
+      byBucket.get(start).push(s);
+    });
+    const buckets = [...byBucket.entries()].map(([start, ss]) => ({ start, ...this._aggregate(ss) }));
+
+    // Day-of-week (Mon = 0) × hour-of-day, frame-weighted means
+    const sum = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const n   = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    list.forEach(s => this._hours(s).forEach(h => {
+      const d = new Date(h.t);
+      const day = (d.getDay() + 6) % 7;
+      sum[day][d.getHours()] += h.mean * h.n;
+      n[day][d.getHours()]   += h.n;
+    }));
+    const mean = sum.map((row, d) => row.map((v, h) => n[d][h] ? Math.round(v / n[d][h]) : null));
+    const marginal = cells => {
+      const tot = cells.reduce((a, c) => ({ s: a.s + c.s, n: a.n + c.n }), { s: 0, n: 0 });
+      return tot.n ? Math.round(tot.s / tot.n) : null;
+    };
+    const hourOfDay = Array.from({ length: 24 }, (_, h) => marginal(sum.map((row, d) => ({ s: row[h], n: n[d][h] }))));
+    const dayOfWeek = sum.map((row, d) => marginal(row.map((s, h) => ({ s, n: n[d][h] }))));
+
+    return {
+      buckets,
+      heatmap: { mean, n },
+      hourOfDay,
+      dayOfWeek,
+      totals: { ...this._aggregate(list), trendPerWeek: this._slope(buckets) },
+    };
+  }
+
+  /* ── INTERNALS ── */
+
+  /** Frame-weighted aggregate of a group of sessions */
+  _aggregate(ss) {
+    const weight   = s => s.frameCount ?? s.frames?.length ?? 1;
+    const frames   = ss.reduce((a, s) => a + weight(s), 0);
+    const duration = ss.reduce((a, s) => a + (s.duration || 0), 0);
+    const alerts   = ss.reduce((a, s) => a + (s.alerts || 0), 0);
+    const withCalm = ss.filter(s => s.trend?.calmPct != null);
+    const calmW    = withCalm.reduce((a, s) => a + weight(s), 0);
+
+    const emotions = Object.fromEntries(EMOTIONS.map(e => [e, 0]));
+    ss.forEach(s => Object.entries(s.emotionTotals || {}).forEach(([e, c]) => { if (e in emotions) emotions[e] += c; }));
+    const emoTotal = Object.values(emotions).reduce((a, b) => a + b, 0);
+    Object.keys(emotions).forEach(e => { emotions[e] = emoTotal ? emotions[e] / emoTotal : 0; });
+
+    return {
+      sessions:      ss.length,
+      durationMs:    duration,
+      avgStress:     frames ? Math.round(ss.reduce((a, s) => a + (s.avgStress || 0) * weight(s), 0) / frames) : null,
+      peakStress:    ss.length ? ss.reduce((a, s) => Math.max(a, s.peakStress || 0), 0) : null,
+      alerts,
+      alertsPerHour: duration ? Math.round(alerts / (duration / HOUR_MS) * 10) / 10 : null,
+      calmPct:       calmW ? Math.round(withCalm.reduce((a, s) => a + s.trend.calmPct * weight(s), 0) / calmW) : null,
+      emotions,
+    };
+  }
+
+  _hours(s) {
+    if (s.trend?.hours?.length) return s.trend.hours;
+    return s.avgStress != null ? [{ t: this._hourStart(s.id), n: s.frameCount ?? 1, mean: s.avgStress }] : [];
+  }
+
+  /** Least-squares slope of bucket averages, in stress points per week (negative = improving) */
+  _slope(buckets) {
+    const pts = buckets.filter(b => b.avgStress != null).map(b => ({ x: b.start / (7 * DAY_MS), y: b.avgStress }));
+    if (pts.length < 3) return null;
+    const mx = pts.reduce((a, p) => a + p.x, 0) / pts.length;
+    const my = pts.reduce((a, p) => a + p.y, 0) / pts.length;
+    const sxx = pts.reduce((a, p) => a + (p.x - mx) ** 2, 0);
+    if (!sxx) return null;
+    return Math.round(pts.reduce((a, p) => a + (p.x - mx) * (p.y - my), 0) / sxx * 10) / 10;
+  }
+
+  _hourStart(t) {
+    const d = new Date(t);
+    d.setMinutes(0, 0, 0);
+    return d.getTime();
+  }
+
+  _dayStart(t) {
+    const d = new Date(t);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+
+  /** Local Monday 00:00 of t's week */
+  _weekStart(t) {
+    const d = new Date(this._dayStart(t));
+    d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    return d.getTime();
+  }
+}
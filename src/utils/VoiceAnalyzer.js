@@ -0,0 +1,378 @@
+/**
+ * VoiceAnalyzer
+ * Optional voice-stress channel from the microphone (Web Audio).
+ * Per frame: energy (dB), speech activity, F0 (YIN), local jitter and shimmer
+ * from cycle-to-cycle period / peak-amplitude changes. A rolling window of
+ * voiced speech is compared with the speaker's own warm-up baseline:
+ * raised pitch, louder speech and higher jitter / shimmer add voice stress.
+ *
+ * The analysis core works on plain Float32Array PCM, so the same pipeline runs
+ * on live input (start/stop) and on prerecorded files (analyzeSamples, or
+ * analyzeSamplesAsync in the UI — YIN over a minute of 48 kHz audio takes seconds).
+ * syntheticVoice() builds a tone with known jitter / shimmer; VoiceAnalyzer.selfCheck() runs the standard set.
+ */
+
+/**
+ * Synthetic voiced signal with a known pitch and cycle-to-cycle perturbation, after a short quiet
+ * lead-in (the noise floor needs one). Each cycle's length / peak varies at random by up to
+ * ±1.5·jitterPct / ±1.5·shimmerPct %, which gives local jitter / shimmer ≈ jitterPct / shimmerPct.
+ * @returns {Float32Array} mono PCM
+ */
+export function syntheticVoice({ f0 = 150, sampleRate = 16000, secs = 5, jitterPct = 0, shimmerPct = 0, amp = 0.3, seed = 1 } = {}) {
+  let s = seed;
+  const rnd  = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  const lead = Math.round(sampleRate * 0.5);
+  const out  = new Float32Array(lead + Math.round(sampleRate * secs));
+  for (let i = 0; i < lead; i++) out[i] = (rnd() - 0.5) * 2e-4;
+  // Peak to peak cycles; phase runs on between samples and the level ramps to the next peak's
+  const cycle = () => ({
+    len: sampleRate / f0 * (1 + (rnd() - 0.5) * 0.03 * jitterPct),
+    a:   amp * (1 + (rnd() - 0.5) * 0.03 * shimmerPct),
+  });
+  let c = cycle(), next = cycle(), phase = 0;
+  for (let i = lead; i < out.length; i++) {
+    out[i] = (c.a + (next.a - c.a) * phase) * Math.cos(2 * Math.PI * phase);
+    phase += 1 / c.len;
+    if (phase >= 1) {
+      phase = (phase - 1) * c.len / next.len;
+      c = next;
+      next = cycle();
+    }
+  }
+  return out;
+}
+
+export class VoiceAnalyzer {
+  constructor() {
+    this.FRAME_SIZE    = 2048;    // samples per analysis frame
+    this.HOP_MS        = 50;      // live polling / offline hop
+    this.F0_MIN        = 70;      // Hz
+    this.F0_MAX        = 400;
+    this.YIN_THRESHOLD = 0.15;
+    this.VOICED_MAX    = 0.35;    // CMNDF dip above this = unvoiced
+    this.SPEECH_DB     = 9;       // speech = this far above the noise floor
+    this.WINDOW_MS     = 10000;   // rolling feature window
+    this.MIN_VOICED_MS = 2000;    // voiced speech needed in the window for a reliable reading
+    this.BASELINE_MS   = 30000;   // voiced speech collected as the speaker's baseline
+    this.stream  = null;
+    this.ctx     = null;
+    this.timer   = null;
+    this.reset();
+  }
+
+  get active() { return !!this.stream; }
+
+  /** Open the microphone (separate from the camera stream) and start polling */
+  async start() {
+    if (this.stream) return;
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      video: false,
+    });
+    this.ctx      = new (window.AudioContext || window.webkitAudioContext)();
+    this.analyser = this.ctx.createAnalyser();
+    this.analyser.fftSize = this.FRAME_SIZE;
+    this.ctx.createMediaStreamSource(this.stream).connect(this.analyser);
+    this.buf   = new Float32Array(this.FRAME_SIZE);
+    this.timer = setInterval(() => {
+      this.analyser.getFloatTimeDomainData(this.buf);
+      this.processFrame(this.buf, this.ctx.sampleRate);
+    }, this.HOP_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stream?.getTracks().forEach(t => t.stop());
+    this.stream = null;
+    this.ctx?.close();
+    this.ctx = null;
+  }
+
+  /**
+   * Analyze one frame of mono PCM.
+   * @param {Float32Array} x — samples in −1..1
+   * @param {number} sampleRate
+   * @param {number} [t] — timestamp in ms
+   * @returns {{t:number, db:number, speech:boolean, f0:number|null, jitter:number|null, shimmer:number|null}}
+   */
+  processFrame(x, sampleRate, t = Date.now()) {
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) sum += x[i] * x[i];
+    const db = 10 * Math.log10(sum / x.length + 1e-10);
+
+    // Noise floor: falls fast, rises slowly (≈ minimum statistics)
+    this.floor = this.floor === null ? db
+      : db < this.floor ? this.floor + 0.3 * (db - this.floor)
+      : this.floor + 0.002 * (db - this.floor);
+    const speech = db > this.floor + this.SPEECH_DB && db > -60;
+
+    let f0 = null, jitter = null, shimmer = null;
+    if (speech) {
+      const period = this._yin(x, sampleRate);
+      if (period) {
+        f0 = sampleRate / period;
+        this.totalVoiced++;
+        const cycles = this._cycles(x, period);
+        jitter  = cycles?.jitter  ?? null;
+        shimmer = cycles?.shimmer ?? null;
+      }
+    }
+
+    const frame = { t, db, speech, f0, jitter, shimmer };
+    this.frames.push(frame);
+    while (this.frames.length && t - this.frames[0].t > this.WINDOW_MS) this.frames.shift();
+    if (f0 && !this.baseline) this._collectBaseline(frame);
+    return frame;
+  }
+
+  /**
+   * Current voice-stress reading over the rolling window.
+   * @returns {{reliable:boolean, f0:number|null, jitter:number|null, shimmer:number|null, db:number|null,
+   *            activity:number, rate:number, stress:number, baseline:boolean, progress:number}}
+   */
+  read() {
+    const frames = this.frames;
+    const voiced = frames.filter(f => f.f0);
+    const hop    = frames.length > 1 ? (frames[frames.length - 1].t - frames[0].t) / (frames.length - 1) : this.HOP_MS;
+    const activity = frames.length ? frames.filter(f => f.speech).length / frames.length : 0;
+    // Voiced onsets per second of speech ≈ syllable rate
+    let onsets = 0;
+    for (let i = 1; i < frames.length; i++) if (frames[i].f0 && !frames[i - 1].f0) onsets++;
+    const speechSec = frames.filter(f => f.speech).length * hop / 1000;
+    const rate = speechSec > 0 ? onsets / speechSec : 0;
+
+    const progress = this.baseline ? 1 : Math.min(1, this.baseVoiced.length * hop / this.BASELINE_MS);
+    if (voiced.length * hop < this.MIN_VOICED_MS) {
+      return { reliable: false, f0: null, jitter: null, shimmer: null, db: null, activity, rate, stress: 0, baseline: !!this.baseline, progress };
+    }
+
+    const f0      = this._median(voiced.map(f => f.f0));
+    const jitter  = this._median(voiced.map(f => f.jitter).filter(v => v !== null));
+    const shimmer = this._median(voiced.map(f => f.shimmer).filter(v => v !== null));
+    const db      = this._median(voiced.map(f => f.db));
+    const base    = this.baseline || this._baselineFrom(this.baseVoiced);
+
+    // Each marker → 0..1; pitch and loudness relative to the speaker's own baseline
+    const clamp = v => Math.min(1, Math.max(0, v));
+    const pitchUp = base ? clamp((f0 - base.f0) / base.f0 / 0.25) : 0;     // +25% F0 = full
+    const louder  = base ? clamp((db - base.db) / 10) : 0;                 // +10 dB = full
+    const jit     = jitter  !== null ? clamp((jitter  - 0.5) / 2)  : 0;    // % — ~1% is typical
+    const shim    = shimmer !== null ? clamp((shimmer - 2)   / 8)  : 0;    // % — ~4% is typical
+    const stress  = 0.35 * pitchUp + 0.25 * louder + 0.2 * jit + 0.2 * shim;
+
+    return {
+      reliable: true,
+      f0:       Math.round(f0),
+      jitter:   jitter  !== null ? Math.round(jitter  * 100) / 100 : null,
+      shimmer:  shimmer !== null ? Math.round(shimmer * 100) / 100 : null,
+      db:       Math.round(db),
+      activity, rate: Math.round(rate * 10) / 10,
+      stress, baseline: !!this.baseline, progress,
+    };
+  }
+
+  /**
+   * Run the pipeline over a prerecorded file (e.g. AudioBuffer.getChannelData(0)).
+   * @param {Float32Array} samples — mono PCM
+   * @param {number} sampleRate
+   * @returns {{timeline: object[], summary: object}} timeline = one read() per second
+   */
+  static analyzeSamples(samples, sampleRate) {
+    const steps = VoiceAnalyzer._frames(samples, sampleRate);
+    let step;
+    while (!(step = steps.next()).done);
+    return step.value;
+  }
+
+  /**
+   * analyzeSamples in time slices, yielding to the event loop between them so the page stays responsive.
+   * @param {function} [onProgress] — (fraction 0..1) after each slice
+   * @param {number} [sliceMs] — processing time per slice
+   * @returns {Promise<{timeline: object[], summary: object}>}
+   */
+  static async analyzeSamplesAsync(samples, sampleRate, onProgress, sliceMs = 30) {
+    const steps = VoiceAnalyzer._frames(samples, sampleRate);
+    for (;;) {
+      const until = performance.now() + sliceMs;
+      let step;
+      while (!(step = steps.next()).done && performance.now() < until);
+      if (step.done) return step.value;
+      onProgress?.(step.value);
+      await new Promise(r => setTimeout(r, 0));
+    }
+  }
+
+  /** Offline loop — yields progress (0..1) after every frame, returns the analyzeSamples result */
+  static *_frames(samples, sampleRate) {
+    const v   = new VoiceAnalyzer();
+    const hop = Math.round(sampleRate * v.HOP_MS / 1000);
+    const timeline = [];
+    let nextRead = 1000;
+    for (let start = 0; start + v.FRAME_SIZE <= samples.length; start += hop) {
+      const t = start / sampleRate * 1000;
+      v.processFrame(samples.subarray(start, start + v.FRAME_SIZE), sampleRate, t);
+      if (t >= nextRead) {
+        timeline.push({ t: Math.round(t), ...v.read() });
+        nextRead += 1000;
+      }
+      yield start / samples.length;
+    }
+    const reliable = timeline.filter(r => r.reliable);
+    const mean = key => reliable.length ? reliable.reduce((a, r) => a + (r[key] ?? 0), 0) / reliable.length : null;
+    return {
+      timeline,
+      summary: {
+        durationSec: Math.round(samples.length / sampleRate),
+        voicedSec:   Math.round(v.totalVoiced * v.HOP_MS / 1000),
+        f0:          reliable.length ? Math.round(mean('f0')) : null,
+        jitter:      reliable.length ? Math.round(mean('jitter')  * 100) / 100 : null,
+        shimmer:     reliable.length ? Math.round(mean('shimmer') * 100) / 100 : null,
+        stress:      reliable.length ? Math.round(mean('stress') * 100) : null,
+        peakStress:  reliable.length ? Math.round(Math.max(...reliable.map(r => r.stress)) * 100) : null,
+      },
+    };
+  }
+
+  reset() {
+    this.frames      = [];
+    this.floor       = null;
+    this.baseVoiced  = [];
+    this.baseline    = null;
+    this.totalVoiced = 0;
+  }
+
+  /**
+   * Run the offline pipeline on synthetic tones with known jitter / shimmer.
+   * @returns {{name:string, expected:{jitter:number, shimmer:number}, jitter:number|null, shimmer:number|null, ok:boolean}[]}
+   */
+  static selfCheck() {
+    const cases = [
+      { name: 'pure 150 Hz tone, 16 kHz',     voice: { f0: 150 } },
+      { name: 'pure 150 Hz tone, 48 kHz',     voice: { f0: 150, sampleRate: 48000 } },
+      { name: 'pure 220 Hz tone, 44.1 kHz',   voice: { f0: 220, sampleRate: 44100 } },
+      { name: '120 Hz, 1% jitter, 4% shimmer', voice: { f0: 120, jitterPct: 1, shimmerPct: 4, seed: 7 } },
+      { name: '200 Hz, 2% jitter, 6% shimmer', voice: { f0: 200, sampleRate: 48000, jitterPct: 2, shimmerPct: 6, seed: 3 } },
+    ];
+    return cases.map(({ name, voice }) => {
+      const { jitterPct = 0, shimmerPct = 0, sampleRate = 16000 } = voice;
+      const { summary: s } = VoiceAnalyzer.analyzeSamples(syntheticVoice(voice), sampleRate);
+      // A pure tone should read (almost) no perturbation; otherwise within 30% of the target
+      const near = (v, target) => v !== null && Math.abs(v - target) <= (target ? target * 0.3 : 0.05);
+      return {
+        name,
+        expected: { jitter: jitterPct, shimmer: shimmerPct },
+        jitter:   s.jitter,
+        shimmer:  s.shimmer,
+        ok:       near(s.jitter, jitterPct) && near(s.shimmer, shimmerPct),
+      };
+    });
+  }
+
+  /* ── INTERNALS ── */
+
+  _collectBaseline(frame) {
+    this.baseVoiced.push(frame);
+    if (this.baseVoiced.length * this.HOP_MS >= this.BASELINE_MS) {
+      this.baseline   = this._baselineFrom(this.baseVoiced);
+      this.baseVoiced = [];
+    }
+  }
+
+  /** Median F0 / level of voiced frames; provisional until BASELINE_MS of speech */
+  _baselineFrom(frames) {
+    if (frames.length * this.HOP_MS < this.MIN_VOICED_MS) return null;
+    return { f0: this._median(frames.map(f => f.f0)), db: this._median(frames.map(f => f.db)) };
+  }
+
+  /** YIN pitch period in samples (parabolic-interpolated), or null if unvoiced */
+  _yin(x, sampleRate) {
+    const minLag = Math.floor(sampleRate / this.F0_MAX);
+    const maxLag = Math.min(Math.ceil(sampleRate / this.F0_MIN), Math.floor(x.length / 2));
+    const W = x.length - maxLag;
+    const d = new Float32Array(maxLag + 1);
+    for (let tau = 1; tau <= maxLag; tau++) {
+      let s = 0;
+      for (let i = 0; i < W; i++) {
+        const diff = x[i] - x[i + tau];
+        s += diff * diff;
+      }
+      d[tau] = s;
+    }
+    // Cumulative mean normalized difference
+    const cmnd = new Float32Array(maxLag + 1);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= maxLag; tau++) {
+      running += d[tau];
+      cmnd[tau] = running > 0 ? d[tau] * tau / running : 1;
+    }
+
+    let tau = -1;
+    for (let i = minLag; i <= maxLag; i++) {
+      if (cmnd[i] < this.YIN_THRESHOLD) {
+        while (i + 1 <= maxLag && cmnd[i + 1] < cmnd[i]) i++;
+        tau = i;
+        break;
+      }
+    }
+    if (tau < 0) {
+      // No dip under the threshold — take the global minimum if it is deep enough
+      let best = minLag;
+      for (let i = minLag; i <= maxLag; i++) if (cmnd[i] < cmnd[best]) best = i;
+      if (cmnd[best] > this.VOICED_MAX) return null;
+      tau = best;
+    }
+    if (tau <= minLag || tau >= maxLag) return tau;
+    const a = cmnd[tau - 1], b = cmnd[tau], c = cmnd[tau + 1];
+    const den = a - 2 * b + c;
+    return den !== 0 ? tau + 0.5 * (a - c) / den : tau;
+  }
+
+  /**
+   * Local jitter / shimmer (%) from successive cycle peaks: each peak is searched
+   * within ±20% of one period after the previous one, then placed between samples
+   * by a parabola through it and its neighbours — whole-sample peaks alone alternate
+   * e.g. 106 / 107 samples on a steady 150 Hz tone at 16 kHz, which reads as ~0.8% jitter.
+   */
+  _cycles(x, period) {
+    const P = Math.round(period);
+    let peak = 0;
+    for (let i = 1; i < P; i++) if (x[i] > x[peak]) peak = i;
+    const peaks = [peak];
+    for (;;) {
+      const lo = peak + Math.round(0.8 * period), hi = Math.min(x.length - 1, peak + Math.round(1.2 * period));
+      if (lo >= x.length) break;
+      let best = lo;
+      for (let i = lo; i <= hi; i++) if (x[i] > x[best]) best = i;
+      peaks.push(best);
+      peak = best;
+    }
+    if (peaks.length < 4) return null;
+
+    const at = [], A = [];
+    for (const i of peaks) {
+      const a = x[i - 1], b = x[i], c = x[i + 1];
+      const den = a - 2 * b + c;
+      if (i === 0 || i === x.length - 1 || !(den < 0)) { at.push(i); A.push(b); continue; }
+      const off = 0.5 * (a - c) / den;
+      at.push(i + off);
+      A.push(b - 0.25 * (a - c) * off);
+    }
+    const T = [];
+    for (let i = 1; i < at.length; i++) T.push(at[i] - at[i - 1]);
+    const meanDiff = v => v.slice(1).reduce((a, b, i) => a + Math.abs(b - v[i]), 0) / (v.length - 1);
+    const meanOf   = v => v.reduce((a, b) => a + b, 0) / v.length;
+    const meanA    = meanOf(A);
+    return {
+      jitter:  meanDiff(T) / meanOf(T) * 100,
+      shimmer: meanA > 0 ? meanDiff(A) / meanA * 100 : null,
+    };
+  }
+
+  _median(v) {
+    if (!v.length) return null;
+    const s = [...v].sort((a, b) => a - b);
+    return s[Math.floor(s.length / 2)];
+  }
+}